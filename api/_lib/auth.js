@@ -0,0 +1,144 @@
+// api/_lib/auth.js
+// Caller identity for the API routes. Two kinds of bearer token are accepted:
+//  - Firebase ID tokens (RS256 JWTs from the project in src/firebaseConfig.js)
+//  - signed anonymous sessions issued by /api/session (HMAC-SHA256 with SESSION_SECRET)
+// Identity: { id, kind: 'firebase' | 'session' | 'ip', ip }
+// Admin routes additionally take `X-Admin-Key: <ADMIN_API_KEY>` (adminDenial).
+
+import { createHmac, createPublicKey, randomBytes, timingSafeEqual, verify as verifySignature } from 'node:crypto';
+
+const FIREBASE_JWKS = 'https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com';
+const SESSION_PREFIX = 'anon.';
+const SESSION_TTL_S = 30 * 24 * 3600;
+
+export class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+// The caller's address as the nearest proxy saw it. Clients can put anything at the front of
+// X-Forwarded-For, so only Vercel's own header, X-Real-IP or the hop appended last are trusted.
+export function clientIp(req) {
+  const headers = req.headers || {};
+  const vercel = headers['x-vercel-forwarded-for'];
+  if (vercel) return String(vercel).split(',')[0].trim();
+  if (headers['x-real-ip']) return String(headers['x-real-ip']).trim();
+  const fwd = headers['x-forwarded-for'];
+  if (fwd) return String(fwd).split(',').pop().trim();
+  return req.socket?.remoteAddress || 'unknown';
+}
+
+// Resolves the caller; throws AuthError for a bad token, or a missing one when `required`.
+// opts: { required, projectId, secret, fetchKeys } (fetchKeys is injectable for tests)
+export async function identify(req, opts = {}) {
+  const ip = clientIp(req);
+  const header = req.headers?.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+
+  if (!token) {
+    if (opts.required) throw new AuthError('Missing bearer token');
+    return { id: `ip:${ip}`, kind: 'ip', ip };
+  }
+
+  if (token.startsWith(SESSION_PREFIX)) {
+    const claims = verifySession(token, opts.secret ?? process.env.SESSION_SECRET);
+    return { id: claims.sub, kind: 'session', ip };
+  }
+
+  const claims = await verifyFirebaseToken(token, opts);
+  return { id: `firebase:${claims.sub}`, kind: 'firebase', ip };
+}
+
+/** -------- Anonymous sessions -------- */
+
+export function issueSession(secret = process.env.SESSION_SECRET, now = Date.now()) {
+  if (!secret) throw new Error('SESSION_SECRET missing');
+  const iat = Math.floor(now / 1000);
+  const claims = { sub: `anon:${randomBytes(12).toString('hex')}`, iat, exp: iat + SESSION_TTL_S };
+  const payload = b64url(JSON.stringify(claims));
+  return { token: `${SESSION_PREFIX}${payload}.${sign(payload, secret)}`, expiresAt: claims.exp * 1000 };
+}
+
+export function verifySession(token, secret, now = Date.now()) {
+  if (!secret) throw new AuthError('Sessions are not enabled');
+  const [payload, sig] = token.slice(SESSION_PREFIX.length).split('.');
+  const expected = sign(payload || '', secret);
+  if (!sig || sig.length !== expected.length || !timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) {
+    throw new AuthError('Invalid session token');
+  }
+  const claims = parseJson(fromB64url(payload));
+  if (!claims?.sub || !(claims.exp * 1000 > now)) throw new AuthError('Session expired');
+  return claims;
+}
+
+function sign(payload, secret) {
+  return createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/** -------- Firebase ID tokens -------- */
+
+let keyCache = { keys: null, expiresAt: 0 };
+
+async function googleKeys() {
+  if (keyCache.keys && Date.now() < keyCache.expiresAt) return keyCache.keys;
+  const r = await fetch(FIREBASE_JWKS);
+  if (!r.ok) throw new Error(`Could not load Firebase signing keys (HTTP ${r.status})`);
+  const maxAge = Number(/max-age=(\d+)/.exec(r.headers.get('cache-control') || '')?.[1] || 3600);
+  keyCache = { keys: (await r.json()).keys, expiresAt: Date.now() + maxAge * 1000 };
+  return keyCache.keys;
+}
+
+// Checks signature, audience, issuer and timestamps as described in
+// https://firebase.google.com/docs/auth/admin/verify-id-tokens#verify_id_tokens_using_a_third-party_jwt_library
+export async function verifyFirebaseToken(token, { projectId = process.env.FIREBASE_PROJECT_ID || 'microlearningv4', fetchKeys = googleKeys, now = Date.now() } = {}) {
+  const [h, p, s] = token.split('.');
+  const header = parseJson(fromB64url(h || ''));
+  const claims = parseJson(fromB64url(p || ''));
+  if (!header || !claims || !s) throw new AuthError('Malformed ID token');
+  if (header.alg !== 'RS256') throw new AuthError('Unexpected token algorithm');
+
+  const jwk = (await fetchKeys()).find(k => k.kid === header.kid);
+  if (!jwk) throw new AuthError('Unknown signing key');
+  const ok = verifySignature('RSA-SHA256', Buffer.from(`${h}.${p}`), createPublicKey({ key: jwk, format: 'jwk' }), Buffer.from(s, 'base64url'));
+  if (!ok) throw new AuthError('Invalid token signature');
+
+  const nowS = Math.floor(now / 1000);
+  if (claims.aud !== projectId) throw new AuthError('Token audience mismatch');
+  if (claims.iss !== `https://securetoken.google.com/${projectId}`) throw new AuthError('Token issuer mismatch');
+  if (!claims.sub) throw new AuthError('Token has no subject');
+  // Allow a few seconds of clock skew.
+  if (!(claims.exp > nowS) || claims.iat > nowS + 5 || (claims.auth_time && claims.auth_time > nowS + 5)) {
+    throw new AuthError('Token expired or not yet valid');
+  }
+  return claims;
+}
+
+/** -------- Admin key -------- */
+
+// Null when the request carries the admin key, else the { status, body } to answer with:
+// 501 while ADMIN_API_KEY is unset, 401 for a missing or wrong key.
+export function adminDenial(req, adminKey = process.env.ADMIN_API_KEY) {
+  if (!adminKey) return { status: 501, body: { error: 'Admin endpoints are not enabled' } };
+  const given = Buffer.from(String(req.headers?.['x-admin-key'] || ''));
+  const expected = Buffer.from(adminKey);
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+    return { status: 401, body: { error: 'Invalid admin key', code: 'unauthorized' } };
+  }
+  return null;
+}
+
+/** -------- Utilities -------- */
+
+function b64url(s) {
+  return Buffer.from(s).toString('base64url');
+}
+
+function fromB64url(s) {
+  return Buffer.from(s, 'base64url').toString('utf8');
+}
+
+function parseJson(s) {
+  try { return JSON.parse(s); } catch { return null; }
+}
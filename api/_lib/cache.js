@@ -0,0 +1,166 @@
+// api/_lib/cache.js
+// Response cache for paid upstream calls.
+// Keyed on normalized (provider, task, query, maxResults, options), TTL per task,
+// stale-while-revalidate, and a pluggable store:
+//  { get(key) -> entry|null, set(key, entry, ttlSeconds), delete(key) }
+// Entry: { value, storedAt, freshUntil, staleUntil } (epoch ms).
+// LLM_CACHE_STORE selects the default store: memory (default) | file | kv | off.
+
+import { createHash } from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// Seconds a result stays fresh, and how much longer it may be served stale while refreshing.
+const TTL = {
+  links: { fresh: 6 * 3600, stale: 24 * 3600 },
+  summary: { fresh: 24 * 3600, stale: 7 * 24 * 3600 },
+  videoSummary: { fresh: 7 * 24 * 3600, stale: 30 * 24 * 3600 },
+  transcript: { fresh: 7 * 24 * 3600, stale: 30 * 24 * 3600 },
+  recommendations: { fresh: 12 * 3600, stale: 48 * 3600 },
+  outline: { fresh: 24 * 3600, stale: 7 * 24 * 3600 },
+  quiz: { fresh: 24 * 3600, stale: 7 * 24 * 3600 },
+  default: { fresh: 3600, stale: 3600 }
+};
+
+export function ttlFor(task) {
+  const base = TTL[task] || TTL.default;
+  const env = Number(process.env[`LLM_CACHE_TTL_${String(task).toUpperCase()}`]);
+  return Number.isFinite(env) && env > 0 ? { ...base, fresh: env } : base;
+}
+
+export function cacheKey({ provider, task, query, maxResults = null, options = {} }) {
+  const normalized = {
+    provider: String(provider || '').toLowerCase(),
+    task: String(task || '').toLowerCase(),
+    query: String(query || '').trim().replace(/\s+/g, ' ').toLowerCase(),
+    maxResults,
+    options: sortKeys(options)
+  };
+  return createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+}
+
+function sortKeys(v) {
+  if (Array.isArray(v)) return v.map(sortKeys);
+  if (!v || typeof v !== 'object') return v;
+  return Object.fromEntries(Object.keys(v).sort().filter(k => v[k] !== undefined).map(k => [k, sortKeys(v[k])]));
+}
+
+/** -------- Read-through -------- */
+
+const inflight = new Map();
+
+// Resolves to { value, cache: { hit, stale, age_s } }.
+// `produce` is only called on a miss, a forced refresh (noCache) or in the background for stale hits.
+// A value `keep(value)` rejects is returned but not stored, e.g. an answer that came from a fallback provider.
+export async function cached({ store = defaultStore(), key, task, noCache = false, keep = () => true }, produce) {
+  const now = Date.now();
+  const entry = !store || noCache ? null : await store.get(key).catch(() => null);
+
+  if (entry && now < entry.freshUntil) {
+    return { value: entry.value, cache: { hit: true, stale: false, age_s: age(entry, now) } };
+  }
+  if (entry && now < entry.staleUntil) {
+    revalidate(store, key, task, produce, keep);
+    return { value: entry.value, cache: { hit: true, stale: true, age_s: age(entry, now) } };
+  }
+
+  const value = await produce();
+  if (store && keep(value)) await write(store, key, task, value).catch(() => {});
+  return { value, cache: { hit: false, stale: false, age_s: 0 } };
+}
+
+function revalidate(store, key, task, produce, keep) {
+  if (inflight.has(key)) return;
+  // Serverless runtimes may freeze after the response; a lost refresh just means the next request refreshes.
+  const p = Promise.resolve()
+    .then(produce)
+    .then(value => keep(value) && write(store, key, task, value))
+    .catch(() => {})
+    .finally(() => inflight.delete(key));
+  inflight.set(key, p);
+}
+
+async function write(store, key, task, value) {
+  const { fresh, stale } = ttlFor(task);
+  const now = Date.now();
+  const entry = { value, storedAt: now, freshUntil: now + fresh * 1000, staleUntil: now + (fresh + stale) * 1000 };
+  await store.set(key, entry, fresh + stale);
+}
+
+function age(entry, now) {
+  return Math.round((now - entry.storedAt) / 1000);
+}
+
+/** -------- Stores -------- */
+
+export function memoryStore() {
+  const map = new Map();
+  return {
+    async get(key) {
+      const e = map.get(key);
+      if (e && Date.now() >= e.staleUntil) { map.delete(key); return null; }
+      return e || null;
+    },
+    async set(key, entry) { map.set(key, entry); },
+    async delete(key) { map.delete(key); }
+  };
+}
+
+export function fileStore(dir = process.env.LLM_CACHE_DIR || path.join(os.tmpdir(), 'llm-cache')) {
+  const file = (key) => path.join(dir, `${key}.json`);
+  return {
+    async get(key) {
+      try {
+        const e = JSON.parse(await fs.readFile(file(key), 'utf8'));
+        return Date.now() < e.staleUntil ? e : null;
+      } catch {
+        return null;
+      }
+    },
+    async set(key, entry) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(file(key), JSON.stringify(entry));
+    },
+    async delete(key) { await fs.rm(file(key), { force: true }); }
+  };
+}
+
+// Upstash / Vercel KV REST API.
+export function kvStore({ url = process.env.KV_REST_API_URL, token = process.env.KV_REST_API_TOKEN } = {}) {
+  if (!url || !token) throw new Error('KV_REST_API_URL / KV_REST_API_TOKEN missing');
+  // Commands go in the POST body so large values don't end up in the URL.
+  const call = async (...command) => {
+    const r = await fetch(url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(command)
+    });
+    if (!r.ok) throw new Error(`KV error (HTTP ${r.status})`);
+    return (await r.json()).result;
+  };
+  return {
+    async get(key) {
+      const raw = await call('GET', `llm:${key}`);
+      return raw ? JSON.parse(raw) : null;
+    },
+    async set(key, entry, ttlSeconds) { await call('SET', `llm:${key}`, JSON.stringify(entry), 'EX', String(ttlSeconds)); },
+    async delete(key) { await call('DEL', `llm:${key}`); }
+  };
+}
+
+let shared;
+// Tests (and custom deployments) can swap the store used when none is passed to `cached`.
+export function setDefaultStore(store) {
+  shared = store;
+}
+
+export function defaultStore() {
+  if (shared !== undefined) return shared;
+  const kind = (process.env.LLM_CACHE_STORE || 'memory').toLowerCase();
+  shared = kind === 'off' ? null
+    : kind === 'file' ? fileStore()
+    : kind === 'kv' ? kvStore()
+    : memoryStore();
+  return shared;
+}
@@ -0,0 +1,81 @@
+// api/_lib/compare.js
+// Side-by-side provider comparison for /api/llm `compare: true`.
+// Every provider runs the same task in parallel; one failing never hides the others.
+// Result: { provider, ok, latency_ms, value | error, status, code }
+
+import { randomBytes } from 'node:crypto';
+import { getProvider, isConfigured, listProviders } from './providers.js';
+import { normalizeUrl } from './verifyLinks.js';
+
+// `requested` (an array of names) narrows the set; otherwise every configured provider takes part.
+export function compareChain(requested) {
+  if (Array.isArray(requested) && requested.length) {
+    const names = requested.map(n => String(n || '').trim().toLowerCase()).filter(Boolean);
+    return [...new Set(names)].map(name => getProvider(name).name);
+  }
+  return listProviders().filter(isConfigured).map(a => a.name);
+}
+
+export async function fanOut(names, run) {
+  return Promise.all(names.map(async (provider) => {
+    const started = Date.now();
+    try {
+      if (!isConfigured(getProvider(provider))) throw new Error(`${getProvider(provider).envKey} missing`);
+      const value = await run(provider);
+      return { provider, ok: true, latency_ms: Date.now() - started, value };
+    } catch (e) {
+      return {
+        provider,
+        ok: false,
+        latency_ms: Date.now() - started,
+        error: String(e?.message || e),
+        status: e?.status ?? null,
+        code: e?.code ?? null
+      };
+    }
+  }));
+}
+
+// Links from the successful results, merged on their normalized URL:
+//  { union: [{ url, title, platform, providers }], shared, pairwise: [{ providers: [a, b], overlap, jaccard }] }
+// `union` lists URLs found by the most providers first.
+export function linkOverlap(results) {
+  const byProvider = results.filter(r => r.ok).map(r => ({
+    provider: r.provider,
+    urls: new Set(r.value.map(it => linkKey(it.url)))
+  }));
+
+  const union = new Map();
+  for (const r of results.filter(x => x.ok)) {
+    for (const it of r.value) {
+      const url = linkKey(it.url);
+      const entry = union.get(url) || { url, title: it.title, platform: it.platform, providers: [] };
+      if (!entry.providers.includes(r.provider)) entry.providers.push(r.provider);
+      union.set(url, entry);
+    }
+  }
+
+  const pairwise = [];
+  for (let i = 0; i < byProvider.length; i++) {
+    for (let j = i + 1; j < byProvider.length; j++) {
+      const a = byProvider[i];
+      const b = byProvider[j];
+      const overlap = [...a.urls].filter(u => b.urls.has(u)).length;
+      const size = new Set([...a.urls, ...b.urls]).size;
+      pairwise.push({ providers: [a.provider, b.provider], overlap, jaccard: size ? Math.round((overlap / size) * 100) / 100 : 0 });
+    }
+  }
+
+  const list = [...union.values()].sort((x, y) => y.providers.length - x.providers.length);
+  return { union: list, shared: list.filter(e => e.providers.length > 1).length, pairwise };
+}
+
+// youtu.be/x and youtube.com/watch?v=x are the same video.
+export function linkKey(url) {
+  return normalizeUrl(url)?.url || url;
+}
+
+// Votes refer back to a comparison by this id (see api/votes.js).
+export function comparisonId() {
+  return `cmp_${randomBytes(9).toString('base64url')}`;
+}
@@ -0,0 +1,41 @@
+// api/_lib/curriculum.js
+// Course outlines for the planner: modules of lessons, where each lesson lists the lessons it requires.
+// Outline: { modules: [{ id, title, lessons: [{ id, title, objective, requires: [lessonId] }] }] }
+// The model is asked to list lessons in study order, so normalizeOutline keeps only edges that
+// point back to an earlier lesson; whatever it returns, the result is a DAG.
+
+export const MAX_LESSONS = 30;
+
+export function slugify(s) {
+  return String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'lesson';
+}
+
+// `modules` has already passed the `outline` schema (api/_lib/schemas.js).
+export function normalizeOutline({ modules }) {
+  const idFor = new Map(); // model id -> our id (first lesson wins on duplicates)
+  const seen = new Set();
+  let count = 0;
+
+  const out = modules.map((mod, m) => ({
+    id: `m${m + 1}`,
+    title: mod.title.trim(),
+    lessons: mod.lessons.flatMap((lesson) => {
+      if (count >= MAX_LESSONS) return [];
+      count += 1;
+      let id = slugify(lesson.id || lesson.title);
+      for (let n = 2; seen.has(id); n += 1) id = `${slugify(lesson.id || lesson.title)}-${n}`;
+      seen.add(id);
+      const raw = String(lesson.id || '').trim();
+      if (raw && !idFor.has(raw)) idFor.set(raw, id);
+      if (!idFor.has(id)) idFor.set(id, id);
+
+      // Lessons resolved so far are exactly the earlier ones, so forward or unknown references drop out here.
+      const requires = [...new Set((lesson.requires || [])
+        .map((ref) => idFor.get(String(ref).trim()) || idFor.get(slugify(ref)))
+        .filter((ref) => ref && ref !== id))];
+      return [{ id, title: lesson.title.trim(), objective: String(lesson.objective || '').trim(), requires }];
+    })
+  })).filter((mod) => mod.lessons.length);
+
+  return { modules: out };
+}
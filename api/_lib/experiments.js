@@ -0,0 +1,190 @@
+// api/_lib/experiments.js
+// A/B experiments over prompt template versions (api/_lib/prompts.js).
+// PROMPT_EXPERIMENTS (JSON) declares them: { "<id>": { "template": "summary", "variants": { "1": 50, "2": 50 } } }
+// where variants are template versions with their weights. Each caller is assigned a variant from a hash of the
+// experiment id and their user id (req.user.id), so they keep getting the same wording; experiments naming an
+// unknown template or version are ignored, and a template runs at most one experiment (the first declared).
+// Responses record the prompt that produced them as `meta.prompt` ({ template, version, experiment, variant }).
+// Events: { experiment, variant, kind: 'exposure' | 'click' | 'quiz', value, item, user, ts }. Exposures are recorded
+// when an answer is served; clicks (on `item`, a url) and quiz scores (value 0..1) come from the app through
+// api/experiments.js. Stores implement { add(event) -> false for a click this user already made on this item,
+// list() -> events }. EXPERIMENT_STORE selects the default: memory (default) | file | kv.
+
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { hasTemplate, promptVersion } from './prompts.js';
+
+export const OUTCOME_KINDS = ['click', 'quiz'];
+
+// { [id]: { template, variants: { [version]: weight } } }, valid entries only.
+export function activeExperiments() {
+  let declared;
+  try {
+    declared = process.env.PROMPT_EXPERIMENTS ? JSON.parse(process.env.PROMPT_EXPERIMENTS) : {};
+  } catch {
+    return {};
+  }
+  const out = {};
+  for (const [id, exp] of Object.entries(declared || {})) {
+    const variants = Object.entries(exp?.variants || {}).filter(([v, w]) => hasTemplate(exp.template, Number(v)) && Number(w) > 0);
+    if (variants.length < 2) continue;
+    out[id] = { template: exp.template, variants: Object.fromEntries(variants.map(([v, w]) => [v, Number(w)])) };
+  }
+  return out;
+}
+
+// Deterministic: the same experiment and user always land on the same variant.
+export function assignVariant(id, experiment, user) {
+  const variants = Object.entries(experiment.variants);
+  const total = variants.reduce((sum, [, w]) => sum + w, 0);
+  let at = (fnv1a(`${id}:${user}`) / 2 ** 32) * total;
+  for (const [variant, weight] of variants) {
+    if (at < weight) return variant;
+    at -= weight;
+  }
+  return variants[variants.length - 1][0];
+}
+
+// The prompt version `user` gets for template `name`: { template, version, experiment, variant }
+// (experiment and variant are null outside an experiment).
+export function choosePrompt(name, user) {
+  const found = Object.entries(activeExperiments()).find(([, exp]) => exp.template === name);
+  if (!found) return { template: name, version: promptVersion(name), experiment: null, variant: null };
+  const [id, exp] = found;
+  const variant = assignVariant(id, exp, user);
+  return { template: name, version: Number(variant), experiment: id, variant };
+}
+
+// Counts an answer served under an experiment. Like usage accounting, it never fails the request.
+export function recordExposure(choice, user, { store = defaultExperimentStore(), now = Date.now() } = {}) {
+  if (!choice?.experiment) return;
+  const event = { experiment: choice.experiment, variant: choice.variant, kind: 'exposure', value: null, user, ts: now };
+  Promise.resolve().then(() => store.add(event)).catch(e => console.warn('experiment log append failed:', e?.message || e));
+}
+
+// Per experiment and variant: { exposures, users, clicks, click_through, quizzes, quiz_score }.
+// click_through is clicks per exposure; quiz_score the mean quiz score (0..1), null before any quiz.
+export function tallyExperiments(events, experiments = activeExperiments()) {
+  const out = {};
+  const stats = (id, variant) => {
+    const exp = (out[id] ||= { template: experiments[id]?.template ?? null, variants: {} });
+    return (exp.variants[variant] ||= { exposures: 0, users: new Set(), clicks: 0, quizzes: 0, quiz_total: 0 });
+  };
+  for (const [id, exp] of Object.entries(experiments)) Object.keys(exp.variants).forEach(v => stats(id, v));
+
+  for (const e of events) {
+    const s = stats(e.experiment, e.variant);
+    if (e.kind === 'exposure') {
+      s.exposures += 1;
+      s.users.add(e.user);
+    } else if (e.kind === 'click') {
+      s.clicks += 1;
+    } else if (e.kind === 'quiz') {
+      s.quizzes += 1;
+      s.quiz_total += e.value;
+    }
+  }
+
+  const round = (x) => Math.round(x * 1000) / 1000;
+  for (const exp of Object.values(out)) {
+    for (const [v, s] of Object.entries(exp.variants)) {
+      exp.variants[v] = {
+        exposures: s.exposures,
+        users: s.users.size,
+        clicks: s.clicks,
+        click_through: s.exposures ? round(s.clicks / s.exposures) : null,
+        quizzes: s.quizzes,
+        quiz_score: s.quizzes ? round(s.quiz_total / s.quizzes) : null
+      };
+    }
+  }
+  return out;
+}
+
+function fnv1a(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/** -------- Stores -------- */
+
+// Same (experiment, user, item) as an earlier click.
+const sameClick = (a, b) => a.kind === 'click' && b.kind === 'click' && a.experiment === b.experiment && a.user === b.user && a.item === b.item;
+
+export function memoryExperimentStore() {
+  const events = [];
+  return {
+    async add(event) {
+      if (events.some(e => sameClick(e, event))) return false;
+      events.push(event);
+      return true;
+    },
+    async list() { return [...events]; }
+  };
+}
+
+// One JSON event per line.
+export function fileExperimentStore(file = process.env.EXPERIMENT_FILE || path.join(os.tmpdir(), 'llm-experiments.jsonl')) {
+  const list = async () => {
+    const text = await fs.readFile(file, 'utf8').catch(() => '');
+    return text.split('\n').filter(Boolean)
+      .map(line => { try { return JSON.parse(line); } catch { return null; } })
+      .filter(Boolean);
+  };
+  return {
+    async add(event) {
+      if (event.kind === 'click' && (await list()).some(e => sameClick(e, event))) return false;
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.appendFile(file, `${JSON.stringify(event)}\n`);
+      return true;
+    },
+    list
+  };
+}
+
+// Upstash / Vercel KV REST API: one list of events, and a SET NX marker per (experiment, user, item) clicked
+// that expires after 180 days.
+export function kvExperimentStore({ url = process.env.KV_REST_API_URL, token = process.env.KV_REST_API_TOKEN } = {}) {
+  if (!url || !token) throw new Error('KV_REST_API_URL / KV_REST_API_TOKEN missing');
+  const call = async (...command) => {
+    const r = await fetch(url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(command)
+    });
+    if (!r.ok) throw new Error(`KV error (HTTP ${r.status})`);
+    return (await r.json()).result;
+  };
+  return {
+    async add(event) {
+      if (event.kind === 'click') {
+        const fresh = await call('SET', `expclick:${event.experiment}:${event.user}:${event.item}`, '1', 'NX', 'EX', String(180 * 24 * 3600));
+        if (fresh !== 'OK') return false;
+      }
+      await call('RPUSH', 'experiments', JSON.stringify(event));
+      return true;
+    },
+    async list() {
+      return ((await call('LRANGE', 'experiments', '0', '-1')) || []).map(s => JSON.parse(s));
+    }
+  };
+}
+
+let shared;
+export function setExperimentStore(store) {
+  shared = store;
+}
+
+export function defaultExperimentStore() {
+  if (shared) return shared;
+  const kind = (process.env.EXPERIMENT_STORE || 'memory').toLowerCase();
+  shared = kind === 'file' ? fileExperimentStore()
+    : kind === 'kv' ? kvExperimentStore()
+    : memoryExperimentStore();
+  return shared;
+}
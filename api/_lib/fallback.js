@@ -0,0 +1,52 @@
+// api/_lib/fallback.js
+// Ordered provider fallback. The chain is the requested provider followed by
+// `fallback` from the request body, or LLM_FALLBACK_CHAIN (e.g. "perplexity,gemini,openai").
+// `fallback: false` in the request disables it.
+
+import { getProvider, isConfigured } from './providers.js';
+
+export class FallbackError extends Error {
+  constructor(attempts) {
+    super(`All providers failed (${attempts.map(a => a.provider).join(', ')})`);
+    this.name = 'FallbackError';
+    this.attempts = attempts;
+  }
+}
+
+export function resolveChain(requested, fallback) {
+  let rest = [];
+  if (Array.isArray(fallback)) rest = fallback;
+  else if (fallback !== false) rest = (process.env.LLM_FALLBACK_CHAIN || '').split(',');
+
+  const names = [requested, ...rest].map(n => String(n || '').trim().toLowerCase()).filter(Boolean);
+  return [...new Set(names)];
+}
+
+// Runs `run(providerName)` down the chain until one succeeds.
+// Resolves to { value, provider, attempts } where attempts lists the failures before it.
+export async function withFallback(chain, run) {
+  const attempts = [];
+
+  for (const name of chain) {
+    let adapter;
+    try {
+      adapter = getProvider(name);
+    } catch (e) {
+      attempts.push({ provider: name, error: e.message, status: null });
+      continue;
+    }
+    if (!isConfigured(adapter)) {
+      attempts.push({ provider: adapter.name, error: `${adapter.envKey} missing`, status: null });
+      continue;
+    }
+
+    try {
+      const value = await run(adapter.name);
+      return { value, provider: adapter.name, attempts };
+    } catch (e) {
+      attempts.push({ provider: adapter.name, error: String(e?.message || e), status: e?.status ?? null, code: e?.code ?? null });
+    }
+  }
+
+  throw new FallbackError(attempts);
+}
@@ -0,0 +1,58 @@
+// api/_lib/language.js
+// Output language for generated content. Routes take `language`, a BCP 47 tag ("es", "pt-BR");
+// English is the default and adds nothing to the prompts.
+// Link searches prefer content in the language and fall back to subtitled content in another
+// language, whose `reason` starts with SUBTITLED_FLAG.
+
+export const DEFAULT_LANGUAGE = 'en';
+export const SUBTITLED_FLAG = '[subtitled]';
+
+export function normalizeLanguage(tag) {
+  try {
+    return Intl.getCanonicalLocales(String(tag || '').trim() || DEFAULT_LANGUAGE)[0];
+  } catch {
+    return DEFAULT_LANGUAGE;
+  }
+}
+
+export function isEnglish(tag) {
+  return /^en(-|$)/i.test(tag);
+}
+
+export function languageName(tag) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(tag) || tag;
+  } catch {
+    return tag;
+  }
+}
+
+// For prompts with JSON output: translated prose, untouched keys and enum values.
+export function languageInstruction(tag) {
+  if (isEnglish(tag)) return '';
+  return `Write every human-readable text value in ${languageName(tag)} (${tag}); keep JSON keys, enum values and URLs unchanged.`;
+}
+
+// `field` is the item property that explains the pick and carries the flag.
+export function linkLanguageInstruction(tag, field = 'reason') {
+  if (isEnglish(tag)) return '';
+  const name = languageName(tag);
+  return [
+    `Prefer content in ${name}.`,
+    `When nothing good exists in ${name}, use content in another language that has ${name} subtitles or captions`,
+    `and start its "${field}" with "${SUBTITLED_FLAG}". Write "${field}" in ${name}.`
+  ].join(' ');
+}
+
+// "Subtitles" / "captions" in the languages we localize the app into, plus a few common ones.
+const SUBTITLE_WORDS = /subt[ií]t|caption|sous-titr|untertitel|legenda|sottotitol|ترجم|字幕/i;
+
+// Models don't always add the flag; a reason that talks about subtitles or captions gets it.
+export function flagSubtitled(items, tag) {
+  if (isEnglish(tag)) return items;
+  return items.map((it) => {
+    const reason = it.reason || '';
+    if (reason.startsWith(SUBTITLED_FLAG) || !SUBTITLE_WORDS.test(reason)) return it;
+    return { ...it, reason: `${SUBTITLED_FLAG} ${reason}` };
+  });
+}
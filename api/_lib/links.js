@@ -0,0 +1,20 @@
+// api/_lib/links.js
+// Parsing of link items returned by any provider (ordering lives in api/_lib/ranking.js).
+// Item shape: { platform, title, url, est_duration_s, reason }
+
+export function detectPlatform(url) {
+  return url.includes('tiktok.com') ? 'tiktok'
+    : (url.includes('youtube.com') || url.includes('youtu.be')) ? 'youtube'
+    : 'web';
+}
+
+// Normalize items that already passed the `links` schema (api/_lib/schemas.js).
+export function normalizeLinkItems(items) {
+  return items.map(it => ({
+    platform: (it.platform || detectPlatform(it.url)).toString().toLowerCase(),
+    title: it.title || null,
+    url: it.url,
+    est_duration_s: typeof it.est_duration_s === 'number' ? it.est_duration_s : null,
+    reason: it.reason || null,
+  }));
+}
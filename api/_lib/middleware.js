@@ -0,0 +1,67 @@
+// api/_lib/middleware.js
+// Shared wrapper for every API route: identifies the caller (api/_lib/auth.js), applies
+// rate limits and daily quotas (api/_lib/rateLimit.js), then runs the route with `req.user` set
+// inside a usage meter (api/_lib/usage.js) tagged with the caller, route and `task`
+// (a string, or a function of the request for routes serving several tasks).
+// API_AUTH: off | optional (default; anonymous callers are limited by IP) | required
+// RATE_LIMIT=off disables limiting (e.g. local development).
+// `methods` lists what the route serves (default POST); anything else gets a 405 before a token is spent.
+// `cost` is the number of tokens a call takes (or a function of the request; 0 skips the limits), and
+// a counter store that can't be reached turns into a 503 rather than an unhandled rejection.
+// `guard` ({ field: maxChars }) sanitizes those body fields and blocks instruction overrides and
+// disallowed content with a 422 before the route runs; routes filter their output with `req.policy`
+// (api/_lib/guardrails.js).
+
+import { identify, clientIp, AuthError } from './auth.js';
+import { checkLimits } from './rateLimit.js';
+import { withUsageMeter } from './usage.js';
+import { guardInput, resolvePolicy } from './guardrails.js';
+
+export function protect(handler, { methods = ['POST'], cost = 1, task = null, guard = null } = {}) {
+  return async function protectedHandler(req, res) {
+    if (!methods.includes(req.method)) {
+      res.setHeader('Allow', methods.join(', '));
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+    const mode = (process.env.API_AUTH || 'optional').toLowerCase();
+
+    try {
+      req.user = mode === 'off'
+        ? { id: `ip:${clientIp(req)}`, kind: 'ip', ip: clientIp(req) }
+        : await identify(req, { required: mode === 'required' });
+    } catch (e) {
+      if (e instanceof AuthError) return res.status(401).json({ error: e.message, code: 'unauthorized' });
+      return res.status(500).json({ error: 'Server error', detail: String(e?.message || e) });
+    }
+
+    const tokens = typeof cost === 'function' ? cost(req) : cost;
+    if (process.env.RATE_LIMIT !== 'off' && tokens > 0) {
+      let verdict;
+      try {
+        verdict = await checkLimits(req.user, { cost: tokens });
+      } catch (e) {
+        return res.status(503).json({ error: 'Rate limiter unavailable', code: 'limiter_unavailable', detail: String(e?.message || e) });
+      }
+      if (!verdict.allowed) {
+        const retryAfter = Math.max(1, Math.ceil(verdict.retryAfterMs / 1000));
+        res.setHeader('Retry-After', String(retryAfter));
+        const error = verdict.code === 'quota_exceeded' ? 'Daily quota exceeded' : 'Rate limit exceeded';
+        return res.status(429).json({ error, code: verdict.code, retryAfter });
+      }
+    }
+
+    req.policy = resolvePolicy(req);
+    if (guard && req.policy) {
+      const verdict = guardInput(req.body, guard, req.policy);
+      if (verdict.blocked) return res.status(422).json(verdict.blocked);
+      req.body = verdict.body;
+    }
+
+    const context = {
+      user: req.user.id,
+      route: String(req.url || '').split('?')[0] || null,
+      task: typeof task === 'function' ? task(req) : task
+    };
+    return withUsageMeter(context, () => handler(req, res));
+  };
+}
@@ -0,0 +1,34 @@
+// api/_lib/pricing.js
+// USD prices per million tokens, by model id (the value of OPENAI_MODEL / PERPLEXITY_MODEL /
+// GEMINI_MODEL or the adapter default). `request` is an optional flat fee per call.
+// TTS models (api/_lib/tts.js) are priced per million input characters, which their usage records as prompt_tokens.
+// Override or extend with LLM_PRICES, e.g. LLM_PRICES='{"sonar-pro":{"input":3,"output":15,"request":0.006}}'.
+
+const DEFAULT_PRICES = {
+  'sonar': { input: 1, output: 1 },
+  'sonar-pro': { input: 3, output: 15 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'tts-1': { input: 15, output: 0 },
+  'tts-1-hd': { input: 30, output: 0 }
+};
+
+export function priceTable() {
+  let overrides = {};
+  try {
+    overrides = process.env.LLM_PRICES ? JSON.parse(process.env.LLM_PRICES) : {};
+  } catch {
+    overrides = {};
+  }
+  return { ...DEFAULT_PRICES, ...overrides };
+}
+
+// Unknown models cost null rather than 0 so missing prices stand out in reports.
+export function costOf(model, { prompt_tokens = 0, completion_tokens = 0 }) {
+  const price = priceTable()[model];
+  if (!price) return null;
+  const usd = (prompt_tokens * (price.input || 0) + completion_tokens * (price.output || 0)) / 1e6 + (price.request || 0);
+  return Math.round(usd * 1e6) / 1e6;
+}
@@ -0,0 +1,318 @@
+// api/_lib/providers.js
+// Provider adapter registry shared by every API route.
+// An adapter describes how to talk to one LLM API:
+//  { name, envKey, modelEnv, defaultModel, capabilities: { web, structuredOutput, streaming },
+//    buildRequest({ apiKey, model, system, user, temperature, json, stream }) -> { url, init },
+//    extractText(data) -> string,
+//    extractDelta(event) -> string   (optional; streaming responses, one parsed SSE event at a time),
+//    extractUsage(dataOrEvent) -> { prompt_tokens, completion_tokens } | null   (optional) }
+// `json` is { name, schema } when the caller wants structured output (see api/_lib/structured.js).
+// Routes call `complete(name, { system, user, temperature })` and never touch fetch directly;
+// `complete` owns timeouts and retries, api/_lib/fallback.js chains providers on top of it.
+// Token usage of every successful call is recorded through api/_lib/usage.js.
+// Files under api/_lib are not deployed as routes (underscore prefix).
+// Base URLs can be pointed elsewhere (a proxy, or the local stub in src/e2e/mockProviders.js):
+//  PERPLEXITY_BASE_URL, OPENAI_BASE_URL, GEMINI_BASE_URL   (read per request)
+
+import { toJsonSchema, toGeminiSchema } from './schemas.js';
+import { readSSE } from './sse.js';
+import { recordUsage } from './usage.js';
+
+const registry = new Map();
+
+// HTTP statuses worth retrying on the same provider before falling back.
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+export class ProviderError extends Error {
+  constructor(provider, message, { status = null, detail = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.detail = detail;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export function registerProvider(adapter) {
+  if (!adapter?.name || typeof adapter.buildRequest !== 'function' || typeof adapter.extractText !== 'function') {
+    throw new Error('Provider adapter needs name, buildRequest and extractText');
+  }
+  const capabilities = { streaming: typeof adapter.extractDelta === 'function', ...adapter.capabilities };
+  registry.set(adapter.name.toLowerCase(), { ...adapter, capabilities });
+  return adapter;
+}
+
+export function getProvider(name) {
+  const adapter = registry.get((name || '').toLowerCase());
+  if (!adapter) throw new Error(`Unknown provider "${name}"`);
+  return adapter;
+}
+
+export function listProviders() {
+  return [...registry.values()];
+}
+
+// A provider is configured when its auth env var is set (or it needs none).
+export function isConfigured(adapter) {
+  return !adapter.envKey || !!process.env[adapter.envKey];
+}
+
+export function resolveModel(adapter) {
+  return (adapter.modelEnv && process.env[adapter.modelEnv]) || adapter.defaultModel;
+}
+
+// Options (all optional):
+//  timeoutMs  per-request timeout (env LLM_TIMEOUT_MS, default 20s)
+//  retries    extra attempts on retryable statuses/timeouts (env LLM_MAX_RETRIES, default 2)
+//  backoffMs  base delay, doubled each retry (env LLM_BACKOFF_MS, default 500ms)
+export async function complete(name, { system, user, temperature = 0.3, json = null, timeoutMs, retries, backoffMs } = {}) {
+  const adapter = getProvider(name);
+  const apiKey = adapter.envKey ? process.env[adapter.envKey] : null;
+  if (adapter.envKey && !apiKey) throw new ProviderError(adapter.name, `${adapter.envKey} missing`);
+
+  const model = resolveModel(adapter);
+  const limits = {
+    timeoutMs: timeoutMs ?? envNumber('LLM_TIMEOUT_MS', 20000),
+    retries: retries ?? envNumber('LLM_MAX_RETRIES', 2),
+    backoffMs: backoffMs ?? envNumber('LLM_BACKOFF_MS', 500)
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const { url, init } = adapter.buildRequest({ apiKey, model, system, user, temperature, json });
+      const data = await requestJson(adapter.name, url, init, limits.timeoutMs);
+      const usage = recordUsage({ provider: adapter.name, model, ...adapter.extractUsage?.(data) });
+      return { text: adapter.extractText(data) || '', provider: adapter.name, model, raw: data, usage };
+    } catch (e) {
+      if (!e.retryable || attempt >= limits.retries) throw e;
+      const delay = e.retryAfterMs ?? limits.backoffMs * 2 ** attempt;
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+async function requestJson(provider, url, init, timeoutMs) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const r = await fetch(url, { ...init, signal: ctrl.signal });
+    if (!r.ok) {
+      const detail = await r.text().catch(() => '');
+      throw new ProviderError(provider, `${provider} error (HTTP ${r.status})`, {
+        status: r.status,
+        detail,
+        retryable: RETRYABLE_STATUS.has(r.status),
+        retryAfterMs: parseRetryAfter(r.headers?.get?.('retry-after'))
+      });
+    }
+    try {
+      return await r.json();
+    } catch {
+      throw new ProviderError(provider, `${provider} returned a non-JSON body`, { status: r.status });
+    }
+  } catch (e) {
+    if (e instanceof ProviderError) throw e;
+    if (ctrl.signal.aborted) {
+      throw new ProviderError(provider, `${provider} timed out after ${timeoutMs}ms`, { retryable: true });
+    }
+    // fetch only rejects on network failures (DNS, reset, refused).
+    throw new ProviderError(provider, `${provider} unreachable: ${e?.message || e}`, { retryable: true });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Opens a streaming completion. Resolves once the upstream has accepted the request, so
+// errors before the first byte still reach api/_lib/fallback.js, to
+// { provider, model, deltas } where `deltas` is an async iterable of text chunks.
+// Usage is recorded once the stream ends (providers report it in the last events).
+// `timeoutMs` bounds the wait for the response headers; `signal` cancels the whole stream.
+export async function openStream(name, { system, user, temperature = 0.3, timeoutMs, signal } = {}) {
+  const adapter = getProvider(name);
+  if (!adapter.capabilities.streaming) throw new ProviderError(adapter.name, `${adapter.name} cannot stream`);
+  const apiKey = adapter.envKey ? process.env[adapter.envKey] : null;
+  if (adapter.envKey && !apiKey) throw new ProviderError(adapter.name, `${adapter.envKey} missing`);
+
+  const model = resolveModel(adapter);
+  const { url, init } = adapter.buildRequest({ apiKey, model, system, user, temperature, stream: true });
+  const ctrl = new AbortController();
+  signal?.addEventListener('abort', () => ctrl.abort());
+  const limit = timeoutMs ?? envNumber('LLM_TIMEOUT_MS', 20000);
+  const timer = setTimeout(() => ctrl.abort(), limit);
+
+  let r;
+  try {
+    r = await fetch(url, { ...init, signal: ctrl.signal });
+  } catch (e) {
+    const msg = ctrl.signal.aborted ? `${adapter.name} timed out after ${limit}ms` : `${adapter.name} unreachable: ${e?.message || e}`;
+    throw new ProviderError(adapter.name, msg, { retryable: true });
+  } finally {
+    clearTimeout(timer);
+  }
+  if (!r.ok) {
+    const detail = await r.text().catch(() => '');
+    throw new ProviderError(adapter.name, `${adapter.name} error (HTTP ${r.status})`, { status: r.status, detail });
+  }
+
+  async function* deltas() {
+    let usage = null;
+    try {
+      for await (const payload of readSSE(r.body)) {
+        if (payload === '[DONE]') return;
+        let event;
+        try { event = JSON.parse(payload); } catch { continue; }
+        usage = adapter.extractUsage?.(event) || usage;
+        const text = adapter.extractDelta(event);
+        if (text) yield text;
+      }
+    } finally {
+      recordUsage({ provider: adapter.name, model, ...usage });
+    }
+  }
+
+  return { provider: adapter.name, model, deltas: deltas() };
+}
+
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+function envNumber(key, fallback) {
+  const n = Number(process.env[key]);
+  return process.env[key] !== undefined && Number.isFinite(n) ? n : fallback;
+}
+
+/** -------- Adapters -------- */
+
+// Any API that speaks the OpenAI chat-completions dialect (OpenAI, Perplexity, Ollama, LM Studio, vLLM...).
+// structuredOutput: 'json_schema' | 'json_object' | null (prompt-only JSON).
+// streamUsage: ask for a final usage chunk when streaming (`stream_options.include_usage`).
+// baseUrlEnv: env var that overrides baseUrl when set.
+export function openAICompatibleAdapter({ name, baseUrl, baseUrlEnv = null, envKey = null, modelEnv = null, defaultModel, capabilities = {}, structuredOutput = null, streamUsage = false }) {
+  return {
+    name,
+    envKey,
+    modelEnv,
+    defaultModel,
+    capabilities: { structuredOutput: !!structuredOutput, ...capabilities },
+    buildRequest({ apiKey, model, system, user, temperature, json, stream = false }) {
+      const messages = system ? [{ role: 'system', content: system }] : [];
+      messages.push({ role: 'user', content: user });
+      const format = json && structuredOutput ? responseFormat(structuredOutput, json) : null;
+      const base = (baseUrlEnv && process.env[baseUrlEnv]) || baseUrl;
+      return {
+        url: `${base.replace(/\/$/, '')}/chat/completions`,
+        init: {
+          method: 'POST',
+          headers: {
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            model,
+            temperature,
+            messages,
+            ...(format ? { response_format: format } : {}),
+            ...(stream ? { stream: true, ...(streamUsage ? { stream_options: { include_usage: true } } : {}) } : {})
+          })
+        }
+      };
+    },
+    extractText(data) {
+      return data?.choices?.[0]?.message?.content;
+    },
+    extractDelta(event) {
+      return event?.choices?.[0]?.delta?.content;
+    },
+    extractUsage(data) {
+      const u = data?.usage;
+      return u ? { prompt_tokens: u.prompt_tokens || 0, completion_tokens: u.completion_tokens || 0 } : null;
+    }
+  };
+}
+
+function responseFormat(mode, { name, schema }) {
+  if (mode === 'json_object') return { type: 'json_object' };
+  // The root must be an object; array results are unwrapped again by api/_lib/structured.js.
+  const root = schema.type === 'object' ? schema : { type: 'object', properties: { items: schema }, required: ['items'] };
+  return { type: 'json_schema', json_schema: { name, schema: toJsonSchema(root) } };
+}
+
+registerProvider(openAICompatibleAdapter({
+  name: 'perplexity',
+  baseUrl: 'https://api.perplexity.ai',
+  baseUrlEnv: 'PERPLEXITY_BASE_URL',
+  envKey: 'PERPLEXITY_API_KEY',
+  modelEnv: 'PERPLEXITY_MODEL',
+  defaultModel: 'sonar-pro',
+  // Perplexity searches the web, so its links are live rather than recalled.
+  capabilities: { web: true },
+  structuredOutput: 'json_schema'
+}));
+
+registerProvider(openAICompatibleAdapter({
+  name: 'openai',
+  baseUrl: 'https://api.openai.com/v1',
+  baseUrlEnv: 'OPENAI_BASE_URL',
+  envKey: 'OPENAI_API_KEY',
+  modelEnv: 'OPENAI_MODEL',
+  defaultModel: 'gpt-4o-mini',
+  capabilities: { web: false },
+  structuredOutput: 'json_schema',
+  streamUsage: true
+}));
+
+registerProvider({
+  name: 'gemini',
+  envKey: 'GEMINI_API_KEY',
+  modelEnv: 'GEMINI_MODEL',
+  defaultModel: 'gemini-1.5-flash',
+  capabilities: { web: false, structuredOutput: true },
+  buildRequest({ apiKey, model, system, user, temperature, json, stream = false }) {
+    const method = stream ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+    const base = (process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com').replace(/\/$/, '');
+    return {
+      url: `${base}/v1beta/models/${model}:${method}key=${apiKey}`,
+      init: {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+          contents: [{ role: 'user', parts: [{ text: user }] }],
+          generationConfig: {
+            temperature,
+            ...(json ? { responseMimeType: 'application/json', responseSchema: toGeminiSchema(json.schema) } : {})
+          }
+        })
+      }
+    };
+  },
+  extractText(data) {
+    return data?.candidates?.[0]?.content?.parts?.[0]?.text;
+  },
+  extractDelta(event) {
+    return event?.candidates?.[0]?.content?.parts?.[0]?.text;
+  },
+  // Streamed chunks carry running totals, so the last one wins.
+  extractUsage(data) {
+    const u = data?.usageMetadata;
+    return u ? { prompt_tokens: u.promptTokenCount || 0, completion_tokens: u.candidatesTokenCount || 0 } : null;
+  }
+});
+
+// Local models: set OLLAMA_BASE_URL (e.g. http://localhost:11434/v1) to enable.
+if (process.env.OLLAMA_BASE_URL) {
+  registerProvider(openAICompatibleAdapter({
+    name: 'ollama',
+    baseUrl: process.env.OLLAMA_BASE_URL,
+    modelEnv: 'OLLAMA_MODEL',
+    defaultModel: 'llama3.1',
+    capabilities: { web: false }
+  }));
+}
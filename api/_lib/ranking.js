@@ -0,0 +1,173 @@
+// api/_lib/ranking.js
+// Explainable ranking for link items (after api/_lib/verifyLinks.js).
+// Each item gets a weighted score from three signals, each 0..1:
+//  - duration:  fit against the learner's time budget (unknown durations score neutral)
+//  - platform:  how well the platform matches the learning format (Video / Text / Audio);
+//               podcast episodes count as their own platform and lead for Audio learners
+//  - authority: allow-listed sources score 1, everything else neutral; deny-listed sources are dropped
+// then a diversity pass lowers repeat creators, so one channel can't take every slot.
+// Items come back sorted with `score` and `score_breakdown: { duration, platform, authority, diversity }`.
+//
+// Configuration (request options win over env):
+//  RANK_WEIGHTS         JSON, e.g. {"duration":0.5,"platform":0.3,"authority":0.2}
+//  RANK_ALLOW_DOMAINS   comma-separated hosts (subdomains match), added to the defaults below
+//  RANK_DENY_DOMAINS    comma-separated hosts
+//  RANK_DIVERSITY       multiplier per earlier item from the same creator (default 0.8)
+
+import { normalizeUrl } from './verifyLinks.js';
+
+const DEFAULT_WEIGHTS = { duration: 0.45, platform: 0.3, authority: 0.25 };
+
+const DEFAULT_ALLOW = [
+  'developer.mozilla.org', 'wikipedia.org', 'khanacademy.org', 'ted.com',
+  'docs.python.org', 'freecodecamp.org', 'coursera.org', 'edx.org'
+];
+
+const AUDIO_HOSTS = [
+  'open.spotify.com', 'podcasts.apple.com', 'podcasts.google.com', 'soundcloud.com', 'overcast.fm', 'pca.st',
+  'buzzsprout.com', 'podbean.com', 'libsyn.com', 'simplecast.com', 'transistor.fm', 'anchor.fm', 'podcasters.spotify.com'
+];
+
+// URL shapes of a single episode (rather than a show page or a profile).
+const EPISODE_PATTERNS = [
+  /open\.spotify\.com\/episode\//,
+  /podcasts\.apple\.com\/.*[?&]i=\d+/,
+  /podcasts\.google\.com\/feed\/.+\/episode\//,
+  /overcast\.fm\/\+/,
+  /pca\.st\/episode\//,
+  /buzzsprout\.com\/\d+\/\d+/,
+  /podbean\.com\/(e|ew)\//,
+  /\/episodes?\//
+];
+
+// Preference per learning format; `podcast` is an episode, `audio` any other audio / podcast page.
+const PLATFORM_FIT = {
+  Video: { youtube: 1, tiktok: 0.8, podcast: 0.3, audio: 0.3, web: 0.3 },
+  Text: { web: 1, youtube: 0.4, podcast: 0.2, audio: 0.2, tiktok: 0.2 },
+  Audio: { podcast: 1, audio: 0.7, youtube: 0.6, web: 0.4, tiktok: 0.2 }
+};
+
+// options: { budgetS = 300, allowLonger = false, format = 'Video', weights, allow, deny, diversity }
+export function rankLinks(items, options = {}) {
+  const opts = rankingOptions(options);
+
+  const seen = new Set();
+  const scored = [];
+  for (const item of items) {
+    const key = dedupeKey(item.url);
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const host = hostOf(item.url);
+    if (matchesHost(host, opts.deny)) continue;
+
+    const parts = {
+      duration: durationFit(item.est_duration_s, opts.budgetS, opts.allowLonger),
+      platform: platformFit(item, host, opts.format),
+      authority: matchesHost(host, opts.allow) ? 1 : 0.5
+    };
+    const base = Object.keys(DEFAULT_WEIGHTS).reduce((sum, k) => sum + parts[k] * (opts.weights[k] || 0), 0) / opts.weightTotal;
+    scored.push({ item, parts, base, creator: creatorOf(item, host) });
+  }
+
+  // Greedy: take the best remaining item, then discount the rest from the same creator.
+  const picked = [];
+  const perCreator = new Map();
+  let pool = scored;
+  while (pool.length) {
+    const withDiversity = pool.map(s => ({ ...s, diversity: opts.diversity ** (perCreator.get(s.creator) || 0) }));
+    const best = withDiversity.reduce((a, b) => (b.base * b.diversity > a.base * a.diversity ? b : a));
+    picked.push(best);
+    perCreator.set(best.creator, (perCreator.get(best.creator) || 0) + 1);
+    pool = pool.filter(s => s.item !== best.item);
+  }
+
+  return picked.map(({ item, parts, base, diversity }) => ({
+    ...item,
+    score: round(base * diversity),
+    score_breakdown: { duration: round(parts.duration), platform: round(parts.platform), authority: round(parts.authority), diversity: round(diversity) }
+  }));
+}
+
+export function rankingOptions({ budgetS, allowLonger = false, format, weights, allow, deny, diversity } = {}) {
+  const merged = { ...DEFAULT_WEIGHTS, ...envJson('RANK_WEIGHTS'), ...(weights || {}) };
+  const total = Object.keys(DEFAULT_WEIGHTS).reduce((sum, k) => sum + Math.max(0, Number(merged[k]) || 0), 0);
+  return {
+    budgetS: Number(budgetS) > 0 ? Number(budgetS) : 300,
+    allowLonger: !!allowLonger,
+    format: PLATFORM_FIT[format] ? format : 'Video',
+    weights: merged,
+    weightTotal: total || 1,
+    allow: [...DEFAULT_ALLOW, ...envList('RANK_ALLOW_DOMAINS'), ...(allow || [])],
+    deny: [...envList('RANK_DENY_DOMAINS'), ...(deny || [])],
+    diversity: clamp(Number(diversity ?? process.env.RANK_DIVERSITY ?? 0.8), 0, 1)
+  };
+}
+
+/** -------- Signals -------- */
+
+// Full marks up to the budget (very short clips lose a little); beyond it the score decays
+// with the overrun, gently when the learner allowed longer content.
+export function durationFit(seconds, budgetS, allowLonger) {
+  if (typeof seconds !== 'number' || !(seconds > 0)) return 0.5;
+  if (seconds < 30) return 0.7;
+  if (seconds <= budgetS) return 1;
+  const ratio = budgetS / seconds;
+  return allowLonger ? Math.max(0.2, ratio) : ratio ** 2;
+}
+
+function platformFit(item, host, format) {
+  const kind = isPodcastEpisode(item.url, host) ? 'podcast'
+    : matchesHost(host, AUDIO_HOSTS) ? 'audio'
+    : (item.platform || 'web');
+  return PLATFORM_FIT[format][kind] ?? PLATFORM_FIT[format].web;
+}
+
+export function isPodcastEpisode(url, host = hostOf(url)) {
+  return matchesHost(host, AUDIO_HOSTS) && EPISODE_PATTERNS.some(re => re.test(url));
+}
+
+/** -------- Utilities -------- */
+
+// Same video behind different URL shapes (youtu.be, shorts, tracking params) collapses to one key.
+function dedupeKey(url) {
+  const n = normalizeUrl(url);
+  if (n?.id) return `${n.platform}:${n.id}`;
+  return n?.url || String(url);
+}
+
+function creatorOf(item, host) {
+  return item.author ? `author:${String(item.author).trim().toLowerCase()}` : `host:${host}`;
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^(www|m)\./, '').toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+function matchesHost(host, list) {
+  return !!host && list.some(d => host === d || host.endsWith(`.${d}`));
+}
+
+function envList(key) {
+  return String(process.env[key] || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+}
+
+function envJson(key) {
+  try {
+    return process.env[key] ? JSON.parse(process.env[key]) : {};
+  } catch {
+    return {};
+  }
+}
+
+function clamp(n, lo, hi) {
+  return Number.isFinite(n) ? Math.min(hi, Math.max(lo, n)) : hi;
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
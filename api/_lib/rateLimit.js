@@ -0,0 +1,134 @@
+// api/_lib/rateLimit.js
+// Token-bucket rate limits and daily quotas, per user and per IP.
+// Counter stores implement:
+//  take(key, { capacity, refillPerSec, cost, now }) -> { allowed, remaining, retryAfterMs }
+//  incr(key, by, ttlSeconds, now) -> count after increment
+// Scopes: `user` (signed-in caller), `ip` (anonymous caller) and `shared_ip` (the IP of signed-in
+// callers, looser so one office NAT doesn't throttle everyone). Limits come from env as
+// "<requests>/<seconds>" (RATE_LIMIT_USER, RATE_LIMIT_IP, RATE_LIMIT_SHARED_IP) and daily counts
+// (DAILY_QUOTA_USER, DAILY_QUOTA_IP). RATE_LIMIT_STORE: memory (default) | kv.
+// Anonymous sessions (api/session.js) cost nothing to mint, so their calls also count towards
+// DAILY_QUOTA_IP together with the anonymous calls from the same IP; a fresh session doesn't reset it.
+
+const DEFAULTS = {
+  user: { rate: '30/60', daily: 300 },
+  ip: { rate: '10/60', daily: 50 },
+  shared_ip: { rate: '120/60', daily: Infinity }
+};
+
+export function limitsFor(scope) {
+  const env = scope.toUpperCase();
+  const [count, seconds] = String(process.env[`RATE_LIMIT_${env}`] || DEFAULTS[scope].rate).split('/').map(Number);
+  const daily = Number(process.env[`DAILY_QUOTA_${env}`] || DEFAULTS[scope].daily);
+  return { capacity: count, refillPerSec: count / (seconds || 60), daily };
+}
+
+// Resolves to { allowed, code, retryAfterMs, remaining }.
+// Signed-in callers are limited both as a user and by IP; anonymous callers by IP only.
+export async function checkLimits(identity, { cost = 1, store = defaultCounterStore(), now = Date.now() } = {}) {
+  const ip = { key: `ip:${identity.ip}`, limits: limitsFor('ip') };
+  const scopes = identity.kind === 'ip'
+    ? [ip]
+    : [{ key: identity.id, limits: limitsFor('user') }, { key: `shared_ip:${identity.ip}`, limits: limitsFor('shared_ip') }];
+
+  let remaining = Infinity;
+  for (const { key, limits } of scopes) {
+    const bucket = await store.take(`bucket:${key}`, { capacity: limits.capacity, refillPerSec: limits.refillPerSec, cost, now });
+    if (!bucket.allowed) return { allowed: false, code: 'rate_limited', retryAfterMs: bucket.retryAfterMs, remaining: 0 };
+    remaining = Math.min(remaining, bucket.remaining);
+  }
+
+  // The caller's own scope counts towards a daily quota, and for sessions their IP's as well.
+  const quotas = identity.kind === 'session' ? [scopes[0], ip] : [scopes[0]];
+  const day = new Date(now).toISOString().slice(0, 10);
+  for (const { key, limits } of quotas) {
+    const used = await store.incr(`quota:${key}:${day}`, cost, 26 * 3600, now);
+    if (used > limits.daily) {
+      return { allowed: false, code: 'quota_exceeded', retryAfterMs: msUntilUtcMidnight(now), remaining: 0 };
+    }
+  }
+  return { allowed: true, code: null, retryAfterMs: 0, remaining };
+}
+
+function msUntilUtcMidnight(now) {
+  const d = new Date(now);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1) - now;
+}
+
+/** -------- Stores -------- */
+
+export function memoryCounterStore() {
+  const buckets = new Map();
+  const counters = new Map();
+  return {
+    async take(key, { capacity, refillPerSec, cost = 1, now }) {
+      const b = buckets.get(key) || { tokens: capacity, updated: now };
+      const tokens = Math.min(capacity, b.tokens + ((now - b.updated) / 1000) * refillPerSec);
+      if (tokens < cost) {
+        buckets.set(key, { tokens, updated: now });
+        return { allowed: false, remaining: 0, retryAfterMs: Math.ceil(((cost - tokens) / refillPerSec) * 1000) };
+      }
+      buckets.set(key, { tokens: tokens - cost, updated: now });
+      return { allowed: true, remaining: Math.floor(tokens - cost), retryAfterMs: 0 };
+    },
+    async incr(key, by, ttlSeconds, now) {
+      const c = counters.get(key);
+      const next = c && now < c.expiresAt ? { ...c, count: c.count + by } : { count: by, expiresAt: now + ttlSeconds * 1000 };
+      counters.set(key, next);
+      return next.count;
+    }
+  };
+}
+
+// Upstash / Vercel KV REST API; both operations run as Lua scripts so they stay atomic.
+const TAKE_SCRIPT = `
+local b = redis.call('HMGET', KEYS[1], 'tokens', 'updated')
+local cap, rate, cost, now = tonumber(ARGV[1]), tonumber(ARGV[2]), tonumber(ARGV[3]), tonumber(ARGV[4])
+local tokens = tonumber(b[1]) or cap
+local updated = tonumber(b[2]) or now
+tokens = math.min(cap, tokens + ((now - updated) / 1000) * rate)
+local allowed = 0
+if tokens >= cost then tokens = tokens - cost allowed = 1 end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updated', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil(cap / rate * 1000) + 1000)
+return { allowed, tostring(tokens) }`;
+
+const INCR_SCRIPT = `
+local n = redis.call('INCRBY', KEYS[1], ARGV[1])
+if n == tonumber(ARGV[1]) then redis.call('EXPIRE', KEYS[1], ARGV[2]) end
+return n`;
+
+export function kvCounterStore({ url = process.env.KV_REST_API_URL, token = process.env.KV_REST_API_TOKEN } = {}) {
+  if (!url || !token) throw new Error('KV_REST_API_URL / KV_REST_API_TOKEN missing');
+  const call = async (...command) => {
+    const r = await fetch(url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(command)
+    });
+    if (!r.ok) throw new Error(`KV error (HTTP ${r.status})`);
+    return (await r.json()).result;
+  };
+  return {
+    async take(key, { capacity, refillPerSec, cost = 1, now }) {
+      const [allowed, tokens] = await call('EVAL', TAKE_SCRIPT, '1', `rl:${key}`, capacity, refillPerSec, cost, now);
+      const left = Number(tokens);
+      return allowed
+        ? { allowed: true, remaining: Math.floor(left), retryAfterMs: 0 }
+        : { allowed: false, remaining: 0, retryAfterMs: Math.ceil(((cost - left) / refillPerSec) * 1000) };
+    },
+    async incr(key, by, ttlSeconds) {
+      return Number(await call('EVAL', INCR_SCRIPT, '1', `rl:${key}`, by, ttlSeconds));
+    }
+  };
+}
+
+let shared;
+export function setCounterStore(store) {
+  shared = store;
+}
+
+export function defaultCounterStore() {
+  if (!shared) shared = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase() === 'kv' ? kvCounterStore() : memoryCounterStore();
+  return shared;
+}
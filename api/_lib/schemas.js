@@ -0,0 +1,223 @@
+// api/_lib/schemas.js
+// Declared output schemas for every LLM task, plus a small validator.
+// Schemas use a JSON Schema subset: type, properties, required, items, enum,
+// minItems, maxItems, minLength, minimum, maximum, pattern, nullable, description.
+// `dropInvalidItems` (arrays, ours): items failing their schema are dropped rather than failing the whole answer.
+// `additionalProperties` (a schema) checks the values of keys not listed in `properties`, e.g. maps keyed by step;
+// `maxProperties` caps how many keys an object may have. Neither is sent to the providers.
+// `toJsonSchema` / `toGeminiSchema` translate them for the providers' native structured-output modes.
+
+const LINK_ITEM = {
+  type: 'object',
+  properties: {
+    platform: { type: 'string', description: 'youtube, tiktok or web' },
+    title: { type: 'string', nullable: true },
+    url: { type: 'string', pattern: '^https?://' },
+    est_duration_s: { type: 'number', nullable: true, minimum: 0 },
+    reason: { type: 'string', nullable: true }
+  },
+  required: ['url']
+};
+
+export const SCHEMAS = {
+  // One made-up or malformed link shouldn't cost the good ones.
+  links: {
+    type: 'array',
+    dropInvalidItems: true,
+    items: LINK_ITEM
+  },
+
+  recommendations: {
+    type: 'object',
+    properties: {
+      recommendations: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 5,
+        items: {
+          type: 'object',
+          properties: {
+            topic: { type: 'string', minLength: 1 },
+            description: { type: 'string' },
+            url: { type: 'string', nullable: true, pattern: '^https?://' },
+            minutes: { type: 'number', minimum: 1 },
+            narration: { type: 'string', description: 'spoken lesson script (Audio format only)' }
+          },
+          required: ['topic', 'description', 'minutes']
+        }
+      }
+    },
+    required: ['recommendations']
+  },
+
+  summary: {
+    type: 'object',
+    properties: {
+      text: { type: 'string', minLength: 1 },
+      key_points: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['text']
+  },
+
+  videoSummary: {
+    type: 'object',
+    properties: {
+      text: { type: 'string', minLength: 1 },
+      key_points: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 10,
+        items: {
+          type: 'object',
+          properties: {
+            t: { type: 'number', minimum: 0, description: 'seconds from the start of the video where the point is made' },
+            point: { type: 'string', minLength: 1 }
+          },
+          required: ['t', 'point']
+        }
+      }
+    },
+    required: ['text', 'key_points']
+  },
+
+  outline: {
+    type: 'object',
+    properties: {
+      modules: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 8,
+        items: {
+          type: 'object',
+          properties: {
+            title: { type: 'string', minLength: 1 },
+            lessons: {
+              type: 'array',
+              minItems: 1,
+              maxItems: 6,
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string', minLength: 1, description: 'short unique slug' },
+                  title: { type: 'string', minLength: 1 },
+                  objective: { type: 'string' },
+                  requires: { type: 'array', items: { type: 'string' }, description: 'ids of prerequisite lessons' }
+                },
+                required: ['id', 'title', 'objective', 'requires']
+              }
+            }
+          },
+          required: ['title', 'lessons']
+        }
+      }
+    },
+    required: ['modules']
+  },
+
+  quiz: {
+    type: 'object',
+    properties: {
+      questions: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', enum: ['multiple_choice', 'short_answer'] },
+            question: { type: 'string', minLength: 1 },
+            options: { type: 'array', nullable: true, items: { type: 'string' } },
+            answer: { type: 'string', minLength: 1 },
+            explanation: { type: 'string' },
+            distractor_explanations: {
+              type: 'array',
+              nullable: true,
+              items: {
+                type: 'object',
+                properties: { option: { type: 'string' }, why: { type: 'string' } },
+                required: ['option', 'why']
+              }
+            },
+            difficulty: { type: 'string', enum: ['easy', 'medium', 'hard'] }
+          },
+          required: ['type', 'question', 'answer', 'explanation', 'difficulty']
+        }
+      }
+    },
+    required: ['questions']
+  }
+};
+
+/** -------- Validation -------- */
+
+// Returns a list of human-readable errors ("$.items[0].url: expected string"); empty when valid.
+export function validate(value, schema, path = '$') {
+  if (value === null || value === undefined) {
+    return schema.nullable ? [] : [`${path}: expected ${schema.type}, got ${value}`];
+  }
+
+  const errors = [];
+  const actual = Array.isArray(value) ? 'array' : typeof value;
+  const ok = schema.type === 'integer' ? Number.isInteger(value) : actual === schema.type;
+  if (!ok) return [`${path}: expected ${schema.type}, got ${actual}`];
+
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: must not be empty`);
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: must match ${schema.pattern}`);
+  if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be ≥ ${schema.minimum}`);
+  if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be ≤ ${schema.maximum}`);
+
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: needs at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: allows at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((v, i) => errors.push(...validate(v, schema.items, `${path}[${i}]`)));
+  }
+
+  if (actual === 'object' && schema.properties) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key}: is required`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties)) {
+      if (key in value) errors.push(...validate(value[key], sub, `${path}.${key}`));
+    }
+  }
+  if (actual === 'object') {
+    const keys = Object.keys(value);
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) errors.push(`${path}: allows at most ${schema.maxProperties} keys`);
+    if (schema.additionalProperties) {
+      for (const key of keys.filter(k => !schema.properties?.[k])) {
+        errors.push(...validate(value[key], schema.additionalProperties, `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/** -------- Provider translations -------- */
+
+// OpenAI / Perplexity `response_format.json_schema` (nullable -> type union, root must be an object).
+export function toJsonSchema(schema) {
+  const out = {};
+  out.type = schema.nullable ? [schema.type, 'null'] : schema.type;
+  for (const key of ['enum', 'minItems', 'maxItems', 'minLength', 'minimum', 'maximum', 'pattern', 'description', 'required']) {
+    if (schema[key] !== undefined) out[key] = schema[key];
+  }
+  if (schema.items) out.items = toJsonSchema(schema.items);
+  if (schema.properties) {
+    out.properties = Object.fromEntries(Object.entries(schema.properties).map(([k, v]) => [k, toJsonSchema(v)]));
+  }
+  return out;
+}
+
+// Gemini `responseSchema` (OpenAPI subset; no pattern or numeric bounds).
+export function toGeminiSchema(schema) {
+  const out = { type: schema.type.toUpperCase() };
+  for (const key of ['enum', 'nullable', 'description', 'required', 'minItems', 'maxItems']) {
+    if (schema[key] !== undefined) out[key] = schema[key];
+  }
+  if (schema.items) out.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    out.properties = Object.fromEntries(Object.entries(schema.properties).map(([k, v]) => [k, toGeminiSchema(v)]));
+  }
+  return out;
+}
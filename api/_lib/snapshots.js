@@ -0,0 +1,166 @@
+// api/_lib/snapshots.js
+// Saved path snapshots behind short unguessable ids, for shareable /share/<id> links.
+// Snapshot: { id, createdAt, expiresAt | null, inputs: { subject, goals, experienceLevel, learningFormat, model, language },
+//             provider, recommendations, summaries, quiz }
+// `summaries` is { [step]: { text, key_points } } for steps of the path, `quiz` the questions of the /api/llm quiz task.
+// Stores implement { put(id, snapshot, ttlSeconds | null), get(id) -> snapshot | null }.
+// SNAPSHOT_STORE selects the default store: memory | file | kv (the default when KV_REST_API_URL is set, else memory).
+// Memory and file stores live inside one instance, so on Vercel (where every instance has its own) only kv is shared:
+// see `isSharedSnapshotStore`.
+
+import { randomBytes } from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { SCHEMAS, validate } from './schemas.js';
+
+const STEP = {
+  type: 'object',
+  properties: {
+    step: { type: 'number', minimum: 1 },
+    topic: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    url: { type: 'string', nullable: true, pattern: '^https?://' },
+    minutes: { type: 'number', minimum: 1 },
+    narration: { type: 'string', nullable: true }
+  },
+  required: ['step', 'topic', 'description', 'minutes']
+};
+
+export const SNAPSHOT_SCHEMA = {
+  type: 'object',
+  properties: {
+    inputs: {
+      type: 'object',
+      properties: {
+        subject: { type: 'string', minLength: 1 },
+        goals: { type: 'string', nullable: true },
+        experienceLevel: { type: 'string' },
+        learningFormat: { type: 'string' },
+        model: { type: 'string' },
+        language: { type: 'string', nullable: true }
+      },
+      required: ['subject']
+    },
+    provider: { type: 'string', nullable: true },
+    recommendations: { type: 'array', minItems: 1, maxItems: 10, items: STEP },
+    summaries: {
+      type: 'object',
+      nullable: true,
+      maxProperties: 10,
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          text: { type: 'string', minLength: 1 },
+          key_points: { type: 'array', maxItems: 20, items: { type: 'string' } }
+        },
+        required: ['text']
+      }
+    },
+    quiz: { type: 'array', nullable: true, maxItems: 20, items: SCHEMAS.quiz.properties.questions.items }
+  },
+  required: ['inputs', 'recommendations']
+};
+
+// 12 random bytes -> 16 url-safe characters.
+export function newSnapshotId() {
+  return randomBytes(12).toString('base64url');
+}
+
+export function isSnapshotId(id) {
+  return typeof id === 'string' && /^[\w-]{16}$/.test(id);
+}
+
+/** -------- Stores -------- */
+
+export function memorySnapshotStore() {
+  const map = new Map();
+  return {
+    async put(id, snapshot) { map.set(id, snapshot); },
+    async get(id) {
+      const s = map.get(id);
+      if (s?.expiresAt && Date.now() >= s.expiresAt) { map.delete(id); return null; }
+      return s || null;
+    }
+  };
+}
+
+export function fileSnapshotStore(dir = process.env.SNAPSHOT_DIR || path.join(os.tmpdir(), 'path-snapshots')) {
+  const file = (id) => path.join(dir, `${id}.json`);
+  return {
+    async put(id, snapshot) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(file(id), JSON.stringify(snapshot));
+    },
+    async get(id) {
+      try {
+        const s = JSON.parse(await fs.readFile(file(id), 'utf8'));
+        if (s.expiresAt && Date.now() >= s.expiresAt) {
+          await fs.rm(file(id), { force: true });
+          return null;
+        }
+        return s;
+      } catch {
+        return null;
+      }
+    }
+  };
+}
+
+// Upstash / Vercel KV REST API; expiry is left to Redis.
+export function kvSnapshotStore({ url = process.env.KV_REST_API_URL, token = process.env.KV_REST_API_TOKEN } = {}) {
+  if (!url || !token) throw new Error('KV_REST_API_URL / KV_REST_API_TOKEN missing');
+  const call = async (...command) => {
+    const r = await fetch(url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(command)
+    });
+    if (!r.ok) throw new Error(`KV error (HTTP ${r.status})`);
+    return (await r.json()).result;
+  };
+  return {
+    async put(id, snapshot, ttlSeconds) {
+      await call('SET', `snapshot:${id}`, JSON.stringify(snapshot), ...(ttlSeconds ? ['EX', String(ttlSeconds)] : []));
+    },
+    async get(id) {
+      const raw = await call('GET', `snapshot:${id}`);
+      return raw ? JSON.parse(raw) : null;
+    }
+  };
+}
+
+let shared;
+let injected = false;
+export function setSnapshotStore(store) {
+  shared = store;
+  injected = !!store;
+}
+
+function storeKind() {
+  return (process.env.SNAPSHOT_STORE || (process.env.KV_REST_API_URL ? 'kv' : 'memory')).toLowerCase();
+}
+
+export function defaultSnapshotStore() {
+  if (shared) return shared;
+  const kind = storeKind();
+  shared = kind === 'file' ? fileSnapshotStore()
+    : kind === 'kv' ? kvSnapshotStore()
+    : memorySnapshotStore();
+  return shared;
+}
+
+// False when a saved link could 404 on the next request: a memory or file store on Vercel's serverless instances.
+// A store passed to setSnapshotStore is trusted.
+export function isSharedSnapshotStore() {
+  return injected || storeKind() === 'kv' || !process.env.VERCEL;
+}
+
+export function validateSnapshot(body) {
+  const errors = validate(body, SNAPSHOT_SCHEMA);
+  const steps = new Set((Array.isArray(body?.recommendations) ? body.recommendations : []).map(r => String(r?.step)));
+  for (const key of Object.keys(body?.summaries || {})) {
+    if (!steps.has(key)) errors.push(`$.summaries.${key}: not a step of the path`);
+  }
+  return errors;
+}
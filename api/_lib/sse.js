@@ -0,0 +1,57 @@
+// api/_lib/sse.js
+// Server-Sent Events on both sides of /api/llm streaming:
+//  - readSSE: parse an upstream provider stream (web ReadableStream) into `data:` payloads
+//  - openSSE: write our normalized stream to the client
+// Normalized client format (one JSON object per event):
+//  event: meta   data: { provider, requested, attempts }
+//  event: delta  data: { text }
+//  event: done   data: { text, provider, usage }
+//  event: error  data: { error, code }
+
+export async function* readSSE(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buf = '';
+  let data = [];
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buf += decoder.decode(value, { stream: true });
+
+      let nl;
+      while ((nl = buf.indexOf('\n')) !== -1) {
+        const line = buf.slice(0, nl).replace(/\r$/, '');
+        buf = buf.slice(nl + 1);
+        if (line === '') {
+          if (data.length) yield data.join('\n');
+          data = [];
+        } else if (line.startsWith('data:')) {
+          data.push(line.slice(5).replace(/^ /, ''));
+        }
+      }
+    }
+    if (data.length) yield data.join('\n');
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+export function openSSE(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disable proxy buffering (nginx) so deltas reach the browser immediately.
+    'X-Accel-Buffering': 'no'
+  });
+  return {
+    send(event, data) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      res.end();
+    }
+  };
+}
@@ -0,0 +1,114 @@
+// api/_lib/structured.js
+// Structured (JSON) completions validated against api/_lib/schemas.js.
+// Flow: native JSON mode where the provider has one -> repair common faults
+// (code fences, surrounding prose, trailing commas, {items:[...]} wrappers) -> validate
+// -> on failure, re-prompt the same provider once with the errors -> SchemaError.
+// For `dropInvalidItems` arrays (links), invalid items are dropped instead; only an answer with none left fails.
+
+import { complete } from './providers.js';
+import { SCHEMAS, validate } from './schemas.js';
+
+export class SchemaError extends Error {
+  // code: 'invalid_json' (nothing parseable) | 'schema_mismatch' (parsed but invalid)
+  constructor(code, task, errors, raw) {
+    super(`Model output failed ${task} schema (${code})`);
+    this.name = 'SchemaError';
+    this.code = code;
+    this.task = task;
+    this.errors = errors;
+    this.raw = raw;
+  }
+}
+
+// Resolves to { value, text, provider, model, raw, repaired, reprompted }.
+export async function completeJson(provider, task, { system, user, temperature, ...opts }) {
+  const schema = SCHEMAS[task];
+  if (!schema) throw new Error(`No schema declared for task "${task}"`);
+  const json = { name: task, schema };
+
+  const first = await complete(provider, { system, user, temperature, json, ...opts });
+  const firstTry = check(first.text, schema);
+  if (firstTry.ok) return { ...first, value: firstTry.value, repaired: firstTry.repaired, reprompted: false };
+
+  const retryUser = [
+    user,
+    '',
+    'Your previous answer was not valid:',
+    ...firstTry.errors.slice(0, 10).map(e => `- ${e}`),
+    'Previous answer:',
+    first.text.slice(0, 4000),
+    '',
+    'Reply again with corrected JSON only, no prose or code fences.'
+  ].join('\n');
+
+  const second = await complete(provider, { system, user: retryUser, temperature, json, ...opts });
+  const secondTry = check(second.text, schema);
+  if (secondTry.ok) return { ...second, value: secondTry.value, repaired: secondTry.repaired, reprompted: true };
+
+  throw new SchemaError(secondTry.code, task, secondTry.errors, second.text);
+}
+
+function check(text, schema) {
+  const parsed = repairJson(text);
+  if (!parsed) return { ok: false, code: 'invalid_json', errors: ['$: response is not valid JSON'] };
+
+  const shaped = coerceShape(parsed.value, schema);
+  const value = dropInvalidItems(shaped, schema);
+  // With nothing valid left, the errors are the original items', so the re-prompt can fix them.
+  const emptied = value !== shaped && value.length === 0;
+  const errors = validate(emptied ? shaped : value, schema);
+  if (errors.length) return { ok: false, code: 'schema_mismatch', errors };
+  return { ok: true, value, repaired: parsed.repaired || value !== parsed.value };
+}
+
+// Keeps the valid items of a `dropInvalidItems` array; anything else is returned as is.
+function dropInvalidItems(value, schema) {
+  if (!schema.dropInvalidItems || !Array.isArray(value)) return value;
+  const valid = value.filter(item => validate(item, schema.items).length === 0);
+  return valid.length === value.length ? value : valid;
+}
+
+// Returns { value, repaired } or null when no JSON can be recovered.
+export function repairJson(text) {
+  const src = String(text || '').trim();
+  const direct = tryParse(src);
+  if (direct.ok) return { value: direct.value, repaired: false };
+
+  const candidates = [];
+  const fenced = /```(?:json)?\s*([\s\S]*?)```/i.exec(src);
+  if (fenced) candidates.push(fenced[1].trim());
+  const start = src.search(/[[{]/);
+  const end = Math.max(src.lastIndexOf('}'), src.lastIndexOf(']'));
+  if (start !== -1 && end > start) candidates.push(src.slice(start, end + 1));
+
+  for (const c of candidates) {
+    const cleaned = c
+      .replace(/[“”]/g, '"')
+      .replace(/,\s*([}\]])/g, '$1');
+    const r = tryParse(cleaned);
+    if (r.ok) return { value: r.value, repaired: true };
+  }
+  return null;
+}
+
+function tryParse(s) {
+  try {
+    return { ok: true, value: JSON.parse(s) };
+  } catch {
+    return { ok: false };
+  }
+}
+
+// Unwrap `{items: [...]}`-style objects when an array is expected, and wrap a
+// bare array when the schema is an object with a single array property.
+function coerceShape(value, schema) {
+  if (schema.type === 'array' && value && !Array.isArray(value) && typeof value === 'object') {
+    const arrays = Object.values(value).filter(Array.isArray);
+    if (arrays.length === 1) return arrays[0];
+  }
+  if (schema.type === 'object' && Array.isArray(value)) {
+    const arrayKeys = Object.entries(schema.properties || {}).filter(([, s]) => s.type === 'array').map(([k]) => k);
+    if (arrayKeys.length === 1) return { [arrayKeys[0]]: value };
+  }
+  return value;
+}
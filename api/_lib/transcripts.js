@@ -0,0 +1,231 @@
+// api/_lib/transcripts.js
+// Video transcripts for the `videoSummary` task of api/llm.js.
+//  - parseVideoUrl: YouTube (watch, youtu.be, shorts, embed, live) and TikTok (/@user/video/<id>) URLs -> { platform, id, url },
+//    read with normalizeUrl from api/_lib/verifyLinks.js (src/lib/video.js mirrors it for the app)
+//  - loadTranscript: cached fetch (api/_lib/cache.js, task "transcript") through the current fetcher
+//  - chunkTranscript: splits long transcripts into prompt-sized chunks of timestamped lines
+// A fetcher is async ({ platform, id, url }, { lang }) -> { language, generated, segments: [{ start, duration, text }] } | null
+// (seconds; null when the video has no captions). The default one reads YouTube's caption tracks and
+// TikTok's subtitle files; tests and other deployments swap it with setTranscriptFetcher.
+// Nothing is made up when captions are missing: loadTranscript throws TranscriptUnavailableError.
+
+import { cached, cacheKey } from './cache.js';
+import { normalizeUrl } from './verifyLinks.js';
+
+const TIMEOUT_MS = 10000;
+// Characters of transcript per model call; longer videos are summarized chunk by chunk.
+export const CHUNK_CHARS = 12000;
+export const MAX_CHUNKS = 8;
+
+export class TranscriptUnavailableError extends Error {
+  // reason: 'no_transcript' (the video has no captions) | 'fetch_failed' (the platform didn't answer)
+  constructor(video, reason, detail = null) {
+    super(`No transcript for ${video.platform} video ${video.id} (${reason})`);
+    this.name = 'TranscriptUnavailableError';
+    this.video = video;
+    this.reason = reason;
+    this.detail = detail;
+  }
+}
+
+/** -------- URLs -------- */
+
+// Video links as verifyLinks.js normalizes them, reduced to the bare video (no start time).
+export function parseVideoUrl(input) {
+  const link = normalizeUrl(input ?? '');
+  if (link?.kind !== 'video') return null;
+  const url = link.platform === 'youtube' ? `https://www.youtube.com/watch?v=${link.id}` : link.url;
+  return { platform: link.platform, id: link.id, url };
+}
+
+// Link to a moment in the video. TikTok has no start-time parameter, so its links open the video itself.
+export function videoUrlAt(video, seconds) {
+  return video.platform === 'youtube' ? `${video.url}&t=${Math.floor(seconds)}s` : video.url;
+}
+
+export function formatTime(seconds) {
+  const s = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(s / 3600);
+  const mm = String(Math.floor((s % 3600) / 60)).padStart(h ? 2 : 1, '0');
+  const ss = String(s % 60).padStart(2, '0');
+  return h ? `${h}:${mm}:${ss}` : `${mm}:${ss}`;
+}
+
+/** -------- Loading -------- */
+
+let fetcher;
+
+export function setTranscriptFetcher(fn) {
+  fetcher = fn;
+}
+
+// Resolves to { value: transcript, cache } like cached(); a missing transcript is not cached,
+// so captions added later are picked up.
+export async function loadTranscript(video, { lang = 'en', noCache = false } = {}) {
+  const key = cacheKey({ provider: video.platform, task: 'transcript', query: '', options: { id: video.id, lang } });
+  return cached({ key, task: 'transcript', noCache }, async () => {
+    let transcript;
+    try {
+      transcript = await (fetcher || defaultFetcher)(video, { lang });
+    } catch (e) {
+      throw new TranscriptUnavailableError(video, 'fetch_failed', String(e?.message || e));
+    }
+    const segments = (transcript?.segments || []).filter(s => s.text && Number.isFinite(s.start));
+    if (!segments.length) throw new TranscriptUnavailableError(video, 'no_transcript');
+    return { language: transcript.language || null, generated: !!transcript.generated, segments };
+  });
+}
+
+export function transcriptDuration(transcript) {
+  const last = transcript.segments[transcript.segments.length - 1];
+  return Math.ceil(last.start + (last.duration || 0));
+}
+
+/** -------- Chunking -------- */
+
+// Segments are merged into lines of about `lineSeconds` ("[m:ss] text"), then packed into chunks of
+// at most `maxChars` (raised when needed so there are never more than MAX_CHUNKS).
+// Returns [{ start, end, text }].
+export function chunkTranscript(transcript, { maxChars = CHUNK_CHARS, lineSeconds = 20 } = {}) {
+  const lines = [];
+  for (const seg of transcript.segments) {
+    const last = lines[lines.length - 1];
+    if (last && seg.start - last.start < lineSeconds) {
+      last.text += ` ${seg.text}`;
+      last.end = seg.start + (seg.duration || 0);
+    } else {
+      lines.push({ start: seg.start, end: seg.start + (seg.duration || 0), text: seg.text });
+    }
+  }
+
+  const rendered = lines.map(l => ({ ...l, line: `[${formatTime(l.start)}] ${l.text.replace(/\s+/g, ' ').trim()}` }));
+  const total = rendered.reduce((sum, l) => sum + l.line.length + 1, 0);
+  const limit = Math.max(maxChars, Math.ceil(total / MAX_CHUNKS));
+
+  const chunks = [];
+  let current = null;
+  for (const l of rendered) {
+    if (current && current.text.length + l.line.length + 1 > limit) {
+      chunks.push(current);
+      current = null;
+    }
+    if (!current) current = { start: l.start, end: l.end, text: l.line };
+    else {
+      current.text += `\n${l.line}`;
+      current.end = l.end;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// The start of the segment being spoken at `seconds`, so key points land where a sentence begins.
+export function snapToSegment(transcript, seconds) {
+  let start = transcript.segments[0].start;
+  for (const seg of transcript.segments) {
+    if (seg.start > seconds) break;
+    start = seg.start;
+  }
+  return Math.floor(start);
+}
+
+/** -------- Default fetcher -------- */
+
+async function defaultFetcher(video, { lang }) {
+  return video.platform === 'youtube' ? youtubeTranscript(video, lang) : tiktokTranscript(video, lang);
+}
+
+// Caption tracks are listed in the watch page's player response; json3 is YouTube's timed-text JSON.
+async function youtubeTranscript(video, lang) {
+  const html = await getText(`${video.url}&hl=en`);
+  const tracks = extractJson(html, '"captionTracks":') || [];
+  const track = pickTrack(tracks, lang, t => t.languageCode, t => t.kind === 'asr');
+  if (!track) return null;
+
+  const data = JSON.parse(await getText(`${track.baseUrl}&fmt=json3`));
+  const segments = (data.events || [])
+    .filter(e => e.segs)
+    .map(e => ({
+      start: e.tStartMs / 1000,
+      duration: (e.dDurationMs || 0) / 1000,
+      text: e.segs.map(s => s.utf8 || '').join('').replace(/\s+/g, ' ').trim()
+    }))
+    .filter(s => s.text);
+  return { language: track.languageCode, generated: track.kind === 'asr', segments };
+}
+
+// Subtitle files (WebVTT) are listed in the page's rehydration data.
+async function tiktokTranscript(video, lang) {
+  const html = await getText(video.url);
+  const json = /<script id="__UNIVERSAL_DATA_FOR_REHYDRATION__"[^>]*>([\s\S]*?)<\/script>/.exec(html)?.[1];
+  if (!json) return null;
+  const item = JSON.parse(json)?.__DEFAULT_SCOPE__?.['webapp.video-detail']?.itemInfo?.itemStruct;
+  const infos = (item?.video?.subtitleInfos || []).filter(s => s.Url && /vtt/i.test(s.Format || 'webvtt'));
+  const track = pickTrack(infos, lang, s => s.LanguageCodeName || '', s => s.Source === 'ASR');
+  if (!track) return null;
+  return { language: String(track.LanguageCodeName).split('-')[0], generated: track.Source === 'ASR', segments: parseVtt(await getText(track.Url)) };
+}
+
+// The requested language first (human captions before generated ones), then English, then anything.
+function pickTrack(tracks, lang, languageOf, isGenerated) {
+  const base = (tag) => String(tag).toLowerCase().split('-')[0].slice(0, 2);
+  const rank = (t) => (base(languageOf(t)) === base(lang) ? 0 : base(languageOf(t)) === 'en' ? 2 : 4) + (isGenerated(t) ? 1 : 0);
+  return [...tracks].sort((a, b) => rank(a) - rank(b))[0] || null;
+}
+
+export function parseVtt(vtt) {
+  const time = (s) => {
+    const parts = s.trim().split(':').map(Number);
+    return parts.reduce((sum, p) => sum * 60 + p, 0);
+  };
+  const segments = [];
+  for (const block of String(vtt).replace(/\r/g, '').split(/\n\n+/)) {
+    const lines = block.split('\n');
+    const cue = lines.findIndex(l => l.includes('-->'));
+    if (cue === -1) continue;
+    const [from, to] = lines[cue].split('-->').map(s => s.trim().split(/\s+/)[0]);
+    const text = lines.slice(cue + 1).join(' ').replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+    if (text) segments.push({ start: time(from), duration: Math.max(0, time(to) - time(from)), text });
+  }
+  return segments;
+}
+
+async function getText(url) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), TIMEOUT_MS);
+  try {
+    const r = await fetch(url, { headers: { 'Accept-Language': 'en', 'User-Agent': 'Mozilla/5.0 (compatible; MicroLearning/1.0)' }, signal: ctrl.signal });
+    if (!r.ok) throw new Error(`HTTP ${r.status} from ${new URL(url).hostname}`);
+    return await r.text();
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Parses the JSON value that follows `marker` in a page (balanced brackets, strings respected).
+function extractJson(html, marker) {
+  const at = html.indexOf(marker);
+  if (at === -1) return null;
+  const start = at + marker.length;
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < html.length; i++) {
+    const c = html[i];
+    if (inString) {
+      if (c === '\\') i++;
+      else if (c === '"') inString = false;
+    } else if (c === '"') inString = true;
+    else if (c === '[' || c === '{') depth++;
+    else if (c === ']' || c === '}') {
+      depth--;
+      if (depth === 0) {
+        try {
+          return JSON.parse(html.slice(start, i + 1));
+        } catch {
+          return null;
+        }
+      }
+    }
+  }
+  return null;
+}
@@ -0,0 +1,84 @@
+// api/_lib/tts.js
+// Text-to-speech adapter registry, the audio counterpart of api/_lib/providers.js.
+// An adapter describes how to talk to one TTS API:
+//  { name, envKey, modelEnv, defaultModel, defaultVoice, maxChars,
+//    buildRequest({ apiKey, model, voice, text, speed }) -> { url, init } }
+// The upstream answers with audio bytes; `synthesize` resolves to { audio: Buffer, contentType, provider, model }.
+// Synthesis is billed per input character, so its usage entries (api/_lib/usage.js) count characters as prompt_tokens.
+// The browser's speechSynthesis stays the default engine; this is only used when the app asks for server audio.
+
+import { ProviderError, isConfigured } from './providers.js';
+import { recordUsage } from './usage.js';
+
+const registry = new Map();
+
+export function registerTtsProvider(adapter) {
+  if (!adapter?.name || typeof adapter.buildRequest !== 'function') {
+    throw new Error('TTS adapter needs name and buildRequest');
+  }
+  registry.set(adapter.name.toLowerCase(), adapter);
+  return adapter;
+}
+
+export function getTtsProvider(name) {
+  const adapter = registry.get((name || '').toLowerCase());
+  if (!adapter) throw new Error(`Unknown TTS provider "${name}"`);
+  return adapter;
+}
+
+export function listTtsProviders() {
+  return [...registry.values()].filter(isConfigured).map(a => a.name);
+}
+
+export async function synthesize(name, { text, voice, speed = 1, timeoutMs = 30000 } = {}) {
+  const adapter = getTtsProvider(name);
+  const apiKey = adapter.envKey ? process.env[adapter.envKey] : null;
+  if (adapter.envKey && !apiKey) throw new ProviderError(adapter.name, `${adapter.envKey} missing`);
+
+  const model = (adapter.modelEnv && process.env[adapter.modelEnv]) || adapter.defaultModel;
+  const { url, init } = adapter.buildRequest({ apiKey, model, voice: voice || adapter.defaultVoice, text, speed });
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const r = await fetch(url, { ...init, signal: ctrl.signal });
+    if (!r.ok) {
+      const detail = await r.text().catch(() => '');
+      throw new ProviderError(adapter.name, `${adapter.name} TTS error (HTTP ${r.status})`, { status: r.status, detail });
+    }
+    const audio = Buffer.from(await r.arrayBuffer());
+    recordUsage({ provider: adapter.name, model, prompt_tokens: text.length });
+    return {
+      audio,
+      contentType: r.headers.get('content-type') || 'audio/mpeg',
+      provider: adapter.name,
+      model
+    };
+  } catch (e) {
+    if (e instanceof ProviderError) throw e;
+    const msg = ctrl.signal.aborted ? `${adapter.name} TTS timed out after ${timeoutMs}ms` : `${adapter.name} TTS unreachable: ${e?.message || e}`;
+    throw new ProviderError(adapter.name, msg, { retryable: true });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/** -------- Adapters -------- */
+
+registerTtsProvider({
+  name: 'openai',
+  envKey: 'OPENAI_API_KEY',
+  modelEnv: 'OPENAI_TTS_MODEL',
+  defaultModel: 'tts-1',
+  defaultVoice: 'alloy',
+  maxChars: 4096,
+  buildRequest({ apiKey, model, voice, text, speed }) {
+    return {
+      url: `${(process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '')}/audio/speech`,
+      init: {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model, voice, input: text, speed, response_format: 'mp3' })
+      }
+    };
+  }
+});
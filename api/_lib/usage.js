@@ -0,0 +1,154 @@
+// api/_lib/usage.js
+// Token usage and cost accounting for upstream LLM calls.
+// api/_lib/middleware.js opens a meter per request; `complete` and `openStream`
+// (api/_lib/providers.js) record every successful call into it, so routes only read
+// `usageSummary()` for their response `meta`. Each call is also appended to the usage log:
+//  { ts, day, user, route, task, provider, model, prompt_tokens, completion_tokens, cost_usd }
+// Log stores implement { append(entry), query({ from, to }) -> entries } (days are YYYY-MM-DD, UTC).
+// USAGE_LOG selects the default store: memory (default) | file | kv | off.
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { costOf } from './pricing.js';
+
+const meters = new AsyncLocalStorage();
+
+export const GROUP_KEYS = ['day', 'provider', 'model', 'task', 'user'];
+
+// Runs `fn` with a fresh meter; `context` ({ user, route, task }) is copied onto every log entry.
+export function withUsageMeter(context, fn) {
+  return meters.run({ ...context, calls: [] }, fn);
+}
+
+// Records one upstream call and returns its entry. Calls outside a meter are still logged.
+export function recordUsage({ provider, model, prompt_tokens = 0, completion_tokens = 0 }, { log = defaultUsageLog(), now = Date.now() } = {}) {
+  const call = { provider, model, prompt_tokens, completion_tokens, cost_usd: costOf(model, { prompt_tokens, completion_tokens }) };
+  const meter = meters.getStore();
+  meter?.calls.push(call);
+
+  if (log) {
+    const ts = new Date(now).toISOString();
+    const entry = { ts, day: ts.slice(0, 10), user: meter?.user ?? null, route: meter?.route ?? null, task: meter?.task ?? null, ...call };
+    // Accounting must never fail the request it describes.
+    Promise.resolve().then(() => log.append(entry)).catch(e => console.warn('usage log append failed:', e?.message || e));
+  }
+  return call;
+}
+
+// Totals for the current request: { calls, prompt_tokens, completion_tokens, cost_usd }.
+// A cache hit makes no calls, so it reports zero. `provider` narrows it to one provider's calls.
+export function usageSummary({ provider } = {}) {
+  const calls = (meters.getStore()?.calls || []).filter(c => !provider || c.provider === provider);
+  return { calls: [...calls], ...totals(calls) };
+}
+
+function totals(calls) {
+  const sum = (k) => calls.reduce((n, c) => n + (c[k] || 0), 0);
+  return {
+    prompt_tokens: sum('prompt_tokens'),
+    completion_tokens: sum('completion_tokens'),
+    cost_usd: Math.round(sum('cost_usd') * 1e6) / 1e6
+  };
+}
+
+// Groups log entries by any of GROUP_KEYS; rows are sorted by day, then cost (highest first).
+export function aggregateUsage(entries, groupBy = ['day', 'provider', 'task', 'user']) {
+  const keys = groupBy.filter(k => GROUP_KEYS.includes(k));
+  const groups = new Map();
+  for (const e of entries) {
+    const id = JSON.stringify(keys.map(k => e[k] ?? null));
+    if (!groups.has(id)) groups.set(id, { group: Object.fromEntries(keys.map(k => [k, e[k] ?? null])), calls: [] });
+    groups.get(id).calls.push(e);
+  }
+
+  const rows = [...groups.values()]
+    .map(({ group, calls }) => ({ ...group, calls: calls.length, ...totals(calls), unpriced_calls: calls.filter(c => c.cost_usd == null).length }))
+    .sort((a, b) => String(a.day ?? '').localeCompare(String(b.day ?? '')) || b.cost_usd - a.cost_usd);
+  return { groupBy: keys, rows, totals: { calls: entries.length, ...totals(entries) } };
+}
+
+/** -------- Stores -------- */
+
+export function memoryUsageLog() {
+  const entries = [];
+  return {
+    async append(entry) { entries.push(entry); },
+    async query({ from, to }) { return entries.filter(e => inRange(e.day, from, to)); }
+  };
+}
+
+// One JSON object per line, e.g. for `jq` or a log shipper.
+export function fileUsageLog(file = process.env.USAGE_LOG_FILE || path.join(os.tmpdir(), 'llm-usage.jsonl')) {
+  return {
+    async append(entry) {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.appendFile(file, `${JSON.stringify(entry)}\n`);
+    },
+    async query({ from, to }) {
+      const text = await fs.readFile(file, 'utf8').catch(() => '');
+      return text.split('\n').filter(Boolean)
+        .map(line => { try { return JSON.parse(line); } catch { return null; } })
+        .filter(e => e && inRange(e.day, from, to));
+    }
+  };
+}
+
+// Upstash / Vercel KV REST API: one list per day, kept for USAGE_LOG_TTL_DAYS (default 90).
+export function kvUsageLog({ url = process.env.KV_REST_API_URL, token = process.env.KV_REST_API_TOKEN } = {}) {
+  if (!url || !token) throw new Error('KV_REST_API_URL / KV_REST_API_TOKEN missing');
+  const ttl = String(Number(process.env.USAGE_LOG_TTL_DAYS || 90) * 24 * 3600);
+  const call = async (...command) => {
+    const r = await fetch(url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(command)
+    });
+    if (!r.ok) throw new Error(`KV error (HTTP ${r.status})`);
+    return (await r.json()).result;
+  };
+  return {
+    async append(entry) {
+      await call('RPUSH', `usage:${entry.day}`, JSON.stringify(entry));
+      await call('EXPIRE', `usage:${entry.day}`, ttl);
+    },
+    async query({ from, to }) {
+      const out = [];
+      for (const day of daysBetween(from, to)) {
+        const list = await call('LRANGE', `usage:${day}`, '0', '-1');
+        out.push(...(list || []).map(s => JSON.parse(s)));
+      }
+      return out;
+    }
+  };
+}
+
+let shared;
+export function setUsageLog(log) {
+  shared = log;
+}
+
+export function defaultUsageLog() {
+  if (shared !== undefined) return shared;
+  const kind = (process.env.USAGE_LOG || 'memory').toLowerCase();
+  shared = kind === 'off' ? null
+    : kind === 'file' ? fileUsageLog()
+    : kind === 'kv' ? kvUsageLog()
+    : memoryUsageLog();
+  return shared;
+}
+
+/** -------- Utilities -------- */
+
+function inRange(day, from, to) {
+  return (!from || day >= from) && (!to || day <= to);
+}
+
+export function daysBetween(from, to) {
+  const days = [];
+  for (let t = Date.parse(`${from}T00:00:00Z`); t <= Date.parse(`${to}T00:00:00Z`); t += 24 * 3600 * 1000) {
+    days.push(new Date(t).toISOString().slice(0, 10));
+  }
+  return days;
+}
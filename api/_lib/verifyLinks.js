@@ -0,0 +1,307 @@
+// api/_lib/verifyLinks.js
+// Verification stage for link items coming back from any provider.
+//  1. normalize URLs (tracking params stripped, youtu.be / shorts / TikTok share links made canonical)
+//  2. drop channel, profile and playlist pages
+//  3. check reachability and enrich from oEmbed / page metadata (title, thumbnail, author, duration)
+// Models invent URLs, so anything that cannot be confirmed is dropped.
+// `http` is a fetch-compatible function, injectable so this can run against a local stub server
+// (per call, or for every route with setVerifyDefaults).
+// URLs come from model output, so every request (and every redirect hop) is only made when the host
+// resolves to public addresses: loopback, private, link-local and other reserved ranges are refused.
+// `timeoutMs` covers the whole request, body included, and at most MAX_BODY_BYTES of a body are read.
+
+import { lookup as dnsLookup } from 'node:dns/promises';
+import { isIP } from 'node:net';
+
+const TRACKING_PARAMS = [
+  /^utm_/, /^fbclid$/, /^gclid$/, /^igshid$/, /^si$/, /^feature$/, /^pp$/,
+  /^is_from_webapp$/, /^sender_device$/, /^_r$/, /^_t$/, /^ref$/
+];
+
+const MAX_REDIRECTS = 5;
+// Enough for the <head> metadata and the player config of a watch page.
+const MAX_BODY_BYTES = 256 * 1024;
+
+const DEFAULT_OEMBED = {
+  youtube: 'https://www.youtube.com/oembed',
+  tiktok: 'https://www.tiktok.com/oembed'
+};
+
+/** -------- Normalization -------- */
+
+// Returns { url, platform, kind, id } or null if the string is not an http(s) URL.
+// kind: 'video' | 'channel' | 'playlist' | 'page' | 'share' (TikTok short link, needs a redirect).
+export function normalizeUrl(raw) {
+  let u;
+  try {
+    u = new URL(String(raw).trim().replace(/[).,\]]+$/, ''));
+  } catch {
+    return null;
+  }
+  if (!/^https?:$/.test(u.protocol)) return null;
+
+  u.protocol = 'https:';
+  u.hash = '';
+  for (const key of [...u.searchParams.keys()]) {
+    if (TRACKING_PARAMS.some(re => re.test(key))) u.searchParams.delete(key);
+  }
+  const host = u.hostname.replace(/^(www|m|mobile)\./, '');
+  const parts = u.pathname.split('/').filter(Boolean);
+
+  if (host === 'youtu.be' && parts[0]) return youtubeVideo(parts[0], u.searchParams.get('t'));
+  if (host === 'youtube.com' || host === 'music.youtube.com' || host === 'youtube-nocookie.com') {
+    if (parts[0] === 'watch' && u.searchParams.get('v')) return youtubeVideo(u.searchParams.get('v'), u.searchParams.get('t'));
+    if ((parts[0] === 'shorts' || parts[0] === 'live' || parts[0] === 'embed') && parts[1]) return youtubeVideo(parts[1], u.searchParams.get('t'));
+    if (parts[0] === 'playlist') return { url: u.toString(), platform: 'youtube', kind: 'playlist', id: null };
+    return { url: u.toString(), platform: 'youtube', kind: 'channel', id: null };
+  }
+
+  if (host === 'vm.tiktok.com' || host === 'vt.tiktok.com' || (host === 'tiktok.com' && parts[0] === 't')) {
+    return { url: u.toString(), platform: 'tiktok', kind: 'share', id: null };
+  }
+  if (host === 'tiktok.com') {
+    const i = parts.indexOf('video');
+    if (parts[0]?.startsWith('@') && i === 1 && /^\d+$/.test(parts[2] || '')) {
+      return { url: `https://www.tiktok.com/${parts[0]}/video/${parts[2]}`, platform: 'tiktok', kind: 'video', id: parts[2] };
+    }
+    return { url: u.toString(), platform: 'tiktok', kind: 'channel', id: null };
+  }
+
+  return { url: u.toString(), platform: 'web', kind: 'page', id: null };
+}
+
+function youtubeVideo(id, t) {
+  if (!/^[\w-]{11}$/.test(id)) return { url: `https://www.youtube.com/watch?v=${id}`, platform: 'youtube', kind: 'channel', id: null };
+  const start = t ? `&t=${encodeURIComponent(t)}` : '';
+  return { url: `https://www.youtube.com/watch?v=${id}${start}`, platform: 'youtube', kind: 'video', id };
+}
+
+// "PT4M13S" -> 253
+export function parseIsoDuration(s) {
+  const m = /^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?$/.exec(String(s || '').trim());
+  if (!m || !m.slice(1).some(Boolean)) return null;
+  const [, d = 0, h = 0, min = 0, sec = 0] = m;
+  return Math.round(Number(d) * 86400 + Number(h) * 3600 + Number(min) * 60 + Number(sec));
+}
+
+/** -------- Address checks -------- */
+
+// IPv4 ranges (CIDR) that must never be fetched on a model's say-so.
+const BLOCKED_V4 = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+];
+
+function v4ToInt(ip) {
+  return ip.split('.').reduce((n, part) => (n << 8) + Number(part), 0) >>> 0;
+}
+
+export function isPublicAddress(ip) {
+  if (isIP(ip) === 4) {
+    const n = v4ToInt(ip);
+    return !BLOCKED_V4.some(([base, bits]) => (n >>> (32 - bits)) === (v4ToInt(base) >>> (32 - bits)));
+  }
+  if (isIP(ip) === 6) {
+    const a = ip.toLowerCase();
+    // IPv4-mapped, dotted (from DNS) or in hex (as URL parsing writes it).
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(a);
+    if (mapped) return isPublicAddress(mapped[1]);
+    const hex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(a);
+    if (hex) return isPublicAddress([hex[1], hex[2]].flatMap(h => [parseInt(h, 16) >> 8, parseInt(h, 16) & 255]).join('.'));
+    // Unspecified, loopback, unique local (fc00::/7), link-local (fe80::/10) and multicast (ff00::/8).
+    return !(a === '::' || a === '::1' || /^f[cd]/.test(a) || /^fe[89ab]/.test(a) || /^ff/.test(a));
+  }
+  return false;
+}
+
+// True when every address `url`'s host resolves to is public. The check and the request resolve separately,
+// so a host that flips to an internal address in between can still slip through; it stops the plain cases.
+async function isPublicUrl(ctx, url) {
+  let host;
+  try {
+    const u = new URL(url);
+    if (!/^https?:$/.test(u.protocol)) return false;
+    host = u.hostname.replace(/^\[|\]$/g, '');
+  } catch {
+    return false;
+  }
+  if (host === 'localhost' || host.endsWith('.localhost')) return false;
+  if (isIP(host)) return isPublicAddress(host);
+  try {
+    const addresses = await ctx.lookup(host, { all: true });
+    return addresses.length > 0 && addresses.every(a => isPublicAddress(a.address));
+  } catch {
+    return false;
+  }
+}
+
+/** -------- Verification -------- */
+
+let defaults = {};
+
+// Options every verifyLinks call starts from (e.g. a stub `http` and `lookup` in tests); {} restores the real ones.
+export function setVerifyDefaults(opts = {}) {
+  defaults = opts;
+}
+
+// Options: { http = fetch, lookup = dns.lookup, timeoutMs = 5000, oembed = { youtube, tiktok }, measureDuration = true }
+export async function verifyLinks(items, options = {}) {
+  const opts = { ...defaults, ...options };
+  const ctx = {
+    http: opts.http || fetch,
+    lookup: opts.lookup || dnsLookup,
+    timeoutMs: opts.timeoutMs ?? 5000,
+    oembed: { ...DEFAULT_OEMBED, ...(opts.oembed || {}) },
+    measureDuration: opts.measureDuration !== false
+  };
+
+  const checked = await Promise.all((items || []).map(it => verifyItem(it, ctx).catch(() => null)));
+
+  const seen = new Set();
+  return checked.filter(it => {
+    if (!it || seen.has(it.url)) return false;
+    seen.add(it.url);
+    return true;
+  });
+}
+
+async function verifyItem(item, ctx) {
+  let norm = normalizeUrl(item?.url);
+  if (norm?.kind === 'share') {
+    // Short share links only reveal the video after a redirect.
+    const hop = await follow(ctx, norm.url, { method: 'GET' });
+    norm = hop?.response.ok ? normalizeUrl(hop.url) : null;
+  }
+  if (!norm || norm.kind === 'channel' || norm.kind === 'playlist' || norm.kind === 'share') return null;
+
+  const meta = norm.platform === 'web'
+    ? await pageMetadata(ctx, norm.url)
+    : await oembedMetadata(ctx, norm);
+  if (!meta) return null;
+
+  return {
+    ...item,
+    platform: norm.platform,
+    url: norm.url,
+    title: meta.title || item.title || null,
+    author: meta.author || null,
+    thumbnail_url: meta.thumbnail || null,
+    // Only measured durations; the model's estimate is not trusted.
+    est_duration_s: meta.duration ?? null,
+    verified: true
+  };
+}
+
+async function oembedMetadata(ctx, norm) {
+  const endpoint = `${ctx.oembed[norm.platform]}?format=json&url=${encodeURIComponent(norm.url)}`;
+  const r = await request(ctx, endpoint, { method: 'GET' }, true);
+  if (!r) return null;
+  // YouTube answers 401 for videos that exist but disallow embedding.
+  if (r.status === 401) return { title: null, author: null, thumbnail: null, duration: await videoDuration(ctx, norm) };
+  if (!r.ok) return null;
+
+  const data = parseJson(r.body);
+  if (!data) return null;
+  return {
+    title: data.title || null,
+    author: data.author_name || null,
+    thumbnail: data.thumbnail_url || null,
+    duration: typeof data.duration === 'number' ? Math.round(data.duration) : await videoDuration(ctx, norm)
+  };
+}
+
+// oEmbed carries no duration, so read it from the watch page markup.
+async function videoDuration(ctx, norm) {
+  if (!ctx.measureDuration) return null;
+  const r = await request(ctx, norm.url, { method: 'GET' }, true);
+  if (!r?.ok) return null;
+  return durationFromHtml(r.body ?? '');
+}
+
+async function pageMetadata(ctx, url) {
+  const r = await request(ctx, url, { method: 'GET' }, true);
+  if (!r?.ok) return null;
+  const html = r.body ?? '';
+  return {
+    title: metaTag(html, 'og:title') || (/<title[^>]*>([^<]*)<\/title>/i.exec(html)?.[1] || '').trim() || null,
+    author: metaTag(html, 'author') || metaTag(html, 'og:site_name'),
+    thumbnail: metaTag(html, 'og:image'),
+    duration: durationFromHtml(html)
+  };
+}
+
+function durationFromHtml(html) {
+  const secs = /"lengthSeconds"\s*:\s*"?(\d+)/.exec(html)?.[1]
+    || metaTag(html, 'video:duration')
+    || metaTag(html, 'og:video:duration');
+  if (secs && /^\d+$/.test(secs)) return Number(secs);
+  const iso = /itemprop=["']duration["'][^>]*content=["']([^"']+)/i.exec(html)?.[1]
+    || /"duration"\s*:\s*"(P[^"]+)"/.exec(html)?.[1];
+  return parseIsoDuration(iso);
+}
+
+function metaTag(html, name) {
+  const esc = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const m = new RegExp(`<meta[^>]+(?:property|name)=["']${esc}["'][^>]*content=["']([^"']*)`, 'i').exec(html)
+    || new RegExp(`<meta[^>]+content=["']([^"']*)["'][^>]*(?:property|name)=["']${esc}["']`, 'i').exec(html);
+  return m ? decodeEntities(m[1]).trim() || null : null;
+}
+
+function decodeEntities(s) {
+  return s.replace(/&amp;/g, '&').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>');
+}
+
+// Resolves to { status, ok, body } (body: the text when `read`, null if it couldn't be read in time).
+// Network errors, timeouts and non-public hosts resolve to null; the caller treats that as unreachable.
+async function request(ctx, url, init, read = false) {
+  const hop = await follow(ctx, url, init, read);
+  return hop && { status: hop.response.status, ok: hop.response.ok, body: hop.body };
+}
+
+// Follows redirects by hand so every hop passes the address check. Resolves to { response, url, body }
+// (the final URL). The timeout stays armed while the body is read, so a slow-drip page can't stall the check.
+async function follow(ctx, url, init, read = false) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), ctx.timeoutMs);
+  try {
+    let current = url;
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      if (!(await isPublicUrl(ctx, current))) return null;
+      const response = await ctx.http(current, { ...init, redirect: 'manual', signal: ctrl.signal });
+      const location = response.status >= 300 && response.status < 400 && response.headers.get('location');
+      if (!location && read) return { response, url: current, body: await readText(response, MAX_BODY_BYTES).catch(() => null) };
+      response.body?.cancel?.().catch(() => {});
+      if (!location) return { response, url: current, body: null };
+      current = new URL(location, current).toString();
+    }
+    return null;
+  } catch {
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// The first `limit` bytes of the body as text; the rest is never downloaded.
+async function readText(response, limit) {
+  const reader = response.body?.getReader();
+  if (!reader) return (await response.text()).slice(0, limit);
+  const chunks = [];
+  let size = 0;
+  while (size < limit) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    size += value.byteLength;
+  }
+  reader.cancel().catch(() => {});
+  return Buffer.concat(chunks).subarray(0, limit).toString('utf8');
+}
+
+function parseJson(text) {
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,144 @@
+// api/_lib/votes.js
+// Learner votes from the comparison view (/api/llm `compare: true`), tallied per task so
+// the winners can become the default providers.
+// Vote: { id (comparison id), task, providers: [names shown], winner: name | 'tie', user, ts }
+// Every comparison served is recorded as issued, { id, task, providers: [names that answered], user, ts },
+// and api/votes.js only takes a vote that matches one, from the user it was shown to.
+// Stores implement { issue(comparison), issued(id) -> comparison | null,
+//  add(vote) -> false when this user already voted on this comparison, list() -> votes }.
+// VOTE_STORE selects the default store: memory | file | kv (the default when KV_REST_API_URL is set, else memory).
+// On Vercel, /api/llm and /api/votes run on separate instances, so compare mode needs VOTE_STORE=kv there to
+// take votes: with any other store, comparisons are served without an id (isSharedVoteStore).
+
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// Per task: { providers: { [name]: { wins, ties, losses, comparisons, win_rate } }, preferred }.
+// `preferred` is the best win rate among providers with at least `minVotes` comparisons (ties count half).
+export function tallyVotes(votes, { minVotes = Number(process.env.VOTE_MIN_SAMPLES || 5) } = {}) {
+  const tasks = {};
+  for (const v of votes) {
+    const t = (tasks[v.task] ||= { providers: {}, preferred: null });
+    for (const p of v.providers) {
+      const s = (t.providers[p] ||= { wins: 0, ties: 0, losses: 0, comparisons: 0, win_rate: 0 });
+      s.comparisons += 1;
+      if (v.winner === 'tie') s.ties += 1;
+      else if (v.winner === p) s.wins += 1;
+      else s.losses += 1;
+    }
+  }
+  for (const t of Object.values(tasks)) {
+    for (const s of Object.values(t.providers)) s.win_rate = Math.round(((s.wins + s.ties / 2) / s.comparisons) * 100) / 100;
+    const ranked = Object.entries(t.providers)
+      .filter(([, s]) => s.comparisons >= minVotes)
+      .sort(([, a], [, b]) => b.win_rate - a.win_rate || b.comparisons - a.comparisons);
+    t.preferred = ranked[0]?.[0] || null;
+  }
+  return tasks;
+}
+
+/** -------- Stores -------- */
+
+export function memoryVoteStore() {
+  const votes = [];
+  const comparisons = new Map();
+  return {
+    async issue(comparison) { comparisons.set(comparison.id, comparison); },
+    async issued(id) { return comparisons.get(id) || null; },
+    async add(vote) {
+      if (votes.some(v => v.id === vote.id && v.user === vote.user)) return false;
+      votes.push(vote);
+      return true;
+    },
+    async list() { return [...votes]; }
+  };
+}
+
+// One JSON vote per line; issued comparisons go to a second file next to it.
+export function fileVoteStore(file = process.env.VOTE_FILE || path.join(os.tmpdir(), 'llm-votes.jsonl')) {
+  const comparisonsFile = file.replace(/(\.jsonl)?$/, '.comparisons.jsonl');
+  const read = async (f) => {
+    const text = await fs.readFile(f, 'utf8').catch(() => '');
+    return text.split('\n').filter(Boolean)
+      .map(line => { try { return JSON.parse(line); } catch { return null; } })
+      .filter(Boolean);
+  };
+  const list = () => read(file);
+  return {
+    async issue(comparison) {
+      await fs.mkdir(path.dirname(comparisonsFile), { recursive: true });
+      await fs.appendFile(comparisonsFile, `${JSON.stringify(comparison)}\n`);
+    },
+    async issued(id) {
+      return (await read(comparisonsFile)).find(c => c.id === id) || null;
+    },
+    async add(vote) {
+      if ((await list()).some(v => v.id === vote.id && v.user === vote.user)) return false;
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.appendFile(file, `${JSON.stringify(vote)}\n`);
+      return true;
+    },
+    list
+  };
+}
+
+// Upstash / Vercel KV REST API: a key per issued comparison, a SET NX marker per (comparison, user)
+// plus one list of votes. Both kinds of key expire after 180 days.
+export function kvVoteStore({ url = process.env.KV_REST_API_URL, token = process.env.KV_REST_API_TOKEN } = {}) {
+  if (!url || !token) throw new Error('KV_REST_API_URL / KV_REST_API_TOKEN missing');
+  const call = async (...command) => {
+    const r = await fetch(url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(command)
+    });
+    if (!r.ok) throw new Error(`KV error (HTTP ${r.status})`);
+    return (await r.json()).result;
+  };
+  const ttl = String(180 * 24 * 3600);
+  return {
+    async issue(comparison) {
+      await call('SET', `cmp:${comparison.id}`, JSON.stringify(comparison), 'EX', ttl);
+    },
+    async issued(id) {
+      const raw = await call('GET', `cmp:${id}`);
+      return raw ? JSON.parse(raw) : null;
+    },
+    async add(vote) {
+      const fresh = await call('SET', `vote:${vote.id}:${vote.user}`, '1', 'NX', 'EX', ttl);
+      if (fresh !== 'OK') return false;
+      await call('RPUSH', 'votes', JSON.stringify(vote));
+      return true;
+    },
+    async list() {
+      return ((await call('LRANGE', 'votes', '0', '-1')) || []).map(s => JSON.parse(s));
+    }
+  };
+}
+
+let shared;
+let injected = false;
+export function setVoteStore(store) {
+  shared = store;
+  injected = !!store;
+}
+
+function storeKind() {
+  return (process.env.VOTE_STORE || (process.env.KV_REST_API_URL ? 'kv' : 'memory')).toLowerCase();
+}
+
+export function defaultVoteStore() {
+  if (shared) return shared;
+  const kind = storeKind();
+  shared = kind === 'file' ? fileVoteStore()
+    : kind === 'kv' ? kvVoteStore()
+    : memoryVoteStore();
+  return shared;
+}
+
+// False when a comparison recorded by /api/llm could be missing from /api/votes: a memory or file store on
+// Vercel's serverless instances. A store passed to setVoteStore is trusted.
+export function isSharedVoteStore() {
+  return injected || storeKind() === 'kv' || !process.env.VERCEL;
+}
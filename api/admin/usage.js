@@ -0,0 +1,50 @@
+// api/admin/usage.js
+// Aggregated LLM spend from the usage log (api/_lib/usage.js), for budgets and provider comparisons.
+// GET /api/admin/usage?from=YYYY-MM-DD&to=YYYY-MM-DD&groupBy=day,provider,task,user
+// `groupBy` takes any of day, provider, model, task, user; the range defaults to the last 7 days
+// (UTC) and may span at most 92 days. Requires `X-Admin-Key: <ADMIN_API_KEY>`.
+// Response: { from, to, groupBy, rows: [{ ...group, calls, prompt_tokens, completion_tokens, cost_usd, unpriced_calls }], totals }
+
+import { aggregateUsage, daysBetween, defaultUsageLog, GROUP_KEYS } from '../_lib/usage.js';
+import { adminDenial } from '../_lib/auth.js';
+import { protect } from '../_lib/middleware.js';
+
+const MAX_DAYS = 92;
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+async function handler(req, res) {
+  const denied = adminDenial(req);
+  if (denied) return res.status(denied.status).json(denied.body);
+
+  const today = new Date().toISOString().slice(0, 10);
+  const { from = shiftDay(today, -6), to = today, groupBy } = req.query || {};
+  if (!isDay(from) || !isDay(to) || from > to) {
+    return res.status(400).json({ error: 'from/to must be YYYY-MM-DD with from <= to' });
+  }
+  if (daysBetween(from, to).length > MAX_DAYS) return res.status(400).json({ error: `Range is limited to ${MAX_DAYS} days` });
+
+  const keys = groupBy ? String(groupBy).split(',').map(k => k.trim()).filter(Boolean) : undefined;
+  const unknown = (keys || []).filter(k => !GROUP_KEYS.includes(k));
+  if (unknown.length) return res.status(400).json({ error: `Unknown groupBy key(s): ${unknown.join(', ')}` });
+
+  const log = defaultUsageLog();
+  if (!log) return res.status(501).json({ error: 'Usage log is disabled (USAGE_LOG=off)' });
+
+  try {
+    const entries = await log.query({ from, to });
+    return res.status(200).json({ from, to, ...aggregateUsage(entries, keys) });
+  } catch (e) {
+    return res.status(500).json({ error: 'Server error', detail: String(e?.message || e) });
+  }
+}
+
+export default protect(handler, { methods: ['GET'] });
+
+// A real calendar day: "2026-02-31" matches the pattern but isn't one.
+function isDay(day) {
+  return DAY.test(day) && !Number.isNaN(Date.parse(`${day}T00:00:00Z`)) && new Date(`${day}T00:00:00Z`).toISOString().startsWith(day);
+}
+
+function shiftDay(day, n) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + n * 24 * 3600 * 1000).toISOString().slice(0, 10);
+}
@@ -0,0 +1,71 @@
+// api/curriculum.js
+// Planner mode: splits a broad subject into a prerequisite-aware course outline.
+// Each lesson later gets its own 11-minute path from /api/getRecommendations, generated only
+// when the learner reaches it (src/lib/curriculum.js tracks which lessons are open).
+// Response shape (version 1):
+//  { version: 1, provider, subject, outline: { modules: [{ id, title, lessons: [{ id, title, objective, requires }] }] },
+//    meta: { cache, usage, prompt } }
+// `requires` lists lesson ids and always points to earlier lessons (api/_lib/curriculum.js).
+// `language` (BCP 47, default "en") sets the language of titles and objectives.
+// Learner input and the outline pass through api/_lib/guardrails.js (`classroom: true` for under-18 learners).
+// The prompt is the `outline` template of api/_lib/prompts.js; `meta.prompt` names the version used.
+
+import { completeJson, SchemaError } from './_lib/structured.js';
+import { cached, cacheKey } from './_lib/cache.js';
+import { protect } from './_lib/middleware.js';
+import { usageSummary } from './_lib/usage.js';
+import { normalizeOutline } from './_lib/curriculum.js';
+import { normalizeLanguage } from './_lib/language.js';
+import { checkOutput } from './_lib/guardrails.js';
+import { renderPrompt } from './_lib/prompts.js';
+import { choosePrompt, recordExposure } from './_lib/experiments.js';
+
+export const OUTLINE_VERSION = 1;
+
+const LEVELS = ['Beginner', 'Intermediate', 'Advanced'];
+
+async function handler(req, res) {
+  try {
+    const {
+      subject,
+      userInfo = '',
+      goals = '',
+      experienceLevel = 'Beginner',
+      model = 'Gemini',
+      noCache = false,
+      language
+    } = req.body || {};
+    if (!subject || typeof subject !== 'string') return res.status(400).json({ error: 'Missing subject' });
+
+    const level = LEVELS.includes(experienceLevel) ? experienceLevel : 'Beginner';
+    const provider = String(model).toLowerCase();
+    const lang = normalizeLanguage(language);
+    const policy = req.policy;
+
+    const prompt = choosePrompt('outline', req.user.id);
+    const key = cacheKey({ provider, task: 'outline', query: subject, options: { level, lang, policy: policy?.mode, prompt: prompt.version, userInfo: String(userInfo).trim(), goals: String(goals).trim() } });
+    const { value: outline, cache } = await cached({ key, task: 'outline', noCache }, async () => {
+      const { system, user } = renderPrompt('outline', { subject, userInfo, goals, level, language: lang }, { version: prompt.version, policy });
+      const { value } = await completeJson(provider, 'outline', { system, user, temperature: 0.3 });
+      return normalizeOutline(value);
+    });
+    const blocked = checkOutput(outline, policy);
+    if (blocked) return res.status(422).json(blocked);
+
+    recordExposure(prompt, req.user.id);
+    return res.status(200).json({
+      version: OUTLINE_VERSION,
+      provider,
+      subject,
+      outline,
+      meta: { cache, usage: usageSummary(), prompt }
+    });
+  } catch (e) {
+    if (e instanceof SchemaError) {
+      return res.status(502).json({ error: 'Invalid model output', code: e.code, errors: e.errors });
+    }
+    return res.status(500).json({ error: 'Server error', detail: String(e?.message || e) });
+  }
+}
+
+export default protect(handler, { cost: 2, task: 'outline', guard: { subject: 200, userInfo: 1000, goals: 500 } });
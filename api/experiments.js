@@ -0,0 +1,41 @@
+// api/experiments.js
+// Outcomes for the prompt experiments of api/_lib/experiments.js, so templates can be compared.
+// POST { experiment, kind: 'click' | 'quiz', value?, item? } -> { recorded, variant }
+//   (a link from the answer was opened, or a quiz was scored: `value` 0..1). The variant is the caller's
+//   own assignment, so outcomes can't be credited to a variant the caller wasn't shown. A click names the
+//   `item` opened (its url) and counts once per caller and item: reopening it answers `recorded: false`.
+// GET (X-Admin-Key: <ADMIN_API_KEY>, as for api/admin/usage.js) -> { experiments: { [id]: { template, variants: { [version]: { exposures, users, clicks, click_through, quizzes, quiz_score } } } } }
+
+import { activeExperiments, assignVariant, defaultExperimentStore, OUTCOME_KINDS, tallyExperiments } from './_lib/experiments.js';
+import { adminDenial } from './_lib/auth.js';
+import { protect } from './_lib/middleware.js';
+
+async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const denied = adminDenial(req);
+      if (denied) return res.status(denied.status).json(denied.body);
+      return res.status(200).json({ experiments: tallyExperiments(await defaultExperimentStore().list()) });
+    }
+
+    const { experiment, kind, value, item } = req.body || {};
+    const exp = activeExperiments()[experiment];
+    if (!exp) return res.status(400).json({ error: 'Unknown or inactive experiment' });
+    if (!OUTCOME_KINDS.includes(kind)) return res.status(400).json({ error: `kind must be one of ${OUTCOME_KINDS.join(', ')}` });
+    const score = Number(value);
+    if (kind === 'quiz' && !(score >= 0 && score <= 1)) return res.status(400).json({ error: 'A quiz outcome needs a value between 0 and 1' });
+    if (kind === 'click' && !(typeof item === 'string' && item && item.length <= 2000)) {
+      return res.status(400).json({ error: 'A click outcome needs the item opened' });
+    }
+
+    const variant = assignVariant(experiment, exp, req.user.id);
+    const recorded = await defaultExperimentStore().add({
+      experiment, variant, kind, value: kind === 'quiz' ? score : null, item: kind === 'click' ? item : null, user: req.user.id, ts: Date.now()
+    });
+    return res.status(200).json({ recorded, variant });
+  } catch (e) {
+    return res.status(500).json({ error: 'Server error', detail: String(e?.message || e) });
+  }
+}
+
+export default protect(handler, { methods: ['GET', 'POST'] });
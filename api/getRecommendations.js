@@ -1,42 +1,149 @@
-{
-  "name": "micro-learning-app-v4",
-  "version": "0.1.0",
-  "private": true,
-  "dependencies": {
-    "@testing-library/jest-dom": "^5.17.0",
-    "@testing-library/react": "^13.4.0",
-    "@testing-library/user-event": "^13.5.0",
-    "lucide-react": "^0.284.0",
-    "react": "^18.2.0",
-    "react-dom": "^18.2.0",
-    "react-scripts": "5.0.1",
-    "web-vitals": "^2.1.4"
-  },
-  "scripts": {
-    "start": "react-scripts start",
-    "build": "react-scripts build",
-    "test": "react-scripts test",
-    "eject": "react-scripts eject"
-  },
-  "eslintConfig": {
-    "extends": [
-      "react-app",
-      "react-app/jest"
-    ]
-  },
-  "browserslist": {
-    "production": [
-      ">0.2%",
-      "not dead",
-      "not op_mini all"
-    ],
-    "development": [
-      "last 1 chrome version",
-      "last 1 firefox version",
-      "last 1 safari version"
-    ]
-  },
-  "engines": {
-    "node": "20.x"
+// api/getRecommendations.js
+// Builds an ordered micro-learning path for the "Generate My Path" button.
+// The chosen model is routed through the shared provider registry (api/_lib/providers.js).
+// Response shape (version 1, provider-neutral):
+//  { version: 1, provider, subject, total_minutes: 11,
+//    recommendations: [{ step, topic, description, url, minutes, narration? }], meta: { cache, usage, prompt } }
+// For the Audio format every step also carries `narration`, a script sized to its minutes
+// (NARRATION_WPM words per minute) that the app reads aloud (src/components/AudioPlayer.jsx).
+// `language` (BCP 47, default "en") sets the language of topics, descriptions and narration and
+// prefers resources in that language (api/_lib/language.js).
+// Learner input and the path pass through api/_lib/guardrails.js (`classroom: true` for under-18 learners):
+// step links on disallowed domains are dropped, and a path that breaks the content policy gets a 422 `blocked` body.
+// The prompt is the `path` template of api/_lib/prompts.js; `meta.prompt` names the version used.
+// An unknown `model` is a 400; a provider that fails or answers with invalid output is a 502.
+
+import { completeJson, SchemaError } from './_lib/structured.js';
+import { getProvider, ProviderError } from './_lib/providers.js';
+import { cached, cacheKey } from './_lib/cache.js';
+import { protect } from './_lib/middleware.js';
+import { usageSummary } from './_lib/usage.js';
+import { normalizeLanguage } from './_lib/language.js';
+import { checkOutput, isAllowedUrl } from './_lib/guardrails.js';
+import { renderPrompt } from './_lib/prompts.js';
+import { choosePrompt, recordExposure } from './_lib/experiments.js';
+
+export const PATH_VERSION = 1;
+export const PATH_MINUTES = 11;
+// Typical narration pace; scripts are sized against it.
+export const NARRATION_WPM = 150;
+
+const LEVELS = ['Beginner', 'Intermediate', 'Advanced'];
+const FORMATS = ['Text', 'Video', 'Audio'];
+
+async function handler(req, res) {
+  try {
+    const {
+      subject,
+      userInfo = '',
+      goals = '',
+      experienceLevel = 'Beginner',
+      learningFormat = 'Text',
+      model = 'Gemini',
+      noCache = false,
+      language
+    } = req.body || {};
+    if (!subject || typeof subject !== 'string') return res.status(400).json({ error: 'Missing subject' });
+
+    const level = LEVELS.includes(experienceLevel) ? experienceLevel : 'Beginner';
+    const format = FORMATS.includes(learningFormat) ? learningFormat : 'Text';
+    const lang = normalizeLanguage(language);
+    const provider = String(model).toLowerCase();
+    const policy = req.policy;
+    try {
+      getProvider(provider);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const prompt = choosePrompt('path', req.user.id);
+    const key = cacheKey({ provider, task: 'recommendations', query: subject, options: { level, format, lang, policy: policy?.mode, prompt: prompt.version, userInfo: String(userInfo).trim(), goals: String(goals).trim() } });
+    const { value: steps, cache } = await cached({ key, task: 'recommendations', noCache }, async () => {
+      const { system, user } = renderPrompt('path', {
+        subject, userInfo, goals, level, format, minutes: PATH_MINUTES, wpm: NARRATION_WPM, language: lang
+      }, { version: prompt.version, policy });
+      const { value } = await completeJson(provider, 'recommendations', { system, user, temperature: 0.4 });
+      const steps = allocateMinutes(toSteps(value.recommendations), PATH_MINUTES);
+      return format === 'Audio'
+        ? steps.map(s => ({ ...s, narration: fitNarration(s.narration, s.minutes) || s.description }))
+        : steps.map(({ narration, ...s }) => s);
+    });
+
+    const recommendations = steps.map(s => (isAllowedUrl(s.url, policy) ? s : { ...s, url: null }));
+    const blocked = checkOutput(recommendations, policy);
+    if (blocked) return res.status(422).json(blocked);
+
+    recordExposure(prompt, req.user.id);
+    return res.status(200).json({
+      version: PATH_VERSION,
+      provider,
+      subject,
+      total_minutes: PATH_MINUTES,
+      recommendations,
+      meta: { cache, usage: usageSummary(), prompt }
+    });
+  } catch (e) {
+    if (e instanceof SchemaError) {
+      return res.status(502).json({ error: 'Invalid model output', code: e.code, errors: e.errors });
+    }
+    if (e instanceof ProviderError) {
+      return res.status(502).json({ error: e.message, detail: e.detail });
+    }
+    return res.status(500).json({ error: 'Server error', detail: String(e?.message || e) });
   }
 }
+
+// Course lessons send the lesson objective plus the titles already covered as `goals`.
+export default protect(handler, { task: 'recommendations', guard: { subject: 200, userInfo: 1000, goals: 1500 } });
+
+/** -------- Utilities -------- */
+
+// Steps have already passed the `recommendations` schema (api/_lib/schemas.js).
+function toSteps(list) {
+  return list.map(it => ({
+    topic: it.topic.trim(),
+    description: it.description.trim(),
+    url: it.url || null,
+    minutes: it.minutes,
+    narration: typeof it.narration === 'string' ? it.narration.trim() : null
+  }));
+}
+
+// Scale the model's per-step minutes so they sum exactly to `total`
+// (largest-remainder rounding, every step gets at least one minute).
+export function allocateMinutes(steps, total) {
+  const n = Math.min(steps.length, total);
+  const picked = steps.slice(0, n);
+  const spare = total - n;
+  const weight = picked.reduce((sum, s) => sum + s.minutes, 0);
+
+  const raw = picked.map(s => (s.minutes / weight) * spare);
+  const mins = raw.map(x => 1 + Math.floor(x));
+  let left = total - mins.reduce((a, b) => a + b, 0);
+  raw
+    .map((x, i) => ({ i, frac: x - Math.floor(x) }))
+    .sort((a, b) => b.frac - a.frac)
+    .forEach(({ i }) => { if (left > 0) { mins[i] += 1; left -= 1; } });
+
+  return picked.map((s, i) => ({
+    step: i + 1,
+    topic: s.topic,
+    description: s.description,
+    url: s.url,
+    minutes: mins[i],
+    ...(s.narration ? { narration: s.narration } : {})
+  }));
+}
+
+// Minutes are rescaled after generation, so trim scripts that now overrun their step
+// (at a sentence end, with a little slack).
+export function fitNarration(text, minutes, wpm = NARRATION_WPM) {
+  const script = String(text || '').trim();
+  if (!script) return null;
+  const limit = Math.round(minutes * wpm * 1.15);
+  const words = script.split(/\s+/);
+  if (words.length <= limit) return script;
+  const cut = words.slice(0, limit).join(' ');
+  const end = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('! '), cut.lastIndexOf('? '));
+  return end > cut.length / 2 ? cut.slice(0, end + 1) : `${cut}…`;
+}
@@ -1,226 +1,381 @@
 // api/llm.js
-// A single endpoint that routes to Perplexity, Gemini, or OpenAI
-// Supports two tasks out of the box: "links" (YouTube/TikTok-first) and "summary" (plain text)
+// A single endpoint that routes to any registered provider (see api/_lib/providers.js)
+// Tasks: "links" (YouTube/TikTok-first), "summary" (plain text) and "quiz" (end-of-lesson knowledge check)
 // Response shape:
-//  - links: { items: [{platform,title,url,est_duration_s,reason}], provider }
-//  - summary: { text, provider }
+//  - links: { items: [{platform,title,url,est_duration_s,reason,author,thumbnail_url,verified,score,score_breakdown}], provider, meta }
+//    (items pass through api/_lib/verifyLinks.js unless `verify: false` or LINK_VERIFY=off, then are ranked by
+//    api/_lib/ranking.js on `learningFormat`, `budgetMinutes` (default 5), `allowLonger` and `ranking` overrides)
+//  - summary: { text, key_points, provider, meta }
+//  - quiz: { questions: [{type,question,options,answer,explanation,distractor_explanations,difficulty}], provider, meta }
+//    (`query` is a topic or an existing summary; `level` (Beginner | Intermediate | Advanced) and `count` tune the questions)
+//  - videoSummary: { status: 'ok', video: {platform,id,url}, transcript: {language,generated,duration_s},
+//      text, key_points: [{t,time,point,url}], provider, meta }
+//    (`url` is a YouTube or TikTok link item; the summary is grounded in the video's captions, fetched and cached by
+//    api/_lib/transcripts.js, and each key point links to its moment in the video. Without captions the answer is
+//    { status: 'unavailable', reason, video } and nothing is generated.)
+// Model output is validated against api/_lib/schemas.js; if no provider produces valid output
+// the 502 body carries `code` ('invalid_json' | 'schema_mismatch' | 'providers_failed').
+// `provider` is the one that actually answered; `meta.attempts` lists providers that failed
+// before it (see api/_lib/fallback.js), so a degraded preferred provider is visible to callers.
+// Results are cached (api/_lib/cache.js); `meta.cache` reports hits and `noCache: true` forces a fresh call.
+// Only answers from the requested provider are cached, and hits report no `attempts`.
+// `meta.usage` gives the tokens and USD cost spent answering this request (api/_lib/usage.js).
+// `stream: true` with task "summary" answers with Server-Sent Events (format in api/_lib/sse.js) when the
+// requested provider can stream; otherwise it falls back to the JSON response above. Streams skip the cache.
+// `compare: true` (links and summary) runs the task on every configured provider, or on `providers`,
+// in parallel instead of down the fallback chain:
+//  { compare: true, id, task, results: [{ provider, ok, latency_ms, items (+ shared_with) | text,key_points | error,code, cache, usage }],
+//    overlap (links only, see api/_lib/compare.js), meta: { usage } }
+// `id` is what api/votes.js records votes against (issued to the caller for the providers that answered; null if it
+// couldn't be recorded, so the comparison can't be voted on). On Vercel that takes VOTE_STORE=kv (api/_lib/votes.js).
+// `language` (BCP 47, default "en") sets the language of summaries, quizzes and link reasons; links prefer
+// content in that language and fall back to subtitled content flagged in `reason` (api/_lib/language.js).
+// Learner input and every answer pass through api/_lib/guardrails.js (`classroom: true` for under-18 learners):
+// blocked input or output gets 422 { blocked: true, error, code, reason }, links the content policy drops are
+// listed in `meta.filtered`, and a stream that turns out to break the policy ends with a blocked `error` event.
+// Prompts for links, summary, quiz and videoSummary come from the versioned templates of api/_lib/prompts.js;
+// callers in a prompt experiment (api/_lib/experiments.js) get their variant's version, and answers name theirs
+// as `meta.prompt` ({ template, version, experiment, variant }; per result in compare mode).
+// Like every route, it runs behind api/_lib/middleware.js (optional auth, rate limits, daily quotas).
 
-export default async function handler(req, res) {
-  if (req.method !== 'POST') return res.status(405).json({ error: 'Method Not Allowed' });
+import { getProvider, openStream } from './_lib/providers.js';
+import { completeJson, SchemaError } from './_lib/structured.js';
+import { resolveChain, withFallback, FallbackError } from './_lib/fallback.js';
+import { verifyLinks } from './_lib/verifyLinks.js';
+import { normalizeLinkItems } from './_lib/links.js';
+import { rankLinks, rankingOptions } from './_lib/ranking.js';
+import { cached, cacheKey } from './_lib/cache.js';
+import { openSSE } from './_lib/sse.js';
+import { protect } from './_lib/middleware.js';
+import { usageSummary } from './_lib/usage.js';
+import { compareChain, comparisonId, fanOut, linkKey, linkOverlap } from './_lib/compare.js';
+import { defaultVoteStore, isSharedVoteStore } from './_lib/votes.js';
+import { flagSubtitled, normalizeLanguage } from './_lib/language.js';
+import { blockedBody, checkOutput, filterLinks, guardInstruction } from './_lib/guardrails.js';
+import { renderPrompt } from './_lib/prompts.js';
+import { choosePrompt, recordExposure } from './_lib/experiments.js';
+import {
+  chunkTranscript, formatTime, loadTranscript, parseVideoUrl, snapToSegment, transcriptDuration,
+  TranscriptUnavailableError, videoUrlAt
+} from './_lib/transcripts.js';
 
+const LEVELS = ['Beginner', 'Intermediate', 'Advanced'];
+
+async function handler(req, res) {
   try {
-    const { provider = 'perplexity', task = 'links', query, maxResults = 6 } = req.body || {};
-    if (!query || typeof query !== 'string') return res.status(400).json({ error: 'Missing query' });
+    const {
+      provider = 'perplexity', task = 'links', query, maxResults = 6, fallback, noCache = false, stream = false,
+      verify = process.env.LINK_VERIFY !== 'off', level = 'Beginner', count = 5, compare = false, providers,
+      learningFormat = 'Video', budgetMinutes = 5, allowLonger = false, ranking = {}, language, url
+    } = req.body || {};
+    const rank = { ...ranking, format: learningFormat, budgetS: Number(budgetMinutes) * 60, allowLonger };
+    const lang = normalizeLanguage(language);
+    const policy = req.policy;
+    const user = req.user.id;
+    if (task !== 'videoSummary' && (!query || typeof query !== 'string')) return res.status(400).json({ error: 'Missing query' });
+
+    try {
+      getProvider(provider);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    if (compare) return await compareProviders(res, { task, query, maxResults, verify, rank, noCache, providers, lang, policy, user });
+
+    const chain = resolveChain(provider, fallback);
+    const run = async (produce, options = {}) => {
+      const key = cacheKey({ provider, task, query, maxResults: task === 'links' ? maxResults : null, options: { ...options, lang, policy: policy?.mode } });
+      // Only the requested provider's own answer is cached: a fallback one would keep the primary from being retried.
+      const keep = (value) => value.provider === chain[0];
+      const { value, cache } = await cached({ key, task, noCache, keep }, () => withFallback(chain, produce));
+      const meta = { requested: provider.toLowerCase(), attempts: cache.hit ? [] : value.attempts, cache, usage: usageSummary() };
+      return { result: value.value, provider: value.provider, meta };
+    };
 
     if (task === 'links') {
-      const items = await handleLinks(provider, query, maxResults);
-      return res.status(200).json({ items, provider });
+      const prompts = linkPrompts(user);
+      const { result, provider: used, meta } = await run(
+        (name) => handleLinks(name, query, maxResults, { verify, rank, lang, policy, prompts }),
+        { verify, rank, prompt: promptVersions(prompts) }
+      );
+      const { items, removed } = filterLinks(result, policy);
+      if (result.length && !items.length) {
+        return res.status(422).json(blockedBody('output_policy', 'every link found was removed by the content policy'));
+      }
+      const prompt = linkPrompt(prompts, used);
+      recordExposure(prompt, user);
+      return res.status(200).json({ items, provider: used, meta: { ...meta, filtered: removed, prompt } });
+    }
+
+    if (task === 'summary' && stream && getProvider(provider).capabilities.streaming) {
+      return await streamSummary(req, res, chain, provider, query, lang, policy, choosePrompt('summary', user));
     }
 
     if (task === 'summary') {
-      const text = await handleSummary(provider, query);
-      return res.status(200).json({ text, provider });
+      const prompt = choosePrompt('summary', user);
+      const { result: summary, provider: used, meta } = await run((name) => handleSummary(name, query, lang, policy, prompt.version), { prompt: prompt.version });
+      const blocked = checkOutput(summary, policy);
+      if (blocked) return res.status(422).json(blocked);
+      recordExposure(prompt, user);
+      return res.status(200).json({ ...summary, provider: used, meta: { ...meta, prompt } });
+    }
+
+    if (task === 'videoSummary') {
+      const video = parseVideoUrl(url || query);
+      if (!video) return res.status(400).json({ error: 'Expected a YouTube or TikTok video URL' });
+
+      let transcript;
+      try {
+        transcript = await loadTranscript(video, { lang, noCache });
+      } catch (e) {
+        if (!(e instanceof TranscriptUnavailableError)) throw e;
+        return res.status(200).json({ status: 'unavailable', reason: e.reason, video });
+      }
+      const { value, cache: transcriptCache } = transcript;
+      const prompt = choosePrompt('videoSummary', user);
+      const { result: summary, provider: used, meta } = await run(
+        (name) => handleVideoSummary(name, video, value, lang, policy, prompt.version),
+        { video: `${video.platform}:${video.id}`, transcriptLang: value.language, prompt: prompt.version }
+      );
+      const blocked = checkOutput(summary, policy);
+      if (blocked) return res.status(422).json(blocked);
+      recordExposure(prompt, user);
+      return res.status(200).json({
+        status: 'ok',
+        video,
+        transcript: { language: value.language, generated: value.generated, duration_s: transcriptDuration(value) },
+        ...summary,
+        provider: used,
+        meta: { ...meta, transcript: { cache: transcriptCache }, prompt }
+      });
+    }
+
+    if (task === 'quiz') {
+      const n = Math.max(1, Math.min(Number(count) || 5, 10));
+      // `level` goes into the prompt as is, so only the known levels get through.
+      const quizLevel = LEVELS.includes(level) ? level : 'Beginner';
+      const prompt = choosePrompt('quiz', user);
+      const { result: questions, provider: used, meta } = await run(
+        (name) => handleQuiz(name, query, quizLevel, n, lang, policy, prompt.version),
+        { level: quizLevel, count: n, prompt: prompt.version }
+      );
+      const blocked = checkOutput(questions, policy);
+      if (blocked) return res.status(422).json(blocked);
+      recordExposure(prompt, user);
+      return res.status(200).json({ questions, provider: used, meta: { ...meta, prompt } });
     }
 
     return res.status(400).json({ error: `Unsupported task "${task}"` });
   } catch (e) {
+    if (e instanceof FallbackError) {
+      const code = e.attempts[e.attempts.length - 1]?.code || 'providers_failed';
+      return res.status(502).json({ error: 'All providers failed', code, attempts: e.attempts });
+    }
     return res.status(500).json({ error: 'Server error', detail: String(e?.message || e) });
   }
 }
 
-/** -------- Helpers -------- */
-
-async function handleLinks(provider, query, maxResults) {
-  switch ((provider || '').toLowerCase()) {
-    case 'perplexity':
-      return await perplexityLinks(query, maxResults);
-    case 'openai':
-      // Note: OpenAI does not browse the web natively. This asks the model to output link candidates it knows.
-      return await openaiLinks(query, maxResults);
-    case 'gemini':
-      // Same caveat as OpenAI; quality of direct YouTube/TikTok links may vary.
-      return await geminiLinks(query, maxResults);
-    default:
-      throw new Error(`Unknown provider "${provider}"`);
+// Quiz queries can be a whole summary, hence the longer limit.
+export default protect(handler, { task: (req) => req.body?.task || 'links', guard: { query: 4000 } });
+
+/** -------- Compare -------- */
+
+const COMPARABLE = ['links', 'summary'];
+
+async function compareProviders(res, { task, query, maxResults, verify, rank, noCache, providers, lang, policy, user }) {
+  if (!COMPARABLE.includes(task)) return res.status(400).json({ error: `Compare supports ${COMPARABLE.join(' and ')} only` });
+
+  let names;
+  try {
+    names = compareChain(providers);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
   }
-}
+  if (names.length < 2) return res.status(400).json({ error: 'Compare needs at least two configured providers' });
+
+  // Cached per provider, apart from the single-provider answers (those carry fallback metadata).
+  // Votes compare providers, so every result uses the caller's prompt versions.
+  const prompts = task === 'links' ? linkPrompts(user) : { summary: choosePrompt('summary', user) };
+  const results = await fanOut(names, async (name) => {
+    const options = { compare: true, lang, policy: policy?.mode, prompt: promptVersions(prompts), ...(task === 'links' ? { verify, rank } : {}) };
+    const key = cacheKey({ provider: name, task, query, maxResults: task === 'links' ? maxResults : null, options });
+    return cached({ key, task, noCache }, () => (
+      task === 'links'
+        ? handleLinks(name, query, maxResults, { verify, rank, lang, policy, prompts })
+        : handleSummary(name, query, lang, policy, prompts.summary.version)
+    ));
+  });
 
-async function handleSummary(provider, prompt) {
-  switch ((provider || '').toLowerCase()) {
-    case 'perplexity':
-      return await perplexitySummary(prompt);
-    case 'openai':
-      return await openaiSummary(prompt);
-    case 'gemini':
-      return await geminiSummary(prompt);
-    default:
-      throw new Error(`Unknown provider "${provider}"`);
+  // Content policy: links are filtered per provider, a summary that breaks it fails that provider's result.
+  for (const r of results) {
+    if (!r.ok) continue;
+    if (task === 'links') {
+      r.value = { ...r.value, value: filterLinks(r.value.value, policy).items };
+    } else {
+      const blocked = checkOutput(r.value.value, policy);
+      if (blocked) Object.assign(r, { ok: false, value: undefined, error: blocked.error, code: blocked.code });
+    }
   }
+
+  const overlap = task === 'links'
+    ? linkOverlap(results.map(r => (r.ok ? { ...r, value: r.value.value } : r)))
+    : undefined;
+  const foundBy = new Map((overlap?.union || []).map(u => [u.url, u.providers]));
+
+  // Link items gain `shared_with`: the other providers that returned the same URL.
+  const shaped = results.map(({ value, ...r }) => ({
+    ...r,
+    ...(r.ok && task === 'links' ? {
+      items: value.value.map(it => ({ ...it, shared_with: (foundBy.get(linkKey(it.url)) || []).filter(p => p !== r.provider) }))
+    } : {}),
+    ...(r.ok && task === 'summary' ? value.value : {}),
+    ...(r.ok ? { cache: value.cache } : {}),
+    prompt: task === 'links' ? linkPrompt(prompts, r.provider) : prompts.summary,
+    usage: usageSummary({ provider: r.provider })
+  }));
+
+  // Votes are only taken on comparisons issued here (api/votes.js); without a shared store to record it, there is no id.
+  const comparison = { id: comparisonId(), task, providers: results.filter(r => r.ok).map(r => r.provider), user, ts: Date.now() };
+  const id = isSharedVoteStore() ? await defaultVoteStore().issue(comparison).then(() => comparison.id, () => null) : null;
+
+  return res.status(200).json({ compare: true, id, task, results: shaped, overlap, meta: { usage: usageSummary() } });
 }
 
-/** -------- Perplexity (best for live links) -------- */
-async function perplexityLinks(query, maxResults) {
-  const apiKey = process.env.PERPLEXITY_API_KEY;
-  const model = process.env.PERPLEXITY_MODEL || 'sonar-pro';
-  if (!apiKey) throw new Error('PERPLEXITY_API_KEY missing');
-
-  const r = await fetch('https://api.perplexity.ai/chat/completions', {
-    method: 'POST',
-    headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      model,
-      temperature: 0.2,
-      messages: [
-        { role: 'system', content: [
-            'You are a link-finding assistant. Return ONLY JSON array.',
-            'Prefer YouTube & TikTok. Prefer videos ≤ 5 min.',
-            'Each item: {platform,title,url,est_duration_s,reason}. Avoid channel/playlist pages.'
-          ].join(' ')
-        },
-        { role: 'user', content: `Find short videos for: ${query}. JSON array only.` }
-      ]
-    })
-  });
+/** -------- Tasks -------- */
 
-  const data = await r.json();
-  const content = data?.choices?.[0]?.message?.content || '[]';
-  const items = tryParseJson(content) || extractUrlsFallback(content, maxResults);
+// Prompt choices for a links answer: which template applies depends on the provider that ends up answering.
+function linkPrompts(user) {
+  return { search: choosePrompt('links.search', user), recall: choosePrompt('links.recall', user) };
+}
 
-  // prioritize YT/TikTok
-  items.sort((a, b) => score(b) - score(a));
-  return items.slice(0, maxResults);
+function linkPrompt(prompts, provider) {
+  return getProvider(provider).capabilities.web ? prompts.search : prompts.recall;
+}
 
-  function score(it) {
-    const p = (it.platform || '').toLowerCase();
-    return p === 'youtube' ? 2 : p === 'tiktok' ? 1.5 : 1;
-  }
+// The template versions behind an answer, for its cache key.
+function promptVersions(prompts) {
+  return Object.values(prompts).map(p => `${p.template}@${p.version}`).join(',');
 }
 
-async function perplexitySummary(prompt) {
-  const apiKey = process.env.PERPLEXITY_API_KEY;
-  const model = process.env.PERPLEXITY_MODEL || 'sonar-pro';
-  if (!apiKey) throw new Error('PERPLEXITY_API_KEY missing');
+async function handleLinks(provider, query, maxResults, { verify = true, rank = {}, lang = 'en', policy = null, prompts = null } = {}) {
+  const adapter = getProvider(provider);
+  const { budgetS, format, allowLonger } = rankingOptions(rank);
+  // Providers without web access can only suggest links they remember (see api/_lib/prompts.js).
+  const choice = prompts ? linkPrompt(prompts, adapter.name) : null;
+  const prompt = renderPrompt(adapter.capabilities.web ? 'links.search' : 'links.recall', {
+    query, format, minutes: Math.round(budgetS / 60), maxResults: Math.max(1, Math.min(maxResults, 12)), allowLonger, language: lang
+  }, { version: choice?.version, policy });
 
-  const r = await fetch('https://api.perplexity.ai/chat/completions', {
-    method: 'POST',
-    headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      model,
-      temperature: 0.3,
-      messages: [{ role: 'user', content: `In 5 bullet points, ${prompt}` }]
-    })
-  });
-  const data = await r.json();
-  return data?.choices?.[0]?.message?.content || '';
+  const { value } = await completeJson(adapter.name, 'links', { system: prompt.system, user: prompt.user, temperature: 0.2 });
+  const parsed = flagSubtitled(normalizeLinkItems(value), lang);
+  // Verify before trimming so dead links don't eat into maxResults.
+  const items = verify ? await verifyLinks(parsed) : parsed;
+  return rankLinks(items, rank).slice(0, maxResults);
 }
 
-/** -------- OpenAI -------- */
-async function openaiLinks(query, maxResults) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  const model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
-  if (!apiKey) throw new Error('OPENAI_API_KEY missing');
-
-  const r = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      model,
-      temperature: 0.2,
-      messages: [
-        { role: 'system', content: 'Return ONLY a JSON array of link objects with {platform,title,url,est_duration_s,reason}.' },
-        { role: 'user', content: `Suggest the most relevant short videos (≤5 min preferred) for: ${query}. Prioritize YouTube & TikTok.` }
-      ]
-    })
-  });
-  const data = await r.json();
-  const content = data?.choices?.[0]?.message?.content || '[]';
-  return tryParseJson(content) || extractUrlsFallback(content, maxResults);
+async function handleSummary(provider, prompt, lang = 'en', policy = null, version) {
+  const adapter = getProvider(provider);
+  const { system, user } = renderPrompt('summary', { query: prompt, language: lang }, { version, policy });
+  const { value } = await completeJson(adapter.name, 'summary', { system, user, temperature: 0.3 });
+  return { text: value.text, key_points: value.key_points || [] };
 }
 
-async function openaiSummary(prompt) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  const model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
-  if (!apiKey) throw new Error('OPENAI_API_KEY missing');
-
-  const r = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      model,
-      temperature: 0.5,
-      messages: [{ role: 'user', content: `Summarize in ≤120 words: ${prompt}` }]
-    })
-  });
-  const data = await r.json();
-  return data?.choices?.[0]?.message?.content || '';
+async function handleQuiz(provider, material, level, count, lang = 'en', policy = null, version) {
+  const { system, user } = renderPrompt('quiz', { query: material, level, count, language: lang }, { version, policy });
+
+  const { value } = await completeJson(provider, 'quiz', { system, user, temperature: 0.4 });
+
+  // The schema can't express "answer is one of the options", so drop questions that break it.
+  const questions = value.questions
+    .filter(q => q.type !== 'multiple_choice' || (Array.isArray(q.options) && q.options.includes(q.answer)))
+    .slice(0, count)
+    .map(q => ({
+      type: q.type,
+      question: q.question,
+      options: q.type === 'multiple_choice' ? q.options : null,
+      answer: q.answer,
+      explanation: q.explanation,
+      distractor_explanations: q.type === 'multiple_choice' ? q.distractor_explanations || [] : [],
+      difficulty: q.difficulty
+    }));
+  if (!questions.length) throw new SchemaError('schema_mismatch', 'quiz', ['$.questions: no question has its answer among its options'], '');
+  return questions;
 }
 
-/** -------- Gemini -------- */
-async function geminiLinks(query, maxResults) {
-  const apiKey = process.env.GEMINI_API_KEY;
-  const model = process.env.GEMINI_MODEL || 'gemini-1.5-flash';
-  if (!apiKey) throw new Error('GEMINI_API_KEY missing');
-
-  // Use REST against Gemini’s chat endpoint via @google/generative-ai? (not required; minimalist REST call)
-  // For simplicity, call the text endpoint compatible with JSON instructions.
-  const r = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      contents: [{
-        role: 'user',
-        parts: [{ text: [
-          'Return ONLY a JSON array of link objects with {platform,title,url,est_duration_s,reason}.',
-          'Prefer YouTube & TikTok. Prefer videos ≤ 5 min.',
-          `Topic: ${query}`
-        ].join('\n') }]
-      }]
+// Map-reduce over the transcript: long videos get key points per chunk first, then one summary of those.
+// Short videos use the `videoSummary` template at `version`; long ones the videoSummary.part and .merge templates.
+// Timestamps the model returns are clamped to the video and snapped to the start of a caption.
+async function handleVideoSummary(provider, video, transcript, lang = 'en', policy = null, version) {
+  const duration = transcriptDuration(transcript);
+  const ask = (name, vars, options = {}) => {
+    const { system, user } = renderPrompt(name, { ...vars, duration: formatTime(duration), language: lang }, { ...options, policy });
+    return completeJson(provider, 'videoSummary', { system, user, temperature: 0.2 }).then(r => r.value);
+  };
+
+  const chunks = chunkTranscript(transcript);
+  let value;
+  if (chunks.length > 1) {
+    const parts = await Promise.all(chunks.map((chunk, i) => ask('videoSummary.part', {
+      part: i + 1, parts: chunks.length, start: formatTime(chunk.start), end: formatTime(chunk.end), transcript: chunk.text
+    })));
+    const material = parts.map(p => [p.text, ...p.key_points.map(k => `[${formatTime(k.t)}] ${k.point}`)].join('\n')).join('\n\n');
+    value = await ask('videoSummary.merge', { transcript: material });
+  } else {
+    value = await ask('videoSummary', { transcript: chunks[0].text }, { version });
+  }
+
+  const seen = new Set();
+  const keyPoints = value.key_points
+    .map(k => ({ t: snapToSegment(transcript, Math.min(Math.max(0, k.t), duration)), point: k.point.trim() }))
+    .filter(k => {
+      if (!k.point || seen.has(k.point)) return false;
+      seen.add(k.point);
+      return true;
     })
-  });
-  const data = await r.json();
-  const text = data?.candidates?.[0]?.content?.parts?.[0]?.text || '[]';
-  return tryParseJson(text) || extractUrlsFallback(text, maxResults);
+    .sort((a, b) => a.t - b.t)
+    .map(k => ({ t: k.t, time: formatTime(k.t), point: k.point, url: videoUrlAt(video, k.t) }));
+  return { text: value.text, key_points: keyPoints };
 }
 
-async function geminiSummary(prompt) {
-  const apiKey = process.env.GEMINI_API_KEY;
-  const model = process.env.GEMINI_MODEL || 'gemini-1.5-flash';
-  if (!apiKey) throw new Error('GEMINI_API_KEY missing');
+// Plain-text summary streamed as normalized SSE. Fallback only applies until a provider
+// accepts the request; after the first byte an upstream failure becomes an `error` event.
+// The text so far is checked against the content policy as it grows; a hit stops the stream.
+async function streamSummary(req, res, chain, requested, prompt, lang, policy, choice) {
+  const ctrl = new AbortController();
+  req.on?.('close', () => ctrl.abort());
 
-  const r = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      contents: [{ role: 'user', parts: [{ text: `Summarize in ≤120 words: ${prompt}` }] }]
-    })
+  const streamable = chain.filter(name => {
+    try { return getProvider(name).capabilities.streaming; } catch { return false; }
   });
-  const data = await r.json();
-  return data?.candidates?.[0]?.content?.parts?.[0]?.text || '';
-}
+  const { value: upstream, provider, attempts } = await withFallback(streamable, (name) =>
+    // Plain text, not JSON: only the template's user prompt applies.
+    openStream(name, {
+      system: guardInstruction(policy),
+      user: renderPrompt('summary', { query: prompt, language: lang }, { version: choice.version }).user,
+      temperature: 0.3,
+      signal: ctrl.signal
+    })
+  );
 
-/** -------- Utilities -------- */
-function tryParseJson(s) {
+  const sse = openSSE(res);
+  recordExposure(choice, req.user.id);
+  sse.send('meta', { provider, requested: requested.toLowerCase(), attempts, prompt: choice });
+  let text = '';
   try {
-    const cleaned = s.trim().replace(/^```json\s*|\s*```$/g, '');
-    const j = JSON.parse(cleaned);
-    if (Array.isArray(j)) {
-      return j.filter(it => it && typeof it.url === 'string').map(it => ({
-        platform: (it.platform || '').toString().toLowerCase(),
-        title: it.title || null,
-        url: it.url,
-        est_duration_s: typeof it.est_duration_s === 'number' ? it.est_duration_s : null,
-        reason: it.reason || null,
-      }));
+    for await (const delta of upstream.deltas) {
+      text += delta;
+      const blocked = checkOutput(text, policy);
+      if (blocked) {
+        ctrl.abort();
+        sse.send('error', blocked);
+        return;
+      }
+      sse.send('delta', { text: delta });
     }
-    return null;
-  } catch { return null; }
-}
-
-function extractUrlsFallback(s, max) {
-  const urls = [...(s || '').matchAll(/https?:\/\/\S+/g)].map(m => m[0]).slice(0, max);
-  return urls.map(u => ({
-    platform: u.includes('tiktok.com') ? 'tiktok' : (u.includes('youtube.com') || u.includes('youtu.be')) ? 'youtube' : 'web',
-    title: null, url: u, est_duration_s: null, reason: 'fallback'
-  }));
+    sse.send('done', { text, provider, usage: usageSummary() });
+  } catch (e) {
+    if (!ctrl.signal.aborted) sse.send('error', { error: String(e?.message || e), code: 'stream_interrupted' });
+  } finally {
+    sse.end();
+  }
 }
-
@@ -1,94 +1,75 @@
 // api/perplexity/links.js
-const API_URL = 'https://api.perplexity.ai/chat/completions';
+// Learner input and the returned links pass through api/_lib/guardrails.js (`classroom: true` for under-18 learners);
+// links the content policy drops are listed in `meta.filtered`.
+// The prompt is the "links.search" template of api/_lib/prompts.js, the same one /api/llm uses for web-search
+// providers; `meta.prompt` names the version (and the caller's experiment variant, api/_lib/experiments.js).
+// Provider failures are 502s, except Perplexity's rate limit: 429 with its Retry-After.
+import { ProviderError } from '../_lib/providers.js';
+import { completeJson, SchemaError } from '../_lib/structured.js';
+import { normalizeLinkItems } from '../_lib/links.js';
+import { rankLinks } from '../_lib/ranking.js';
+import { verifyLinks } from '../_lib/verifyLinks.js';
+import { cached, cacheKey } from '../_lib/cache.js';
+import { protect } from '../_lib/middleware.js';
+import { usageSummary } from '../_lib/usage.js';
+import { flagSubtitled, normalizeLanguage } from '../_lib/language.js';
+import { blockedBody, filterLinks } from '../_lib/guardrails.js';
+import { renderPrompt } from '../_lib/prompts.js';
+import { choosePrompt, recordExposure } from '../_lib/experiments.js';
 
-function safeJsonParse(text) {
-  try {
-    const cleaned = text.trim().replace(/^```json\s*|\s*```$/g, '');
-    return JSON.parse(cleaned);
-  } catch {
-    return null;
-  }
-}
-
-export default async function handler(req, res) {
-  if (req.method !== 'POST') return res.status(405).json({ error: 'Method Not Allowed' });
-
-  const { query, maxResults = 6, allowLongerThan5Min = false } = req.body || {};
+async function handler(req, res) {
+  const {
+    query, maxResults = 6, allowLongerThan5Min = false, noCache = false,
+    verify = process.env.LINK_VERIFY !== 'off', learningFormat = 'Video', budgetMinutes = 5, ranking = {}, language
+  } = req.body || {};
+  const lang = normalizeLanguage(language);
+  const rankOptions = { ...ranking, format: learningFormat, budgetS: Number(budgetMinutes) * 60, allowLonger: allowLongerThan5Min };
   if (!query || typeof query !== 'string') return res.status(400).json({ error: 'Missing query' });
 
-  const apiKey = process.env.PERPLEXITY_API_KEY;
-  const model = process.env.PERPLEXITY_MODEL || 'sonar-pro';
-  if (!apiKey) return res.status(500).json({ error: 'PERPLEXITY_API_KEY not set' });
+  if (!process.env.PERPLEXITY_API_KEY) return res.status(500).json({ error: 'PERPLEXITY_API_KEY not set' });
 
-  const system = [
-    'You are a link-finding assistant.',
-    'Return only JSON.',
-    'Find the most relevant short videos (prefer YouTube & TikTok).',
-    `Prefer videos ≤ 5 minutes${allowLongerThan5Min ? ' (but allow longer if necessary)' : ''}.`,
-    'Avoid channel or playlist pages unless no direct video exists.',
-    'For each item, include: platform, title, url, est_duration_s (if known), reason.',
-    `Return at most ${Math.max(1, Math.min(maxResults, 12))} items.`,
-  ].join(' ');
-
-  const user = `Topic / intent: "${query}". Prioritize accurate, official sources. Output JSON array only.`;
+  const prompt = choosePrompt('links.search', req.user.id);
+  const { system, user } = renderPrompt('links.search', {
+    query,
+    format: learningFormat,
+    minutes: Number(budgetMinutes) || 5,
+    maxResults: Math.max(1, Math.min(maxResults, 12)),
+    allowLonger: allowLongerThan5Min,
+    language: lang
+  }, { version: prompt.version, policy: req.policy });
 
   try {
-    const r = await fetch(API_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model,
-        temperature: 0.2,
-        messages: [
-          { role: 'system', content: system },
-          { role: 'user', content: user }
-        ],
-      }),
+    const key = cacheKey({
+      provider: 'perplexity', task: 'links', query, maxResults,
+      options: { verify, rank: rankOptions, lang, policy: req.policy?.mode, prompt: `links.search@${prompt.version}` }
     });
-
-    if (!r.ok) {
-      const text = await r.text();
-      return res.status(r.status).json({ error: 'Perplexity error', detail: text });
-    }
-
-    const data = await r.json();
-    const content = data?.choices?.[0]?.message?.content ?? '';
-    const json = safeJsonParse(content);
-
-    if (!json || !Array.isArray(json)) {
-      const urls = [...content.matchAll(/https?:\/\/\S+/g)].map(m => m[0]);
-      return res.status(200).json({
-        items: urls.slice(0, maxResults).map((u) => ({
-          platform: u.includes('tiktok.com') ? 'tiktok' : (u.includes('youtube.com') || u.includes('youtu.be')) ? 'youtube' : 'web',
-          title: null,
-          url: u,
-          est_duration_s: null,
-          reason: 'extracted from model text (fallback)'
-        })),
-        raw: content
-      });
-    }
-
-    const norm = json.map((it) => ({
-      platform: (it.platform || '').toString().toLowerCase(),
-      title: it.title || '',
-      url: it.url || '',
-      est_duration_s: typeof it.est_duration_s === 'number' ? it.est_duration_s : null,
-      reason: it.reason || ''
-    })).filter((it) => /^https?:\/\//.test(it.url));
-
-    norm.sort((a, b) => {
-      const aScore = a.platform === 'youtube' ? 2 : a.platform === 'tiktok' ? 1.5 : 1;
-      const bScore = b.platform === 'youtube' ? 2 : b.platform === 'tiktok' ? 1.5 : 1;
-      return bScore - aScore;
+    const { value: items, cache } = await cached({ key, task: 'links', noCache }, async () => {
+      const { value } = await completeJson('perplexity', 'links', { system, user, temperature: 0.2 });
+      const parsed = flagSubtitled(normalizeLinkItems(value), lang);
+      const verified = verify ? await verifyLinks(parsed) : parsed;
+      return rankLinks(verified, rankOptions).slice(0, maxResults);
     });
-
-    return res.status(200).json({ items: norm.slice(0, maxResults) });
+    const { items: allowed, removed } = filterLinks(items, req.policy);
+    if (items.length && !allowed.length) {
+      return res.status(422).json(blockedBody('output_policy', 'every link found was removed by the content policy'));
+    }
+    recordExposure(prompt, req.user.id);
+    return res.status(200).json({ items: allowed, meta: { cache, usage: usageSummary(), filtered: removed, prompt } });
   } catch (err) {
+    if (err instanceof SchemaError) {
+      return res.status(502).json({ error: 'Invalid model output', code: err.code, errors: err.errors });
+    }
+    if (err instanceof ProviderError) {
+      // Perplexity's rate limit reaches the caller as ours, with its wait; any other provider failure is a bad gateway
+      // (its 401 is our key, not the caller's credentials).
+      if (err.status === 429) {
+        res.setHeader('Retry-After', String(Math.max(1, Math.ceil((err.retryAfterMs ?? 0) / 1000))));
+        return res.status(429).json({ error: 'Perplexity rate limit', code: 'rate_limited', detail: err.detail });
+      }
+      return res.status(502).json({ error: 'Perplexity error', detail: err.detail || err.message });
+    }
     return res.status(500).json({ error: 'Server error', detail: err?.message || String(err) });
   }
 }
 
+export default protect(handler, { task: 'links', guard: { query: 300 } });
@@ -0,0 +1,16 @@
+// api/session.js
+// Issues a signed anonymous session token for callers without a Firebase account.
+// Response: { token, expiresAt } — send it as `Authorization: Bearer <token>`.
+// Calls made with a session still count towards their IP's daily quota (api/_lib/rateLimit.js),
+// so minting a new one doesn't buy more.
+
+import { issueSession } from './_lib/auth.js';
+import { protect } from './_lib/middleware.js';
+
+async function handler(req, res) {
+  if (!process.env.SESSION_SECRET) return res.status(501).json({ error: 'Anonymous sessions are not enabled' });
+
+  return res.status(200).json(issueSession());
+}
+
+export default protect(handler);
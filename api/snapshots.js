@@ -0,0 +1,60 @@
+// api/snapshots.js
+// Shareable path snapshots (storage in api/_lib/snapshots.js).
+// POST { inputs, provider, recommendations, summaries, quiz, expiresInDays? } -> { id, expiresAt }
+//   `expiresInDays` is 1..365; without it the snapshot is kept (SNAPSHOT_TTL_DAYS sets a default).
+//   `summaries` ({ [step]: { text, key_points } }) and `quiz` (quiz task questions) are checked like the rest.
+//   501 when the store isn't shared between instances (api/_lib/snapshots.js), as the link would break.
+// GET ?id=<id> -> the snapshot, or 404 once it is gone. Reading never calls an LLM.
+
+import { defaultSnapshotStore, isSharedSnapshotStore, isSnapshotId, newSnapshotId, validateSnapshot } from './_lib/snapshots.js';
+import { protect } from './_lib/middleware.js';
+
+const MAX_BYTES = 128 * 1024;
+
+async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const id = req.query?.id;
+      if (!isSnapshotId(id)) return res.status(400).json({ error: 'Missing or malformed id' });
+      const snapshot = await defaultSnapshotStore().get(id);
+      if (!snapshot) return res.status(404).json({ error: 'Snapshot not found or expired' });
+      return res.status(200).json(snapshot);
+    }
+
+    const body = req.body || {};
+    if (JSON.stringify(body).length > MAX_BYTES) return res.status(413).json({ error: 'Snapshot is too large' });
+    const errors = validateSnapshot(body);
+    if (errors.length) return res.status(400).json({ error: 'Invalid snapshot', errors });
+
+    const ttl = body.expiresInDays ?? process.env.SNAPSHOT_TTL_DAYS ?? null;
+    const days = ttl === null || ttl === '' ? null : Number(ttl);
+    if (days !== null && !(Number.isFinite(days) && days >= 1 && days <= 365)) {
+      return res.status(400).json({ error: 'expiresInDays must be between 1 and 365' });
+    }
+    if (!isSharedSnapshotStore()) {
+      return res.status(501).json({ error: 'Sharing needs a shared snapshot store (SNAPSHOT_STORE=kv)', code: 'store_not_shared' });
+    }
+
+    const now = Date.now();
+    const id = newSnapshotId();
+    const { subject, goals = null, experienceLevel = 'Beginner', learningFormat = 'Text', model = 'Gemini', language = 'en' } = body.inputs;
+    const snapshot = {
+      id,
+      createdAt: now,
+      expiresAt: days ? now + days * 24 * 3600 * 1000 : null,
+      inputs: { subject, goals, experienceLevel, learningFormat, model, language },
+      provider: body.provider || null,
+      recommendations: body.recommendations.map(({ step, topic, description, url = null, minutes, narration }) => (
+        { step, topic, description, url, minutes, ...(narration ? { narration } : {}) }
+      )),
+      summaries: body.summaries || null,
+      quiz: body.quiz || null
+    };
+    await defaultSnapshotStore().put(id, snapshot, days ? Math.round(days * 24 * 3600) : null);
+    return res.status(201).json({ id, expiresAt: snapshot.expiresAt });
+  } catch (e) {
+    return res.status(500).json({ error: 'Server error', detail: String(e?.message || e) });
+  }
+}
+
+export default protect(handler, { methods: ['GET', 'POST'] });
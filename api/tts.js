@@ -0,0 +1,50 @@
+// api/tts.js
+// Server-side narration for the Audio format (adapters in api/_lib/tts.js).
+// POST { text, provider = TTS_PROVIDER || 'openai', voice } -> audio bytes (audio/mpeg)
+// GET -> { providers: [configured provider names] }, so the app can tell whether server audio is available.
+// Speed is applied by the player (playbackRate), so the same audio serves every speed.
+// `text` passes the input guardrails (api/_lib/guardrails.js); text longer than the provider's
+// `maxChars` (4096 for OpenAI) is refused with 413 rather than narrated in part.
+
+import { getTtsProvider, listTtsProviders, synthesize } from './_lib/tts.js';
+import { ProviderError } from './_lib/providers.js';
+import { protect } from './_lib/middleware.js';
+
+async function handler(req, res) {
+  if (req.method === 'GET') return res.status(200).json({ providers: listTtsProviders() });
+
+  const { text, provider = process.env.TTS_PROVIDER || 'openai', voice } = req.body || {};
+  if (!text || typeof text !== 'string') return res.status(400).json({ error: 'Missing text' });
+
+  let adapter;
+  try {
+    adapter = getTtsProvider(provider);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  if (adapter.maxChars && text.length > adapter.maxChars) {
+    return res.status(413).json({ error: `Text exceeds ${adapter.maxChars} characters` });
+  }
+
+  try {
+    const { audio, contentType } = await synthesize(adapter.name, { text, voice });
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Length', String(audio.length));
+    return res.status(200).send(audio);
+  } catch (e) {
+    if (e instanceof ProviderError) {
+      return res.status(502).json({ error: e.message, detail: e.detail });
+    }
+    return res.status(500).json({ error: 'Server error', detail: String(e?.message || e) });
+  }
+}
+
+// Synthesis is billed per character, so it counts more against rate limits than a text call;
+// listing the providers is free. The guard only bounds the work of sanitizing; it sits above every adapter's `maxChars` so the
+// 413 above is what long text gets, not a silent cut.
+export default protect(handler, {
+  methods: ['GET', 'POST'],
+  cost: (req) => (req.method === 'GET' ? 0 : 3),
+  task: 'tts',
+  guard: { text: 16000 }
+});
@@ -0,0 +1,62 @@
+// api/votes.js
+// Votes from the side-by-side comparison view.
+// POST { id, task, providers: [names shown], winner: name | 'tie' } -> { recorded: true }
+//   `id` must be a comparison /api/llm served to this caller, with the same task and providers
+//   (404 unknown_comparison, 400 comparison_mismatch); 409 if this caller already voted on it.
+//   501 store_not_shared when the vote store isn't shared between serverless instances (set VOTE_STORE=kv).
+// GET -> { tasks: { [task]: { providers: { [name]: { wins, ties, losses, comparisons, win_rate } }, preferred } } }
+// Storage and tallying live in api/_lib/votes.js.
+
+import { getProvider } from './_lib/providers.js';
+import { defaultVoteStore, isSharedVoteStore, tallyVotes } from './_lib/votes.js';
+import { protect } from './_lib/middleware.js';
+
+const TASKS = ['links', 'summary'];
+
+async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      return res.status(200).json({ tasks: tallyVotes(await defaultVoteStore().list()) });
+    }
+    if (!isSharedVoteStore()) {
+      return res.status(501).json({ error: 'Voting needs a shared vote store (VOTE_STORE=kv)', code: 'store_not_shared' });
+    }
+
+    const { id, task, providers, winner } = req.body || {};
+    if (typeof id !== 'string' || !/^cmp_[\w-]{6,32}$/.test(id)) return res.status(400).json({ error: 'Missing or malformed comparison id' });
+    if (!TASKS.includes(task)) return res.status(400).json({ error: `task must be one of ${TASKS.join(', ')}` });
+
+    let shown;
+    try {
+      shown = [...new Set((Array.isArray(providers) ? providers : []).map(p => getProvider(p).name))];
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    if (shown.length < 2) return res.status(400).json({ error: 'A vote needs at least two providers' });
+    const pick = String(winner || '').toLowerCase();
+    if (pick !== 'tie' && !shown.includes(pick)) return res.status(400).json({ error: 'winner must be one of providers or "tie"' });
+
+    // Ids are only worth a vote when we issued them, to this caller, for exactly this task and these providers.
+    const store = defaultVoteStore();
+    const issued = await store.issued(id);
+    if (!issued || issued.user !== req.user.id) {
+      return res.status(404).json({ error: 'Unknown comparison', code: 'unknown_comparison' });
+    }
+    if (issued.task !== task || !sameSet(issued.providers, shown)) {
+      return res.status(400).json({ error: 'Vote does not match the comparison', code: 'comparison_mismatch' });
+    }
+
+    const recorded = await store.add({ id, task, providers: shown, winner: pick, user: req.user.id, ts: Date.now() });
+    if (!recorded) return res.status(409).json({ error: 'Already voted on this comparison', code: 'duplicate_vote' });
+    return res.status(200).json({ recorded: true });
+  } catch (e) {
+    return res.status(500).json({ error: 'Server error', detail: String(e?.message || e) });
+  }
+}
+
+// Reading the tallies is free; a vote takes a token.
+export default protect(handler, { methods: ['GET', 'POST'], cost: (req) => (req.method === 'GET' ? 0 : 1) });
+
+function sameSet(a, b) {
+  return a.length === b.length && a.every(x => b.includes(x));
+}
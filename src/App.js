@@ -0,0 +1,508 @@
+import React, { useEffect, useState } from 'react';
+import { Search, BookOpen, Video, Headphones, Lightbulb, AlertCircle, Loader2, CheckCircle2, WifiOff, ShieldCheck } from 'lucide-react';
+import Quiz from './components/Quiz';
+import ReviewQueue from './components/ReviewQueue';
+import PathHistory from './components/PathHistory';
+import CompareView from './components/CompareView';
+import AudioPlayer from './components/AudioPlayer';
+import PathExport from './components/PathExport';
+import SharedPath from './components/SharedPath';
+import CourseMap from './components/CourseMap';
+import VideoSummary from './components/VideoSummary';
+import VideoSearchBox from './components/VideoSearchBox';
+import { useReviews } from './hooks/useReviews';
+import { useProfile } from './hooks/useProfile';
+import { useOnlineStatus } from './hooks/useOnlineStatus';
+import { useI18n } from './hooks/useI18n';
+import { newPathId } from './lib/profileStore';
+import { authHeaders } from './lib/apiAuth';
+import { shareIdFromLocation } from './lib/snapshots';
+import { isCourse, lessonRequest } from './lib/curriculum';
+import { availableOfflineIds, markAvailableOffline } from './lib/offline';
+import { isClassroomMode, saveClassroomMode } from './lib/classroom';
+import { isVideoUrl, parseVideoUrl } from './lib/video';
+
+const App = () => {
+  const [subject, setSubject] = useState('');
+  const [userInfo, setUserInfo] = useState('');
+  const [goals, setGoals] = useState('');
+  const [experienceLevel, setExperienceLevel] = useState('Beginner');
+  const [learningFormat, setLearningFormat] = useState('Text');
+  const [model, setModel] = useState('Gemini');
+  const [loading, setLoading] = useState(false);
+  const [recommendations, setRecommendations] = useState([]);
+  const [error, setError] = useState(null);
+  const [currentPathId, setCurrentPathId] = useState(null);
+  const [shareId, setShareId] = useState(() => shareIdFromLocation());
+  const [planCourse, setPlanCourse] = useState(false);
+  const [courseId, setCourseId] = useState(null);
+  const [startingLessonId, setStartingLessonId] = useState(null);
+  const [classroom, setClassroom] = useState(() => isClassroomMode());
+  const reviews = useReviews();
+  const learner = useProfile();
+  const online = useOnlineStatus();
+  const { t, locale, setLocale, locales } = useI18n();
+  const [offlineIds, setOfflineIds] = useState(() => availableOfflineIds());
+
+  // Prefill the form once from the saved profile.
+  const savedProfile = learner.profile;
+  const [prefilled, setPrefilled] = useState(false);
+  useEffect(() => {
+    if (prefilled || !learner.ready) return;
+    setPrefilled(true);
+    if (!savedProfile) return;
+    setUserInfo(savedProfile.background || '');
+    setGoals(savedProfile.goals || '');
+    if (savedProfile.preferredLevel) setExperienceLevel(savedProfile.preferredLevel);
+    if (savedProfile.preferredFormat) setLearningFormat(savedProfile.preferredFormat);
+    if (savedProfile.preferredModel) setModel(savedProfile.preferredModel);
+  }, [prefilled, learner.ready, savedProfile]);
+
+  // /share/<id> shows a read-only snapshot; back/forward between it and the form.
+  useEffect(() => {
+    const onPop = () => setShareId(shareIdFromLocation());
+    window.addEventListener('popstate', onPop);
+    return () => window.removeEventListener('popstate', onPop);
+  }, []);
+
+  const currentPath = learner.paths.find((p) => p.id === currentPathId);
+  const activeCourse = learner.paths.find((p) => p.id === courseId);
+
+  const completeStep = (rec) => {
+    reviews.recordCompleted([{ subject, topic: rec.topic }]);
+    if (!currentPathId) return;
+    learner.setStepStatus(currentPathId, rec.step, 'done');
+    // The last step of a course lesson completes the lesson, which can unlock the next ones.
+    const finished = currentPath?.recommendations.every((r) => r.step === rec.step || currentPath.progress?.[r.step] === 'done');
+    if (finished && currentPath.courseId) learner.setStepStatus(currentPath.courseId, currentPath.lessonId, 'done');
+  };
+
+  // A video watched in the player: it counts as studying the subject, and as the step it is linked from.
+  const completeVideo = (item, progress) => {
+    const video = parseVideoUrl(item.url);
+    if (currentPathId) {
+      learner.updatePath(currentPathId, {
+        watched: { ...currentPath?.watched, [video?.url || item.url]: { watched_s: progress.watched_s, completedAt: Date.now() } }
+      });
+    }
+    const step = recommendations.find((rec) => parseVideoUrl(rec.url)?.url === video?.url);
+    if (step) completeStep(step);
+    else reviews.recordCompleted([{ subject, topic: item.title || subject }]);
+  };
+
+  const openCourse = (course) => {
+    setSubject(course.subject);
+    setGoals(course.goals || '');
+    setExperienceLevel(course.experienceLevel);
+    setLearningFormat(course.learningFormat);
+    setModel(course.model);
+    setRecommendations([]);
+    setCurrentPathId(null);
+    setCourseId(course.id);
+    setError(null);
+  };
+
+  const openPath = (path) => {
+    if (isCourse(path)) return openCourse(path);
+    setSubject(path.subject);
+    if (path.goals) setGoals(path.goals);
+    setExperienceLevel(path.experienceLevel);
+    setLearningFormat(path.learningFormat);
+    setModel(path.model);
+    setRecommendations(path.recommendations);
+    setCurrentPathId(path.id);
+    setCourseId(path.courseId || null);
+    setError(null);
+    setOfflineIds(markAvailableOffline(path.id));
+  };
+
+  // Fork of a shared snapshot: its inputs go back into the form; the learner regenerates from there.
+  const forkSnapshot = (inputs) => {
+    setSubject(inputs.subject);
+    setGoals(inputs.goals || '');
+    setExperienceLevel(inputs.experienceLevel);
+    setLearningFormat(inputs.learningFormat);
+    setModel(inputs.model);
+    setRecommendations([]);
+    setCurrentPathId(null);
+    setError(null);
+    window.history.pushState({}, '', '/');
+    setShareId(null);
+  };
+
+  const importPath = (path) => {
+    learner.addPath(path);
+    openPath(path);
+  };
+
+  // With `lesson` ({ course, lesson }) this generates a planned lesson's path instead of the form's subject.
+  const getRecommendations = async (lesson = null) => {
+    const input = lesson
+      ? { ...lessonRequest(lesson.course, lesson.lesson), userInfo }
+      : { subject, userInfo, goals, experienceLevel, learningFormat, model, language: locale };
+    setLoading(true);
+    setError(null);
+    setRecommendations([]);
+    setCurrentPathId(null);
+
+    try {
+      const response = await fetch('/api/getRecommendations', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(await authHeaders()),
+        },
+        body: JSON.stringify({ ...input, classroom }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || data.error || t('error.recommendations'));
+      }
+
+      if (data.version !== 1 || !Array.isArray(data.recommendations)) {
+        throw new Error(t('error.format'));
+      }
+
+      if (!lesson) {
+        learner.saveProfile({
+          background: userInfo,
+          goals,
+          preferredLevel: experienceLevel,
+          preferredFormat: learningFormat,
+          preferredModel: model
+        });
+      }
+      const path = {
+        id: newPathId(),
+        createdAt: Date.now(),
+        subject: input.subject,
+        goals: input.goals,
+        experienceLevel: input.experienceLevel,
+        learningFormat: input.learningFormat,
+        model: input.model,
+        language: input.language,
+        recommendations: data.recommendations,
+        progress: {},
+        ...(lesson ? { courseId: lesson.course.id, lessonId: lesson.lesson.id } : {})
+      };
+      learner.addPath(path);
+      openPath(path);
+      return path;
+    } catch (err) {
+      console.error("Frontend Error:", err);
+      setError(err.message || t('error.unexpected'));
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Planner mode: asks for the course outline only; lesson paths are generated as the learner reaches them.
+  const getCourse = async () => {
+    setLoading(true);
+    setError(null);
+    setRecommendations([]);
+    setCurrentPathId(null);
+
+    try {
+      const response = await fetch('/api/curriculum', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(await authHeaders()),
+        },
+        body: JSON.stringify({ subject, userInfo, goals, experienceLevel, model, language: locale, classroom }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || data.error || t('error.course'));
+      }
+      if (data.version !== 1 || !Array.isArray(data.outline?.modules)) {
+        throw new Error(t('error.format'));
+      }
+
+      const course = {
+        id: newPathId(),
+        kind: 'course',
+        createdAt: Date.now(),
+        subject,
+        goals,
+        experienceLevel,
+        learningFormat,
+        model,
+        language: locale,
+        outline: data.outline,
+        lessons: {},
+        progress: {}
+      };
+      learner.addPath(course);
+      setCourseId(course.id);
+    } catch (err) {
+      console.error("Frontend Error:", err);
+      setError(err.message || t('error.unexpected'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startLesson = async (lesson) => {
+    const saved = learner.paths.find((p) => p.id === activeCourse.lessons?.[lesson.id]);
+    if (saved) return openPath(saved);
+    setStartingLessonId(lesson.id);
+    const course = activeCourse;
+    const path = await getRecommendations({ course, lesson });
+    setStartingLessonId(null);
+    if (path) learner.updatePath(course.id, { lessons: { ...course.lessons, [lesson.id]: path.id } });
+  };
+
+  const toggleClassroom = (on) => {
+    saveClassroomMode(on);
+    setClassroom(on);
+  };
+
+  const header = (
+    <header className="mb-10 text-center">
+      <div className="flex justify-end items-center gap-3 mb-2">
+        <label className={`flex items-center gap-1 text-sm ${classroom ? 'text-emerald-700 font-semibold' : 'text-slate-500'}`}>
+          <input type="checkbox" checked={classroom} onChange={(e) => toggleClassroom(e.target.checked)} />
+          <ShieldCheck size={14} />
+          {t('safety.classroom')}
+        </label>
+        <select
+          value={locale}
+          onChange={(e) => setLocale(e.target.value)}
+          aria-label={t('language.label')}
+          className="text-sm bg-white border border-slate-200 rounded-lg px-2 py-1"
+        >
+          {Object.entries(locales).map(([code, { name }]) => <option key={code} value={code}>{name}</option>)}
+        </select>
+      </div>
+      <h1 className="text-4xl font-extrabold text-slate-900 mb-2 tracking-tight">
+        {t('app.title')} <span className="text-blue-600">{t('app.titleAccent')}</span>
+      </h1>
+      <p className="text-slate-600">{t('app.tagline')}</p>
+    </header>
+  );
+
+  if (shareId) {
+    return (
+      <div className="min-h-screen bg-slate-50 p-4 md:p-8 font-sans text-slate-900">
+        <div className="max-w-4xl mx-auto">
+          {header}
+          <SharedPath id={shareId} onFork={forkSnapshot} />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-slate-50 p-4 md:p-8 font-sans text-slate-900">
+      <div className="max-w-4xl mx-auto">
+        {header}
+
+        {(!online || learner.pendingSync > 0) && (
+          <div className="bg-amber-50 border border-amber-200 rounded-xl px-4 py-3 flex items-center gap-3 text-amber-800 text-sm mb-8">
+            <WifiOff className="h-4 w-4 flex-shrink-0" />
+            {online
+              ? t('offline.syncing', { count: learner.pendingSync })
+              : learner.pendingSync ? t('offline.pending', { count: learner.pendingSync }) : t('offline.idle')}
+          </div>
+        )}
+
+        <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6 mb-8">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-semibold mb-1.5 text-slate-700">{t('form.subject')}</label>
+                <div className="relative">
+                  <Search className="absolute start-3 top-1/2 -translate-y-1/2 text-slate-400 h-4 w-4" />
+                  <input
+                    className="w-full ps-10 pe-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 outline-none transition-all"
+                    placeholder={t('form.subjectPlaceholder')}
+                    value={subject}
+                    onChange={(e) => setSubject(e.target.value)}
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-semibold mb-1.5 text-slate-700">{t('form.about')}</label>
+                <textarea
+                  className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 outline-none transition-all h-24 resize-none"
+                  placeholder={t('form.aboutPlaceholder')}
+                  value={userInfo}
+                  onChange={(e) => setUserInfo(e.target.value)}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-semibold mb-1.5 text-slate-700">{t('form.goal')}</label>
+                <input
+                  className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 outline-none transition-all"
+                  placeholder={t('form.goalPlaceholder')}
+                  value={goals}
+                  onChange={(e) => setGoals(e.target.value)}
+                />
+              </div>
+            </div>
+
+            <div className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-semibold mb-1.5 text-slate-700">{t('form.level')}</label>
+                  <select 
+                    value={experienceLevel} 
+                    onChange={(e) => setExperienceLevel(e.target.value)}
+                    className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    {['Beginner', 'Intermediate', 'Advanced'].map((level) => <option key={level} value={level}>{t(`level.${level}`)}</option>)}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-semibold mb-1.5 text-slate-700">{t('form.format')}</label>
+                  <select 
+                    value={learningFormat} 
+                    onChange={(e) => setLearningFormat(e.target.value)}
+                    className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    {['Text', 'Video', 'Audio'].map((format) => <option key={format} value={format}>{t(`format.${format}`)}</option>)}
+                  </select>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-semibold mb-1.5 text-slate-700">{t('form.model')}</label>
+                <select 
+                  value={model} 
+                  onChange={(e) => setModel(e.target.value)}
+                  className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option>Gemini</option>
+                  <option>OpenAI</option>
+                  <option>Perplexity</option>
+                </select>
+              </div>
+
+              <label className="flex items-center gap-2 text-sm text-slate-700">
+                <input type="checkbox" checked={planCourse} onChange={(e) => setPlanCourse(e.target.checked)} />
+                {t('form.planCourse')}
+              </label>
+
+              <button
+                onClick={() => (planCourse ? getCourse() : getRecommendations())}
+                disabled={loading || !subject}
+                className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-slate-300 text-white font-bold py-3.5 rounded-xl transition-all shadow-lg shadow-blue-200 flex items-center justify-center gap-2 mt-2"
+              >
+                {loading ? <Loader2 className="animate-spin h-5 w-5" /> : <Lightbulb className="h-5 w-5" />}
+                {loading ? t('form.loading') : planCourse ? t('form.plan') : t('form.generate')}
+              </button>
+            </div>
+          </div>
+        </div>
+
+        <PathHistory paths={learner.paths} currentPathId={currentPathId || courseId} offlineIds={offlineIds} onOpen={openPath} />
+
+        {activeCourse && (
+          <CourseMap
+            course={activeCourse}
+            currentLessonId={currentPath?.courseId === activeCourse.id ? currentPath.lessonId : null}
+            startingId={startingLessonId}
+            onStart={startLesson}
+          />
+        )}
+
+        {subject && <CompareView subject={subject} level={experienceLevel} />}
+
+        <ReviewQueue due={reviews.due} provider={model} level={experienceLevel} onReview={reviews.recordReview} />
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-xl p-4 flex items-start gap-3 text-red-700 mb-8">
+            <AlertCircle className="h-5 w-5 mt-0.5 flex-shrink-0" />
+            <div>
+              <p className="font-bold">{t('error.title')}</p>
+              <p className="text-sm opacity-90">{error}</p>
+            </div>
+          </div>
+        )}
+
+        <PathExport
+          path={currentPath}
+          provider={model}
+          onImport={importPath}
+          onUpdate={(patch) => learner.updatePath(currentPathId, patch)}
+        />
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          {recommendations.map((rec, index) => (
+            <div key={index} className="bg-white rounded-2xl p-6 shadow-sm border border-slate-200 hover:border-blue-300 transition-all group">
+              <div className="flex items-center gap-3 mb-4">
+                <div className="p-2 bg-blue-50 text-blue-600 rounded-lg group-hover:bg-blue-600 group-hover:text-white transition-colors">
+                  {learningFormat === 'Video' ? <Video size={20} /> : learningFormat === 'Audio' ? <Headphones size={20} /> : <BookOpen size={20} />}
+                </div>
+                <h3 className="font-bold text-lg text-slate-800">{rec.step}. {rec.topic}</h3>
+                <span className="ms-auto text-xs font-semibold text-slate-500 whitespace-nowrap flex items-center gap-1">
+                  {currentPath?.progress?.[rec.step] === 'done' && <CheckCircle2 size={14} className="text-emerald-600" />}
+                  {t('step.minutes', { count: rec.minutes })}
+                </span>
+              </div>
+              <p className="text-slate-600 text-sm leading-relaxed mb-6">
+                {rec.description}
+              </p>
+              {rec.narration && (
+                <AudioPlayer
+                  id={`${currentPathId || subject}:${rec.step}`}
+                  text={rec.narration}
+                  lang={currentPath?.language}
+                  onEnded={() => completeStep(rec)}
+                />
+              )}
+              {isVideoUrl(rec.url) && (
+                <VideoSummary
+                  key={`${currentPathId}:${rec.step}`}
+                  url={rec.url}
+                  provider={model}
+                  saved={currentPath?.videoSummaries?.[rec.step]}
+                  onSummary={(summary) => currentPathId && learner.updatePath(currentPathId, {
+                    videoSummaries: { ...currentPath?.videoSummaries, [rec.step]: summary }
+                  })}
+                />
+              )}
+              {rec.url && <a
+                href={rec.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                onClick={() => completeStep(rec)}
+                className="inline-flex items-center gap-2 text-blue-600 font-bold hover:text-blue-800 text-sm"
+              >
+                {t('step.start')}
+              </a>}
+            </div>
+          ))}
+        </div>
+
+        {recommendations.length > 0 && learningFormat === 'Video' && (
+          <div className="mt-8">
+            <VideoSearchBox key={currentPathId} provider={model} initialQuery={subject} onComplete={completeVideo} />
+          </div>
+        )}
+
+        {recommendations.length > 0 && (
+          <Quiz
+            material={`${subject}: ${recommendations.map((rec) => `${rec.topic} (${rec.description})`).join('; ')}`}
+            level={experienceLevel}
+            provider={model}
+            onComplete={(score, questions) => {
+              reviews.recordCompleted(recommendations.map((rec) => ({ subject, topic: rec.topic })));
+              reviews.recordQuiz(subject, score.ratio);
+              if (currentPathId) learner.updatePath(currentPathId, { quiz: questions });
+            }}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default App;
@@ -1,8 +1,10 @@
-import { render, screen } from '@testing-library/react';
+import { act, render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+test('renders the path form', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  // Let the profile and review stores finish loading (localStorage in tests).
+  await act(() => new Promise((resolve) => setTimeout(resolve, 0)));
+  expect(screen.getByRole('heading', { name: /Micro-Learning/ })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /Generate My Path/ })).toBeInTheDocument();
 });
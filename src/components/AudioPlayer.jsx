@@ -0,0 +1,109 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Play, Pause, RotateCcw } from 'lucide-react';
+import { useI18n } from '../hooks/useI18n';
+import { createSpeechEngine, loadPosition, savePosition } from '../lib/narration';
+
+const SPEEDS = [0.75, 1, 1.25, 1.5, 2];
+
+// Reads a step's narration aloud with play/pause, speed and a resume position kept per `id`.
+// onEnded fires when the narration plays to the end; `lang` picks the browser voice's language.
+export default function AudioPlayer({ id, text, lang, onEnded }) {
+  const engineRef = useRef(null);
+  const [state, setState] = useState('idle'); // idle | playing | paused
+  const [rate, setRate] = useState(1);
+  const [position, setPosition] = useState(() => loadPosition(id));
+  const [error, setError] = useState(null);
+  const { t } = useI18n();
+
+  useEffect(() => {
+    setPosition(loadPosition(id));
+    setState('idle');
+    // The next step narrates other text, so the old audio can go.
+    return () => engineRef.current?.dispose();
+  }, [id]);
+
+  function engine() {
+    if (!engineRef.current) engineRef.current = createSpeechEngine();
+    return engineRef.current;
+  }
+
+  function play(from = position) {
+    setError(null);
+    setState('playing');
+    engine().speak(text, {
+      rate,
+      from,
+      lang,
+      onProgress: (pos) => {
+        setPosition(pos);
+        savePosition(id, pos);
+      },
+      onEnd: () => {
+        setState('idle');
+        setPosition(0);
+        savePosition(id, 1);
+        onEnded?.();
+      },
+      onError: (message) => {
+        setState('idle');
+        setError(message || t('audio.failed'));
+      }
+    });
+  }
+
+  function toggle() {
+    if (state === 'playing') {
+      engine().pause();
+      setState('paused');
+    } else if (state === 'paused') {
+      engine().resume();
+      setState('playing');
+    } else {
+      play();
+    }
+  }
+
+  function changeRate(next) {
+    setRate(next);
+    if (state !== 'idle') engine().setRate(next);
+  }
+
+  function restart() {
+    engine().stop();
+    setPosition(0);
+    savePosition(id, 0);
+    play(0);
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 bg-slate-50 border border-slate-200 rounded-xl px-3 py-2 mb-4">
+      <button
+        onClick={toggle}
+        className="p-2 rounded-full bg-blue-600 hover:bg-blue-700 text-white"
+        aria-label={state === 'playing' ? t('audio.pause') : t('audio.play')}
+      >
+        {state === 'playing' ? <Pause size={16} /> : <Play size={16} />}
+      </button>
+      <div className="flex-1 min-w-[6rem] h-1.5 bg-slate-200 rounded-full overflow-hidden">
+        <div className="h-full bg-blue-600" style={{ width: `${Math.round(position * 100)}%` }} />
+      </div>
+      {state === 'idle' && position > 0 && (
+        <span className="text-xs text-slate-500">{t('audio.resume', { percent: Math.round(position * 100) })}</span>
+      )}
+      {position > 0 && (
+        <button onClick={restart} className="text-slate-500 hover:text-slate-700" aria-label={t('audio.restart')}>
+          <RotateCcw size={14} />
+        </button>
+      )}
+      <select
+        value={rate}
+        onChange={(e) => changeRate(Number(e.target.value))}
+        className="text-xs bg-white border border-slate-200 rounded-lg px-2 py-1"
+        aria-label={t('audio.speed')}
+      >
+        {SPEEDS.map((s) => <option key={s} value={s}>{s}×</option>)}
+      </select>
+      {error && <p className="w-full text-xs text-red-700">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { Columns, Loader2, ThumbsUp, Clock } from 'lucide-react';
+import { useCompare } from '../hooks/useCompare';
+import { useI18n } from '../hooks/useI18n';
+
+const TASKS = ['links', 'summary'];
+
+// Runs the same request on every configured provider and shows the answers side by side.
+// The learner's vote goes to /api/votes, where it feeds the per-task default providers; comparisons without an `id`
+// (no shared vote store) can't be voted on.
+export default function CompareView({ subject, level }) {
+  const [task, setTask] = useState('links');
+  const { loading, data, error, compare, vote, voted, voteError } = useCompare();
+  const { t } = useI18n();
+
+  const results = data?.results || [];
+  const answered = results.filter((r) => r.ok);
+
+  function run() {
+    const query = task === 'links' ? subject : `explain ${subject} for a ${level} learner`;
+    compare(task, query);
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6 mb-8">
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <div className="p-2 bg-violet-50 text-violet-600 rounded-lg">
+          <Columns size={20} />
+        </div>
+        <h2 className="font-bold text-lg text-slate-800">{t('compare.title')}</h2>
+        <div className="ms-auto flex items-center gap-2">
+          {TASKS.map((id) => (
+            <button
+              key={id}
+              onClick={() => setTask(id)}
+              className={`px-3 py-1 rounded-full text-xs font-semibold ${task === id ? 'bg-violet-600 text-white' : 'bg-slate-100 hover:bg-slate-200'}`}
+            >
+              {t(`compare.task.${id}`)}
+            </button>
+          ))}
+          <button
+            onClick={run}
+            disabled={loading || !subject}
+            className="bg-violet-600 hover:bg-violet-700 disabled:bg-slate-300 text-white font-bold py-2 px-4 rounded-xl text-sm flex items-center gap-2"
+          >
+            {loading && <Loader2 className="animate-spin h-4 w-4" />}
+            {loading ? t('compare.loading') : t('compare.run')}
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-700">{error}</p>}
+
+      {data?.overlap && (
+        <p className="text-xs text-slate-500 mb-3">
+          {t('compare.overlap', { unique: data.overlap.union.length, shared: data.overlap.shared })}
+        </p>
+      )}
+
+      <div className={`grid grid-cols-1 gap-4 ${results.length > 2 ? 'md:grid-cols-3' : 'md:grid-cols-2'}`}>
+        {results.map((r) => (
+          <div key={r.provider} className={`border rounded-xl p-4 flex flex-col ${voted === r.provider ? 'border-violet-400' : 'border-slate-200'}`}>
+            <div className="flex items-center gap-2 mb-3">
+              <p className="font-bold text-slate-800 capitalize">{r.provider}</p>
+              <span className="ms-auto text-xs text-slate-500 flex items-center gap-1">
+                <Clock size={12} />
+                {(r.latency_ms / 1000).toFixed(1)}s{r.cache?.hit ? ` ${t('compare.cached')}` : ''}
+              </span>
+            </div>
+
+            {!r.ok && <p className="text-sm text-red-700">{r.error}</p>}
+
+            {r.ok && data.task === 'links' && (
+              <ul className="space-y-2 text-sm">
+                {r.items.map((it) => (
+                  <li key={it.url}>
+                    <a href={it.url} target="_blank" rel="noreferrer" className="text-blue-600 hover:text-blue-800 font-semibold">
+                      {it.title || it.url}
+                    </a>
+                    {it.shared_with?.length > 0 && (
+                      <span className="ms-2 text-[10px] font-bold uppercase text-violet-600">{t('compare.alsoFrom', { providers: it.shared_with.join(', ') })}</span>
+                    )}
+                    {it.author && <span className="block text-xs text-slate-500">{it.author}</span>}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {r.ok && data.task === 'summary' && (
+              <p className="text-sm text-slate-700 whitespace-pre-line leading-relaxed">{r.text}</p>
+            )}
+
+            {r.ok && data.id && answered.length > 1 && (
+              <button
+                onClick={() => vote(r.provider)}
+                disabled={!!voted}
+                className="mt-auto pt-4 self-start text-sm font-bold text-violet-600 hover:text-violet-800 disabled:text-slate-400 flex items-center gap-1.5"
+              >
+                <ThumbsUp size={14} />
+                {voted === r.provider ? t('compare.yourPick') : t('compare.better')}
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {data?.id && answered.length > 1 && (
+        <div className="flex items-center gap-3 mt-4 text-sm">
+          <button onClick={() => vote('tie')} disabled={!!voted} className="font-semibold text-slate-600 hover:text-slate-800 disabled:text-slate-400">
+            {voted === 'tie' ? t('compare.tieVoted') : t('compare.tie')}
+          </button>
+          {voted && <span className="text-xs text-slate-500">{t('compare.thanks')}</span>}
+          {voteError && <span className="text-xs text-red-700">{voteError}</span>}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+import React from 'react';
+import { Network, Lock, CheckCircle2, PlayCircle, Loader2 } from 'lucide-react';
+import { useI18n } from '../hooks/useI18n';
+import { allLessons, courseProgress, lessonStatuses, levelForLesson, nextLesson } from '../lib/curriculum';
+
+const CARD = {
+  done: 'border-emerald-200 bg-emerald-50',
+  available: 'border-blue-200 bg-white hover:border-blue-400',
+  locked: 'border-slate-200 bg-slate-50 opacity-70'
+};
+
+// Progress map of a planned course: modules in order, each lesson with its prerequisites and status.
+// onStart(lesson) opens the lesson's path, generating it first if needed (`startingId` while that runs).
+export default function CourseMap({ course, currentLessonId, startingId, onStart }) {
+  const statuses = lessonStatuses(course.outline, course.progress);
+  const titles = Object.fromEntries(allLessons(course.outline).map((lesson) => [lesson.id, lesson.title]));
+  const { done, total } = courseProgress(course);
+  const next = nextLesson(course.outline, course.progress);
+  const { t } = useI18n();
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6 mb-8">
+      <div className="flex flex-wrap items-center gap-3 mb-2">
+        <div className="p-2 bg-blue-50 text-blue-600 rounded-lg">
+          <Network size={20} />
+        </div>
+        <h2 className="font-bold text-lg text-slate-800">{course.subject}</h2>
+        <span className="ms-auto text-xs font-semibold text-slate-500">{t('course.lessons', { done, total, count: total })}</span>
+      </div>
+      <div className="h-1.5 bg-slate-100 rounded-full overflow-hidden mb-6">
+        <div className="h-full bg-emerald-500" style={{ width: `${total ? Math.round((done / total) * 100) : 0}%` }} />
+      </div>
+
+      {course.outline.modules.map((mod, m) => (
+        <section key={mod.id} className="mb-5 last:mb-0">
+          <h3 className="text-sm font-bold text-slate-700 mb-2">{t('course.module', { number: m + 1, title: mod.title })}</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {mod.lessons.map((lesson) => {
+              const status = statuses[lesson.id];
+              const current = lesson.id === currentLessonId;
+              return (
+                <div key={lesson.id} className={`border rounded-xl p-3 transition-all ${CARD[status]} ${current ? 'ring-2 ring-blue-500' : ''}`}>
+                  <div className="flex items-start gap-2">
+                    {status === 'done' && <CheckCircle2 size={16} className="text-emerald-600 mt-0.5 flex-shrink-0" />}
+                    {status === 'locked' && <Lock size={16} className="text-slate-400 mt-0.5 flex-shrink-0" />}
+                    {status === 'available' && <PlayCircle size={16} className="text-blue-600 mt-0.5 flex-shrink-0" />}
+                    <div className="min-w-0">
+                      <p className="font-semibold text-sm text-slate-800">{lesson.title}</p>
+                      <p className="text-xs text-slate-500">{lesson.objective}</p>
+                      {lesson.requires.length > 0 && (
+                        <p className="text-xs text-slate-400 mt-1">{t('course.after', { lessons: lesson.requires.map((id) => titles[id]).join(', ') })}</p>
+                      )}
+                    </div>
+                  </div>
+                  {status !== 'locked' && (
+                    <div className="flex items-center gap-2 mt-2">
+                      <span className="text-xs text-slate-500">{t(`level.${levelForLesson(course, lesson.id)}`)}</span>
+                      <button
+                        onClick={() => onStart(lesson)}
+                        disabled={!!startingId || current}
+                        className="ms-auto text-xs font-bold text-blue-600 hover:text-blue-800 disabled:text-slate-400 flex items-center gap-1"
+                      >
+                        {startingId === lesson.id && <Loader2 className="animate-spin h-3 w-3" />}
+                        {t(current ? 'course.open' : course.lessons?.[lesson.id] ? (status === 'done' ? 'course.review' : 'course.continue') : lesson.id === next?.id ? 'course.startNext' : 'course.start')}
+                      </button>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </section>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,153 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Download, Upload, CalendarPlus, Loader2, Share2 } from 'lucide-react';
+import { useI18n } from '../hooks/useI18n';
+import { authHeaders } from '../lib/apiAuth';
+import { shareSnapshot } from '../lib/snapshots';
+import { isClassroomMode } from '../lib/classroom';
+import { toMarkdown, toJson, toIcs, toAnkiCsv, importPath, exportFileName, download } from '../lib/pathExport';
+
+// Short weekday names in the UI locale, Sunday first (0-6 as in Date#getDay); 1970-01-04 was a Sunday.
+const weekdays = (locale) => [0, 1, 2, 3, 4, 5, 6].map((d) => new Date(Date.UTC(1970, 0, 4 + d)).toLocaleDateString(locale, { weekday: 'short', timeZone: 'UTC' }));
+
+// Export of the open path (Markdown, JSON, calendar, Anki, share link) and import of a shared one.
+// onUpdate(patch) saves step summaries on the path so later exports don't fetch them again.
+export default function PathExport({ path, provider, onImport, onUpdate }) {
+  const fileRef = useRef(null);
+  const [showCalendar, setShowCalendar] = useState(false);
+  const [days, setDays] = useState([1, 2, 3, 4, 5]);
+  const [time, setTime] = useState('08:00');
+  const [summarizing, setSummarizing] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [sharing, setSharing] = useState(false);
+  const [link, setLink] = useState(null);
+  const { t, locale } = useI18n();
+
+  useEffect(() => setLink(null), [path?.id]);
+
+  const missingSummaries = path ? path.recommendations.filter((rec) => !path.summaries?.[rec.step]) : [];
+
+  async function addSummaries() {
+    setSummarizing(true);
+    setMessage(null);
+    const summaries = { ...path.summaries };
+    try {
+      for (const rec of missingSummaries) {
+        const r = await fetch('/api/llm', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...(await authHeaders()) },
+          body: JSON.stringify({
+            provider: provider.toLowerCase(),
+            task: 'summary',
+            language: path.language || 'en',
+            classroom: isClassroomMode(),
+            query: `${rec.topic} (part of learning ${path.subject}): ${rec.description}`
+          })
+        });
+        const data = await r.json();
+        if (!r.ok) throw new Error(data.error || `HTTP ${r.status}`);
+        summaries[rec.step] = { text: data.text, key_points: data.key_points || [] };
+      }
+    } catch (e) {
+      setMessage(t('export.summariesStopped', { error: e.message }));
+    } finally {
+      onUpdate({ summaries });
+      setSummarizing(false);
+    }
+  }
+
+  function exportAs(kind) {
+    setMessage(null);
+    try {
+      if (kind === 'md') download(exportFileName(path, 'md'), toMarkdown(path), 'text/markdown');
+      if (kind === 'json') download(exportFileName(path, 'json'), toJson(path), 'application/json');
+      if (kind === 'anki') download(exportFileName(path, 'anki.txt'), toAnkiCsv(path), 'text/tab-separated-values');
+      if (kind === 'ics') download(exportFileName(path, 'ics'), toIcs(path, { days, time }), 'text/calendar');
+    } catch (e) {
+      setMessage(e.message);
+    }
+  }
+
+  async function share() {
+    setSharing(true);
+    setMessage(null);
+    try {
+      const { url } = await shareSnapshot(path);
+      setLink(url);
+      if (navigator.clipboard) navigator.clipboard.writeText(url).catch(() => {});
+    } catch (e) {
+      setMessage(t('export.shareFailed', { error: e.message }));
+    } finally {
+      setSharing(false);
+    }
+  }
+
+  async function importFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      onImport(importPath(await file.text()));
+      setMessage(t('export.imported', { name: file.name }));
+    } catch (err) {
+      setMessage(t('export.importFailed', { name: file.name, error: err.message }));
+    }
+  }
+
+  const toggleDay = (d) => setDays((prev) => (prev.includes(d) ? prev.filter((x) => x !== d) : [...prev, d].sort()));
+  const buttonClass = 'px-3 py-1.5 rounded-lg bg-slate-100 hover:bg-slate-200 text-xs font-semibold';
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 mb-8">
+      <div className="flex flex-wrap items-center gap-2">
+        {path && (
+          <>
+            <Download size={16} className="text-slate-500" />
+            <button onClick={() => exportAs('md')} className={buttonClass}>Markdown</button>
+            <button onClick={() => exportAs('json')} className={buttonClass}>JSON</button>
+            <button onClick={() => setShowCalendar((v) => !v)} className={buttonClass}>{t('export.calendar')}</button>
+            <button onClick={() => exportAs('anki')} className={buttonClass}>{t('export.anki')}</button>
+            <button onClick={share} disabled={sharing} className={`${buttonClass} flex items-center gap-1`}>
+              {sharing ? <Loader2 className="animate-spin h-3 w-3" /> : <Share2 size={12} />}
+              {t('export.share')}
+            </button>
+            {missingSummaries.length > 0 && (
+              <button onClick={addSummaries} disabled={summarizing} className="text-xs font-bold text-blue-600 hover:text-blue-800 flex items-center gap-1">
+                {summarizing && <Loader2 className="animate-spin h-3 w-3" />}
+                {summarizing ? t('export.summarizing') : t('export.addSummaries')}
+              </button>
+            )}
+          </>
+        )}
+        <button onClick={() => fileRef.current?.click()} className="ms-auto text-xs font-bold text-blue-600 hover:text-blue-800 flex items-center gap-1">
+          <Upload size={14} />
+          {t('export.import')}
+        </button>
+        <input ref={fileRef} type="file" accept=".md,.json,text/markdown,application/json" className="hidden" onChange={importFile} />
+      </div>
+
+      {path && showCalendar && (
+        <div className="flex flex-wrap items-center gap-2 mt-3 text-xs">
+          {weekdays(locale).map((label, d) => (
+            <label key={d} className="flex items-center gap-1">
+              <input type="checkbox" checked={days.includes(d)} onChange={() => toggleDay(d)} />
+              {label}
+            </label>
+          ))}
+          <input type="time" value={time} onChange={(e) => setTime(e.target.value)} className="border border-slate-200 rounded-lg px-2 py-1" />
+          <button onClick={() => exportAs('ics')} className="ms-auto bg-blue-600 hover:bg-blue-700 text-white font-bold py-1.5 px-3 rounded-lg flex items-center gap-1">
+            <CalendarPlus size={14} />
+            {t('export.downloadIcs')}
+          </button>
+        </div>
+      )}
+
+      {path && link && (
+        <p className="text-xs text-slate-600 mt-2">
+          {t('export.link')} <a href={link} className="text-blue-600 font-semibold break-all">{link}</a>
+        </p>
+      )}
+
+      {message && <p className="text-xs text-slate-600 mt-2">{message}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+import React from 'react';
+import { History, HardDriveDownload } from 'lucide-react';
+import { useI18n } from '../hooks/useI18n';
+import { courseProgress, isCourse } from '../lib/curriculum';
+
+// Previously generated paths and planned courses with their completion; `onOpen(path)` reloads one.
+// Paths in `offlineIds` (lib/offline.js) get an "available offline" badge.
+export default function PathHistory({ paths, currentPathId, offlineIds = new Set(), onOpen }) {
+  const { t, locale } = useI18n();
+  if (!paths.length) return null;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6 mb-8">
+      <div className="flex items-center gap-3 mb-4">
+        <div className="p-2 bg-slate-100 text-slate-600 rounded-lg">
+          <History size={20} />
+        </div>
+        <h2 className="font-bold text-lg text-slate-800">{t('history.title')}</h2>
+      </div>
+      <ul className="divide-y divide-slate-100">
+        {paths.slice(0, 10).map((path) => {
+          const course = isCourse(path);
+          const { done, total } = course ? courseProgress(path) : {
+            total: path.recommendations.length,
+            done: path.recommendations.filter((rec) => path.progress?.[rec.step] === 'done').length
+          };
+          return (
+            <li key={path.id} className="flex items-center gap-3 py-2.5">
+              <div className="min-w-0">
+                <p className="font-semibold text-slate-800 truncate">{path.subject}</p>
+                <p className="text-xs text-slate-500 flex flex-wrap items-center gap-x-1">
+                  {offlineIds.has(path.id) && (
+                    <span className="inline-flex items-center gap-1 text-emerald-700 font-semibold me-1">
+                      <HardDriveDownload size={12} />
+                      {t('history.offline')}
+                    </span>
+                  )}
+                  {course ? `${t('history.course')} · ` : ''}{t(`level.${path.experienceLevel}`)} · {t(`format.${path.learningFormat}`)} · {new Date(path.createdAt).toLocaleDateString(locale)}
+                </p>
+              </div>
+              <span className="ms-auto text-xs font-semibold text-slate-500 whitespace-nowrap">{t(course ? 'course.lessons' : 'history.done', { done, total, count: total })}</span>
+              {path.id === currentPathId ? (
+                <span className="text-xs font-bold text-slate-400">{t('history.current')}</span>
+              ) : (
+                <button onClick={() => onOpen(path)} className="text-sm font-bold text-blue-600 hover:text-blue-800">{t('history.open')}</button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
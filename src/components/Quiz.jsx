@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { CheckCircle2, XCircle, Loader2, ListChecks } from 'lucide-react';
+import { useLLM } from '../hooks/useLLM';
+import { useI18n } from '../hooks/useI18n';
+import { gradeAnswer, distractorFeedback, scoreQuiz } from '../lib/quiz';
+import { reportOutcome } from '../lib/experiments';
+
+const DIFFICULTY_STYLES = {
+  easy: 'bg-emerald-50 text-emerald-700',
+  medium: 'bg-amber-50 text-amber-700',
+  hard: 'bg-rose-50 text-rose-700'
+};
+
+// onComplete(score, questions) fires when the learner checks their answers; score comes from scoreQuiz.
+export default function Quiz({ material, level, provider, onComplete }) {
+  const { loading, data, error, callLLM } = useLLM();
+  const { t } = useI18n();
+  const [responses, setResponses] = useState({});
+  const [submitted, setSubmitted] = useState(false);
+
+  const questions = data?.questions || [];
+  const score = submitted ? scoreQuiz(questions, responses) : null;
+
+  function start(fresh = false) {
+    setResponses({});
+    setSubmitted(false);
+    callLLM({ provider: provider.toLowerCase(), task: 'quiz', query: material, level, count: 5, noCache: fresh });
+  }
+
+  function answer(i, value) {
+    if (!submitted) setResponses((prev) => ({ ...prev, [i]: value }));
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6 mt-8">
+      <div className="flex items-center gap-3 mb-4">
+        <div className="p-2 bg-blue-50 text-blue-600 rounded-lg">
+          <ListChecks size={20} />
+        </div>
+        <h2 className="font-bold text-lg text-slate-800">{t('quiz.title')}</h2>
+        {score && (
+          <span className="ms-auto text-sm font-bold text-slate-700">{t('quiz.score', { correct: score.correct, total: score.total })}</span>
+        )}
+      </div>
+
+      {!questions.length && (
+        <button
+          onClick={() => start()}
+          disabled={loading}
+          className="bg-blue-600 hover:bg-blue-700 disabled:bg-slate-300 text-white font-bold py-2.5 px-5 rounded-xl transition-all flex items-center gap-2"
+        >
+          {loading && <Loader2 className="animate-spin h-4 w-4" />}
+          {loading ? t('quiz.loading') : t('quiz.start')}
+        </button>
+      )}
+
+      {error && <p className="text-sm text-red-700 mt-3">{error}</p>}
+
+      <ol className="space-y-6">
+        {questions.map((q, i) => {
+          const response = responses[i] ?? '';
+          const correct = submitted && gradeAnswer(q, response);
+          return (
+            <li key={i}>
+              <div className="flex items-start gap-2 mb-2">
+                <p className="font-semibold text-slate-800">{i + 1}. {q.question}</p>
+                <span className={`ms-auto text-xs font-semibold px-2 py-0.5 rounded-full ${DIFFICULTY_STYLES[q.difficulty] || ''}`}>
+                  {DIFFICULTY_STYLES[q.difficulty] ? t(`quiz.difficulty.${q.difficulty}`) : q.difficulty}
+                </span>
+              </div>
+
+              {q.type === 'multiple_choice' ? (
+                <div className="space-y-1.5">
+                  {q.options.map((opt) => (
+                    <label key={opt} className="flex items-center gap-2 text-sm text-slate-700">
+                      <input
+                        type="radio"
+                        name={`q${i}`}
+                        checked={response === opt}
+                        onChange={() => answer(i, opt)}
+                        disabled={submitted}
+                      />
+                      {opt}
+                    </label>
+                  ))}
+                </div>
+              ) : (
+                <input
+                  className="w-full px-4 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                  placeholder={t('quiz.answerPlaceholder')}
+                  value={response}
+                  onChange={(e) => answer(i, e.target.value)}
+                  disabled={submitted}
+                />
+              )}
+
+              {submitted && (
+                <div className={`mt-2 text-sm rounded-xl p-3 ${correct ? 'bg-emerald-50 text-emerald-800' : 'bg-red-50 text-red-800'}`}>
+                  <p className="font-bold flex items-center gap-1.5">
+                    {correct ? <CheckCircle2 size={16} /> : <XCircle size={16} />}
+                    {correct ? t('quiz.correct') : t('quiz.answer', { answer: q.answer })}
+                  </p>
+                  {!correct && distractorFeedback(q, response) && <p className="mt-1">{distractorFeedback(q, response)}</p>}
+                  <p className="mt-1 opacity-90">{q.explanation}</p>
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+
+      {questions.length > 0 && (
+        <div className="flex gap-3 mt-6">
+          {!submitted && (
+            <button
+              onClick={() => {
+                const result = scoreQuiz(questions, responses);
+                setSubmitted(true);
+                reportOutcome(data?.meta?.prompt, 'quiz', { value: result.ratio });
+                onComplete?.(result, questions);
+              }}
+              className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2.5 px-5 rounded-xl transition-all"
+            >
+              {t('quiz.check')}
+            </button>
+          )}
+          <button
+            onClick={() => start(true)}
+            disabled={loading}
+            className="text-blue-600 font-bold hover:text-blue-800 text-sm"
+          >
+            {t('quiz.new')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { CalendarClock, Loader2 } from 'lucide-react';
+import { useLLM } from '../hooks/useLLM';
+import { useI18n } from '../hooks/useI18n';
+import { qualityFromScore } from '../lib/reviewScheduler';
+import Quiz from './Quiz';
+
+const SELF_GRADES = [
+  { label: 'forgot', quality: 1 },
+  { label: 'hard', quality: 3 },
+  { label: 'good', quality: 4 },
+  { label: 'easy', quality: 5 }
+];
+
+// "Due today" queue. Each due lesson can be refreshed with a short summary
+// (then self-graded) or with a new quiz (graded by score).
+export default function ReviewQueue({ due, provider, level, onReview }) {
+  const [active, setActive] = useState(null); // { id, mode: 'refresh' | 'quiz', quality? }
+  const { loading, text, error, callLLM, abort } = useLLM();
+  const { t } = useI18n();
+
+  if (!due.length) return null;
+
+  function refresh(card) {
+    setActive({ id: card.id, mode: 'refresh' });
+    callLLM({
+      provider: provider.toLowerCase(),
+      task: 'summary',
+      query: `give a short refresher on "${card.topic}" (part of learning ${card.subject}) for a ${level} learner`,
+      stream: true
+    });
+  }
+
+  function finish(card, quality) {
+    abort();
+    setActive(null);
+    onReview(card.id, quality);
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6 mb-8">
+      <div className="flex items-center gap-3 mb-4">
+        <div className="p-2 bg-amber-50 text-amber-600 rounded-lg">
+          <CalendarClock size={20} />
+        </div>
+        <h2 className="font-bold text-lg text-slate-800">{t('review.title')}</h2>
+        <span className="ms-auto text-sm text-slate-500">{t('review.due', { count: due.length })}</span>
+      </div>
+
+      <ul className="space-y-4">
+        {due.map((card) => (
+          <li key={card.id} className="border border-slate-200 rounded-xl p-4">
+            <div className="flex flex-wrap items-center gap-3">
+              <div>
+                <p className="font-semibold text-slate-800">{card.topic}</p>
+                <p className="text-xs text-slate-500">{card.subject}</p>
+              </div>
+              <div className="ms-auto flex gap-3 text-sm font-bold">
+                <button onClick={() => refresh(card)} className="text-blue-600 hover:text-blue-800">{t('review.refresher')}</button>
+                <button onClick={() => setActive({ id: card.id, mode: 'quiz' })} className="text-blue-600 hover:text-blue-800">{t('review.quizMe')}</button>
+              </div>
+            </div>
+
+            {active?.id === card.id && active.mode === 'refresh' && (
+              <div className="mt-3 text-sm text-slate-700">
+                {loading && !text && <Loader2 className="animate-spin h-4 w-4" />}
+                {error && <p className="text-red-700">{error}</p>}
+                <p className="whitespace-pre-line leading-relaxed">{text}</p>
+                {!loading && text && (
+                  <div className="flex flex-wrap items-center gap-2 mt-3">
+                    <span className="text-xs text-slate-500">{t('review.howWell')}</span>
+                    {SELF_GRADES.map((g) => (
+                      <button
+                        key={g.label}
+                        onClick={() => finish(card, g.quality)}
+                        className="px-3 py-1 rounded-full bg-slate-100 hover:bg-slate-200 text-xs font-semibold"
+                      >
+                        {t(`review.grade.${g.label}`)}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {active?.id === card.id && active.mode === 'quiz' && (
+              <>
+                <Quiz
+                  material={`${card.topic} (part of ${card.subject})`}
+                  level={level}
+                  provider={provider}
+                  onComplete={(score) => setActive({ ...active, quality: qualityFromScore(score.ratio) })}
+                />
+                {active.quality !== undefined && (
+                  <button
+                    onClick={() => finish(card, active.quality)}
+                    className="mt-3 bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-xl text-sm"
+                  >
+                    {t('review.done')}
+                  </button>
+                )}
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,84 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, GitFork, Loader2, Share2 } from 'lucide-react';
+import { useI18n } from '../hooks/useI18n';
+import { loadSnapshot } from '../lib/snapshots';
+
+// Read-only view of a shared path snapshot. Nothing here calls an LLM;
+// onFork(inputs) hands the snapshot's inputs back to the form for a fresh generation.
+export default function SharedPath({ id, onFork }) {
+  const [snapshot, setSnapshot] = useState(null);
+  const [error, setError] = useState(null);
+  const { t, locale } = useI18n();
+
+  useEffect(() => {
+    let alive = true;
+    setSnapshot(null);
+    setError(null);
+    loadSnapshot(id)
+      .then((s) => { if (alive) setSnapshot(s); })
+      .catch((e) => { if (alive) setError(e.message); });
+    return () => { alive = false; };
+  }, [id]);
+
+  if (error) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-xl p-4 flex items-start gap-3 text-red-700 mb-8">
+        <AlertCircle className="h-5 w-5 mt-0.5 flex-shrink-0" />
+        <div>
+          <p className="font-bold">{t('shared.error')}</p>
+          <p className="text-sm opacity-90">{error}</p>
+        </div>
+      </div>
+    );
+  }
+  if (!snapshot) return <Loader2 className="animate-spin h-6 w-6 mx-auto text-slate-400" />;
+
+  const { inputs, recommendations, summaries } = snapshot;
+
+  return (
+    <div className="mb-8">
+      <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6 mb-6 flex flex-wrap items-center gap-3">
+        <div className="p-2 bg-blue-50 text-blue-600 rounded-lg">
+          <Share2 size={20} />
+        </div>
+        <div>
+          <h2 className="font-bold text-lg text-slate-800">{inputs.subject}</h2>
+          <p className="text-xs text-slate-500">
+            {t('shared.label')} · {t(`level.${inputs.experienceLevel}`)} · {t(`format.${inputs.learningFormat}`)} · {snapshot.provider}
+            {snapshot.expiresAt ? ` · ${t('shared.until', { date: new Date(snapshot.expiresAt).toLocaleDateString(locale) })}` : ''}
+          </p>
+          {inputs.goals && <p className="text-sm text-slate-600 mt-1">{t('shared.goal', { goal: inputs.goals })}</p>}
+        </div>
+        <button
+          onClick={() => onFork(inputs)}
+          className="ms-auto bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-xl text-sm flex items-center gap-2"
+        >
+          <GitFork size={16} />
+          {t('shared.fork')}
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {recommendations.map((rec) => (
+          <div key={rec.step} className="bg-white rounded-2xl p-6 shadow-sm border border-slate-200">
+            <div className="flex items-center gap-3 mb-4">
+              <h3 className="font-bold text-lg text-slate-800">{rec.step}. {rec.topic}</h3>
+              <span className="ms-auto text-xs font-semibold text-slate-500 whitespace-nowrap">{t('step.minutes', { count: rec.minutes })}</span>
+            </div>
+            <p className="text-slate-600 text-sm leading-relaxed mb-4">{rec.description}</p>
+            {summaries?.[rec.step]?.key_points?.length > 0 && (
+              <ul className="list-disc ps-5 text-sm text-slate-600 mb-4 space-y-1">
+                {summaries[rec.step].key_points.map((point) => <li key={point}>{point}</li>)}
+              </ul>
+            )}
+            {rec.url && (
+              <a href={rec.url} target="_blank" rel="noopener noreferrer" className="inline-flex items-center gap-2 text-blue-600 font-bold hover:text-blue-800 text-sm">
+                {t('shared.openResource')}
+              </a>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useI18n } from '../hooks/useI18n';
+import { parseVideoUrl, playbackRange, watchTarget, formatTime } from '../lib/video';
+import { createPlayer } from '../lib/players';
+import { advance, isComplete, loadWatch, saveWatch } from '../lib/watchProgress';
+
+// Plays a YouTube/TikTok link item inline, within its start/end range, resuming where the learner left off.
+// onProgress(progress) follows the watch time (lib/watchProgress.js), onComplete(progress) fires once when
+// the item counts as watched, onEnded() when playback reaches the end, and onUnavailable(reason) when
+// the platform won't play it here (the caller falls back to the external link).
+export default function VideoPlayer({ item, autoplay = false, onProgress, onComplete, onEnded, onUnavailable }) {
+  const { url } = item;
+  const containerRef = useRef(null);
+  const callbacks = useRef({});
+  callbacks.current = { onProgress, onComplete, onEnded, onUnavailable };
+  // A new player per url: `item` is a fresh object on every search and `autoplay` only matters
+  // when the player starts, so both are read from here rather than restarting it.
+  const options = useRef({});
+  options.current = { item, autoplay };
+  const [progress, setProgress] = useState(() => loadWatch(url));
+  const [target, setTarget] = useState(null);
+  const { t } = useI18n();
+
+  useEffect(() => {
+    const { item, autoplay } = options.current;
+    const video = parseVideoUrl(url);
+    const range = playbackRange(item);
+    let current = loadWatch(url);
+    const resume = !current.completed && current.position_s > range.start && (!range.end || current.position_s < range.end);
+    setProgress(current);
+    setTarget(watchTarget(item, range, 0));
+
+    let player = null;
+    let cancelled = false;
+    createPlayer(containerRef.current, video, {
+      start: resume ? current.position_s : range.start,
+      end: range.end,
+      autoplay,
+      onTime: (time, duration) => {
+        const expected = watchTarget(item, range, duration);
+        current = advance(current, time);
+        if (!current.completed && isComplete(current, expected)) {
+          current = { ...current, completed: true };
+          callbacks.current.onComplete?.(current);
+        }
+        saveWatch(url, current);
+        setProgress(current);
+        setTarget(expected);
+        callbacks.current.onProgress?.(current);
+      },
+      onEnd: () => callbacks.current.onEnded?.(),
+      onError: (reason) => callbacks.current.onUnavailable?.(reason)
+    }).then((p) => {
+      if (cancelled) p.destroy();
+      else player = p;
+    }).catch(() => {
+      if (!cancelled) callbacks.current.onUnavailable?.('failed');
+    });
+
+    return () => {
+      cancelled = true;
+      player?.destroy();
+    };
+  }, [url]);
+
+  const share = target ? Math.min(1, progress.watched_s / target) : 0;
+
+  return (
+    <div>
+      <div ref={containerRef} className={`w-full bg-black rounded-xl overflow-hidden ${parseVideoUrl(url)?.platform === 'tiktok' ? 'aspect-[9/16] max-h-[70vh] mx-auto' : 'aspect-video'}`} />
+      <div className="flex items-center gap-3 mt-2 text-xs text-slate-500">
+        <div className="flex-1 h-1.5 bg-slate-200 rounded-full overflow-hidden">
+          <div className={`h-full ${progress.completed ? 'bg-emerald-500' : 'bg-blue-500'}`} style={{ width: `${Math.round((progress.completed ? 1 : share) * 100)}%` }} />
+        </div>
+        <span className="whitespace-nowrap">
+          {target
+            ? t('video.watchedOf', { watched: formatTime(progress.watched_s), target: formatTime(target) })
+            : t('video.watched', { watched: formatTime(progress.watched_s) })}
+        </span>
+      </div>
+    </div>
+  );
+}
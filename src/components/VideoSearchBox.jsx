@@ -1,30 +1,117 @@
 import React, { useState } from 'react';
+import { Play, CheckCircle2, ExternalLink, Loader2 } from 'lucide-react';
 import { usePerplexityLinks } from '../hooks/usePerplexityLinks';
+import { useI18n } from '../hooks/useI18n';
+import VideoSummary from './VideoSummary';
+import VideoPlayer from './VideoPlayer';
+import { isVideoUrl } from '../lib/video';
+import { loadWatch } from '../lib/watchProgress';
+import { reportOutcome } from '../lib/experiments';
 
-export default function VideoSearchBox() {
-  const [q, setQ] = useState('');
-  const { loading, items, error, fetchLinks } = usePerplexityLinks();
+// Finds short videos and plays YouTube/TikTok ones inline, as a queue: when one ends, the next playable
+// item starts. Other links (and videos their platform won't embed) open externally as before.
+// `provider` writes the transcript summaries of the videos found; onComplete(item, progress) fires when
+// the learner has watched an item (lib/watchProgress.js).
+export default function VideoSearchBox({ provider = 'Gemini', initialQuery = '', onComplete }) {
+  const [q, setQ] = useState(initialQuery);
+  const { loading, items, error, prompt, fetchLinks } = usePerplexityLinks();
+  const { t } = useI18n();
+  const [playing, setPlaying] = useState(null); // url of the item in the player
+  const [autoplay, setAutoplay] = useState(false);
+  const [unplayable, setUnplayable] = useState({});
+  const [watched, setWatched] = useState({}); // url -> progress, for items played this visit
+
+  const playable = (it) => isVideoUrl(it.url) && !unplayable[it.url];
+  const queue = items.filter(playable);
+  const current = queue.find((it) => it.url === playing);
+  const progressOf = (it) => watched[it.url] || loadWatch(it.url);
+
+  function play(it, auto = false) {
+    setAutoplay(auto);
+    setPlaying(it.url);
+  }
+
+  function playNext() {
+    const next = queue[queue.indexOf(current) + 1];
+    if (next) play(next, true);
+    else setPlaying(null);
+  }
 
   return (
-    <div>
-      <form onSubmit={(e) => { e.preventDefault(); fetchLinks(q, { maxResults: 6 }); }}>
-        <input value={q} onChange={(e) => setQ(e.target.value)} placeholder="What do you want to learn in 5 minutes?" />
-        <button type="submit" disabled={loading}>Find videos</button>
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6 mb-8">
+      <form className="flex gap-2 mb-4" onSubmit={(e) => { e.preventDefault(); setPlaying(null); fetchLinks(q, { maxResults: 6 }); }}>
+        <input
+          value={q}
+          onChange={(e) => setQ(e.target.value)}
+          placeholder={t('video.searchPlaceholder')}
+          className="flex-1 px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-blue-500 outline-none"
+        />
+        <button
+          type="submit"
+          disabled={loading || !q}
+          className="bg-blue-600 hover:bg-blue-700 disabled:bg-slate-300 text-white font-bold py-2.5 px-5 rounded-xl transition-all flex items-center gap-2"
+        >
+          {loading && <Loader2 className="animate-spin h-4 w-4" />}
+          {t('video.find')}
+        </button>
       </form>
 
-      {error && <div style={{ color: 'red' }}>{error}</div>}
-
-      <ul>
-        {items.map((it) => (
-          <li key={it.url}>
-            <strong>{(it.platform || '').toUpperCase()}</strong>{' '}
-            <a href={it.url} target="_blank" rel="noreferrer">{it.title || it.url}</a>
-            {it.est_duration_s ? ` • ~${Math.round(it.est_duration_s/60)} min` : null}
-            {it.reason ? <div style={{ fontSize: 12, opacity: 0.8 }}>{it.reason}</div> : null}
-          </li>
-        ))}
+      {error && <p className="text-sm text-red-700 mb-3">{error}</p>}
+
+      {current && (
+        <div className="mb-4">
+          <VideoPlayer
+            item={current}
+            autoplay={autoplay}
+            onProgress={(progress) => setWatched((prev) => ({ ...prev, [current.url]: progress }))}
+            onComplete={(progress) => onComplete?.(current, progress)}
+            onEnded={playNext}
+            onUnavailable={() => {
+              setUnplayable((prev) => ({ ...prev, [current.url]: true }));
+              playNext();
+            }}
+          />
+          <p className="text-sm font-semibold text-slate-800 mt-2">{current.title || current.url}</p>
+        </div>
+      )}
+
+      <ul className="space-y-3">
+        {items.map((it) => {
+          const done = progressOf(it).completed;
+          return (
+            <li
+              key={it.url}
+              className={`text-sm ${it.url === playing ? 'bg-blue-50 rounded-xl p-2 -m-2' : ''}`}
+              title={it.score_breakdown ? Object.entries(it.score_breakdown).map(([k, v]) => `${k} ${v}`).join(' · ') : undefined}
+            >
+              <div className="flex items-center gap-2">
+                {done && <CheckCircle2 size={14} className="text-emerald-600 flex-shrink-0" />}
+                <strong className="text-xs text-slate-500">{(it.platform || '').toUpperCase()}</strong>
+                {playable(it) ? (
+                  <button onClick={() => { play(it); reportOutcome(prompt, 'click', { item: it.url }); }} className="inline-flex items-center gap-1 text-start font-semibold text-blue-600 hover:text-blue-800">
+                    <Play size={14} className="flex-shrink-0" />
+                    {it.title || it.url}
+                  </button>
+                ) : (
+                  <a href={it.url} target="_blank" rel="noreferrer" onClick={() => reportOutcome(prompt, 'click', { item: it.url })} className="inline-flex items-center gap-1 font-semibold text-blue-600 hover:text-blue-800">
+                    {it.title || it.url}
+                    <ExternalLink size={12} className="flex-shrink-0" />
+                  </a>
+                )}
+              </div>
+              <div className="text-xs text-slate-500">
+                {[
+                  it.author,
+                  it.est_duration_s ? `~${t('step.minutes', { count: Math.round(it.est_duration_s / 60) })}` : null,
+                  typeof it.score === 'number' ? t('video.score', { score: it.score }) : null
+                ].filter(Boolean).join(' • ')}
+              </div>
+              {it.reason ? <div style={{ fontSize: 12, opacity: 0.8 }}>{it.reason}</div> : null}
+              {isVideoUrl(it.url) && <VideoSummary url={it.url} provider={provider} />}
+            </li>
+          );
+        })}
       </ul>
     </div>
   );
 }
-
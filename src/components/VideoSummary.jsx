@@ -0,0 +1,62 @@
+import React, { useEffect, useRef } from 'react';
+import { Subtitles, Loader2 } from 'lucide-react';
+import { useLLM } from '../hooks/useLLM';
+import { useI18n } from '../hooks/useI18n';
+
+// Summarizes a YouTube/TikTok video from its transcript, with key points that open the video at their moment.
+// `saved` is a summary kept from an earlier visit; onSummary(summary) fires when a new one arrives.
+export default function VideoSummary({ url, provider, saved, onSummary }) {
+  const { loading, data, error, callLLM } = useLLM();
+  const { t } = useI18n();
+  const summary = data || saved;
+  // Only a fresh answer is saved, not a change of callback.
+  const onSummaryRef = useRef(onSummary);
+  onSummaryRef.current = onSummary;
+
+  useEffect(() => {
+    if (data?.status === 'ok') onSummaryRef.current?.(data);
+  }, [data]);
+
+  if (!summary) {
+    return (
+      <div className="mb-4">
+        <button
+          onClick={() => callLLM({ provider: provider.toLowerCase(), task: 'videoSummary', url })}
+          disabled={loading}
+          className="inline-flex items-center gap-2 text-sm font-semibold text-slate-600 hover:text-blue-700 disabled:text-slate-400"
+        >
+          {loading ? <Loader2 className="animate-spin h-4 w-4" /> : <Subtitles size={16} />}
+          {loading ? t('video.reading') : t('video.summarize')}
+        </button>
+        {error && <p className="text-sm text-red-700 mt-2">{error}</p>}
+      </div>
+    );
+  }
+
+  if (summary.status === 'unavailable') {
+    return (
+      <p className="text-sm text-slate-500 mb-4">
+        {summary.reason === 'no_transcript'
+          ? t('video.noCaptions')
+          : t('video.transcriptFailed')}
+      </p>
+    );
+  }
+
+  return (
+    <div className="bg-slate-50 rounded-xl p-4 mb-4 text-sm">
+      <p className="text-slate-700 leading-relaxed mb-3">{summary.text}</p>
+      <ul className="space-y-1.5">
+        {summary.key_points.map((k) => (
+          <li key={k.t} className="flex gap-2">
+            <a href={k.url} target="_blank" rel="noopener noreferrer" className="font-mono font-semibold text-blue-600 hover:text-blue-800">
+              {k.time}
+            </a>
+            <span className="text-slate-600">{k.point}</span>
+          </li>
+        ))}
+      </ul>
+      {summary.transcript?.generated && <p className="text-xs text-slate-400 mt-3">{t('video.autoCaptions')}</p>}
+    </div>
+  );
+}
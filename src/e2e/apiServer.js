@@ -0,0 +1,65 @@
+// src/e2e/apiServer.js
+// Serves api/ route handlers over real HTTP the way Vercel's Node runtime calls them:
+// `req.body` parsed from JSON, `req.query` from the URL, and res.status/json/send helpers.
+// routes: { '/api/llm': handler, ... }. Resolves to { url, close }.
+
+const http = require('node:http');
+
+function serveApi(routes, { port = 0 } = {}) {
+  const server = http.createServer((incoming, res) => {
+    let raw = '';
+    incoming.setEncoding('utf8');
+    incoming.on('data', (chunk) => { raw += chunk; });
+    incoming.on('end', async () => {
+      const url = new URL(incoming.url, 'http://localhost');
+      const handler = routes[url.pathname];
+      res.status = (code) => { res.statusCode = code; return res; };
+      res.json = (data) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(data));
+        return res;
+      };
+      res.send = (data) => { res.end(data); return res; };
+      if (!handler) return res.status(404).json({ error: 'Not Found' });
+
+      let body = raw;
+      try {
+        body = raw ? JSON.parse(raw) : undefined;
+      } catch {
+        // Left as text, as Vercel does for bodies that aren't valid JSON.
+      }
+      // A plain object rather than the IncomingMessage: its 'close' fires once the body has been read,
+      // while routes listen for 'close' to notice the client going away, which is the response's.
+      const req = {
+        method: incoming.method,
+        url: incoming.url,
+        headers: incoming.headers,
+        query: Object.fromEntries(url.searchParams),
+        body,
+        socket: incoming.socket,
+        on: (event, fn) => res.on(event, fn)
+      };
+      try {
+        await handler(req, res);
+      } catch (e) {
+        if (!res.headersSent) res.status(500).json({ error: 'Unhandled', detail: String(e?.message || e) });
+        else res.end();
+      }
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((done) => {
+          server.closeAllConnections?.();
+          server.close(() => done());
+        })
+      });
+    });
+  });
+}
+
+module.exports = { serveApi };
@@ -0,0 +1,21 @@
+// src/e2e/environment.js
+// Jest environment for the end-to-end suites: jsdom (so hooks can render) plus Node's own
+// fetch and stream classes, which the API routes and readSSE need and Jest 27 doesn't expose.
+// Select it per file with a `@jest-environment ./src/e2e/environment.js` docblock.
+
+const JsdomEnvironment = require('jest-environment-jsdom');
+
+// Taken from Node together: its fetch only accepts its own AbortSignal, Headers and streams.
+const NODE_GLOBALS = [
+  'fetch', 'Headers', 'Request', 'Response', 'ReadableStream',
+  'TextEncoder', 'TextDecoder', 'AbortController', 'AbortSignal', 'structuredClone'
+];
+
+class E2EEnvironment extends JsdomEnvironment {
+  async setup() {
+    await super.setup();
+    for (const name of NODE_GLOBALS) this.global[name] = global[name];
+  }
+}
+
+module.exports = E2EEnvironment;
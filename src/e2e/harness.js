@@ -0,0 +1,70 @@
+// src/e2e/harness.js
+// Wires the offline end-to-end setup: the mock providers, the API routes served over HTTP,
+// and an environment with fake keys, no retries, no cache and no rate limits.
+// Usage (see api.test.js): `const e2e = await startE2E(routes)` then `e2e.post(path, body, headers?)`; `e2e.close()` restores env.
+// Test files that change process.env themselves call `isolateEnv()` at the top, before their own hooks.
+
+const { startMockProviders } = require('./mockProviders');
+const { serveApi } = require('./apiServer');
+
+const BASE_ENV = {
+  PERPLEXITY_API_KEY: 'test-perplexity-key',
+  OPENAI_API_KEY: 'test-openai-key',
+  GEMINI_API_KEY: 'test-gemini-key',
+  API_AUTH: 'off',
+  RATE_LIMIT: 'off',
+  LINK_VERIFY: 'off',
+  LLM_CACHE_STORE: 'off',
+  USAGE_LOG: 'off',
+  LLM_MAX_RETRIES: '0',
+  LLM_BACKOFF_MS: '0',
+  LLM_TIMEOUT_MS: '5000',
+  LLM_FALLBACK_CHAIN: ''
+};
+
+async function startE2E(routes) {
+  const mock = await startMockProviders();
+  const api = await serveApi(routes);
+  const env = { ...BASE_ENV, ...mock.env };
+  const saved = Object.fromEntries(Object.keys(env).map((key) => [key, process.env[key]]));
+  Object.assign(process.env, env);
+
+  return {
+    mock,
+    api,
+    post: (path, body, headers = {}) => fetch(`${api.url}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    }),
+    async close() {
+      for (const [key, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+      await Promise.all([api.close(), mock.close()]);
+    }
+  };
+}
+
+// Snapshots process.env before each test and restores it afterwards, whatever the test set or deleted.
+function isolateEnv() {
+  let saved;
+  beforeEach(() => {
+    saved = { ...process.env };
+  });
+  afterEach(() => {
+    process.env = saved;
+  });
+}
+
+// Parses a normalized SSE body (api/_lib/sse.js) into [{ event, data }].
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map((block) => {
+    const event = /^event: (.*)$/m.exec(block)?.[1];
+    const data = /^data: (.*)$/m.exec(block)?.[1];
+    return { event, data: data ? JSON.parse(data) : null };
+  });
+}
+
+module.exports = { startE2E, isolateEnv, parseEvents, BASE_ENV };
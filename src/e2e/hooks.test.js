@@ -0,0 +1,78 @@
+/**
+ * @jest-environment ./src/e2e/environment.js
+ */
+import { act, renderHook, waitFor } from '@testing-library/react';
+import llm from '../../api/llm';
+import perplexityLinks from '../../api/perplexity/links';
+import session from '../../api/session';
+import { useLLM } from '../hooks/useLLM';
+import { usePerplexityLinks } from '../hooks/usePerplexityLinks';
+import { startE2E } from './harness';
+
+let e2e;
+const nodeFetch = global.fetch;
+
+beforeAll(async () => {
+  e2e = await startE2E({ '/api/llm': llm, '/api/perplexity/links': perplexityLinks, '/api/session': session });
+  // The hooks call relative /api/ URLs, as they do behind the dev server.
+  global.fetch = (url, init) => nodeFetch(String(url).startsWith('/') ? `${e2e.api.url}${url}` : url, init);
+});
+
+afterAll(async () => {
+  global.fetch = nodeFetch;
+  await e2e.close();
+});
+
+beforeEach(() => e2e.mock.reset());
+
+describe('useLLM', () => {
+  test('streams a summary into `text`, then sets `data`', async () => {
+    const { result } = renderHook(() => useLLM());
+    await act(() => result.current.callLLM({ provider: 'gemini', task: 'summary', query: 'closures', stream: true }));
+
+    expect(result.current.error).toBeNull();
+    expect(result.current.text).toBe('A closure is a function that remembers the variables of the scope it was created in.');
+    expect(result.current.data).toEqual(expect.objectContaining({ provider: 'gemini' }));
+    expect(result.current.loading).toBe(false);
+  });
+
+  test('handles JSON answers; the English UI adds no language instruction', async () => {
+    const { result } = renderHook(() => useLLM());
+    await act(() => result.current.callLLM({ provider: 'openai', task: 'quiz', query: 'closures' }));
+
+    expect(result.current.data.questions).toHaveLength(2);
+    const sent = e2e.mock.requests[0].body.messages[0].content;
+    expect(sent).not.toMatch(/Write every human-readable text value/);
+  });
+
+  test('surfaces provider failures as `error`', async () => {
+    const { result } = renderHook(() => useLLM());
+    await act(() => result.current.callLLM({ provider: 'openai', task: 'summary', query: 'closures [mock:status-500]', fallback: false }));
+
+    expect(result.current.error).toBe('All providers failed');
+    expect(result.current.data).toBeNull();
+  });
+
+  test('reports a stream cut mid-way', async () => {
+    const { result } = renderHook(() => useLLM());
+    await act(() => result.current.callLLM({ provider: 'openai', task: 'summary', query: 'closures [mock:cut]', stream: true }));
+
+    await waitFor(() => expect(result.current.loading).toBe(false));
+    expect(result.current.error).toBeTruthy();
+    expect(result.current.text).toBe('A closure is a function ');
+  });
+});
+
+describe('usePerplexityLinks', () => {
+  test('loads links, and keeps an error for a failed call', async () => {
+    const { result } = renderHook(() => usePerplexityLinks({ language: 'es' }));
+    await act(() => result.current.fetchLinks('closures', { maxResults: 3 }));
+
+    expect(result.current.error).toBeNull();
+    expect(result.current.items).toHaveLength(3);
+    expect(e2e.mock.requests[0].body.messages[0].content).toMatch(/Spanish/);
+
+    await act(() => result.current.fetchLinks('closures [mock:malformed]'));
+    expect(result.current.error).toBe('Invalid model output');
+  });
+});
@@ -0,0 +1,177 @@
+// src/e2e/mockProviders.js
+// Local stand-in for the Perplexity, OpenAI and Gemini APIs, answering from recorded fixtures
+// (src/e2e/fixtures/<provider>.json) so the API routes can be exercised fully offline.
+// Point the adapters at it with the base URL env vars of api/_lib/providers.js:
+//  PERPLEXITY_BASE_URL=<url>/perplexity  OPENAI_BASE_URL=<url>/openai/v1  GEMINI_BASE_URL=<url>/gemini
+// The task is read from the request (the structured-output schema, or the streaming flag/endpoint).
+// A tag in the prompt picks the scenario, for every provider or just one:
+//  [mock:<scenario>] or [mock:<provider>:<scenario>]
+//  ok (default) | fenced (JSON in a ```json fence) | prose (JSON inside chatter) | malformed (truncated JSON)
+//  | bad-item (links answer with one invalid item appended)
+//  | html (200 with a non-JSON body) | status-<code> (e.g. status-429, status-500) | cut (stream drops mid-way)
+// Standalone: `npm run mock-providers` (PORT, default 8787) prints the env to export.
+// CommonJS on purpose, so the same file runs under Jest and plain node.
+
+const http = require('node:http');
+const path = require('node:path');
+const fs = require('node:fs');
+
+const PROVIDERS = ['perplexity', 'openai', 'gemini'];
+
+function loadFixtures(dir = path.join(__dirname, 'fixtures')) {
+  return Object.fromEntries(PROVIDERS.map((name) => [name, JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), 'utf8'))]));
+}
+
+// Resolves to { url, env, requests, reset, close }. `requests` logs every call:
+// { provider, task, scenario, path, headers, body }.
+function startMockProviders({ port = 0, fixtures = loadFixtures() } = {}) {
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const raw = await readBody(req);
+    const provider = PROVIDERS.find((name) => req.url.startsWith(`/${name}/`));
+    let body = null;
+    try {
+      body = JSON.parse(raw);
+    } catch {
+      // Answered as a bad request below.
+    }
+    if (!provider || req.method !== 'POST' || !body) {
+      return sendJson(res, 400, { error: { message: `Unexpected ${req.method} ${req.url}` } });
+    }
+
+    const stream = provider === 'gemini' ? req.url.includes(':streamGenerateContent') : body.stream === true;
+    const task = stream ? 'stream' : detectTask(provider, body);
+    const scenario = scenarioFor(provider, raw);
+    requests.push({ provider, task, scenario, path: req.url, headers: req.headers, body });
+
+    const status = /^status-(\d{3})$/.exec(scenario);
+    if (status) return sendError(res, provider, Number(status[1]));
+
+    const fixture = fixtures[provider];
+    if (stream) return sendStream(res, fixture.stream, scenario);
+
+    const recorded = fixture.responses[task];
+    if (!recorded) return sendError(res, provider, 400, `No recorded ${provider} response for task "${task}"`);
+    if (scenario === 'html') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      return res.end('<html><body>Service temporarily unavailable</body></html>');
+    }
+    return sendJson(res, 200, withText(provider, recorded, (text) => applyScenario(text, scenario)));
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        url,
+        env: {
+          PERPLEXITY_BASE_URL: `${url}/perplexity`,
+          OPENAI_BASE_URL: `${url}/openai/v1`,
+          GEMINI_BASE_URL: `${url}/gemini`
+        },
+        requests,
+        reset: () => { requests.length = 0; },
+        close: () => new Promise((done) => {
+          server.closeAllConnections?.();
+          server.close(() => done());
+        })
+      });
+    });
+  });
+}
+
+/** -------- Requests -------- */
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+// OpenAI-style requests name the schema (api/_lib/schemas.js task names); Gemini's only carry its shape.
+function detectTask(provider, body) {
+  if (provider !== 'gemini') return body.response_format?.json_schema?.name || 'summary';
+  const schema = body.generationConfig?.responseSchema;
+  if (!schema) return 'summary';
+  if (schema.type === 'ARRAY') return 'links';
+  if (schema.properties?.key_points?.items?.type === 'OBJECT') return 'videoSummary';
+  const key = Object.keys(schema.properties || {}).find((k) => GEMINI_ROOT_KEYS[k]);
+  return key ? GEMINI_ROOT_KEYS[key] : 'summary';
+}
+
+const GEMINI_ROOT_KEYS = { questions: 'quiz', recommendations: 'recommendations', modules: 'outline' };
+
+function scenarioFor(provider, raw) {
+  const tags = [...raw.matchAll(/\[mock:(?:(\w+):)?([\w-]+)\]/g)];
+  const own = tags.find((m) => m[1] === provider) || tags.find((m) => !m[1]);
+  return own ? own[2] : 'ok';
+}
+
+/** -------- Responses -------- */
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+// Error bodies as each API shapes them; 429s come with a zero Retry-After so retries don't wait.
+function sendError(res, provider, status, message = `Mock ${provider} failure`) {
+  if (status === 429) res.setHeader('Retry-After', '0');
+  const error = provider === 'gemini'
+    ? { error: { code: status, message, status: status === 429 ? 'RESOURCE_EXHAUSTED' : 'INTERNAL' } }
+    : { error: { message, type: status === 429 ? 'rate_limit_exceeded' : 'server_error', code: status } };
+  sendJson(res, status, error);
+}
+
+// Copies the recorded envelope with its text replaced by fn(text).
+function withText(provider, recorded, fn) {
+  const copy = JSON.parse(JSON.stringify(recorded));
+  if (provider === 'gemini') {
+    const part = copy.candidates[0].content.parts[0];
+    part.text = fn(part.text);
+  } else {
+    const message = copy.choices[0].message;
+    message.content = fn(message.content);
+  }
+  return copy;
+}
+
+function applyScenario(text, scenario) {
+  if (scenario === 'fenced') return `\`\`\`json\n${JSON.stringify(JSON.parse(text), null, 2)}\n\`\`\``;
+  if (scenario === 'prose') return `Sure! Here is what you asked for:\n${text}\nLet me know if you need more.`;
+  if (scenario === 'malformed') return text.slice(0, Math.floor(text.length / 2));
+  if (scenario === 'bad-item') {
+    const value = JSON.parse(text);
+    const items = Array.isArray(value) ? value : value.items;
+    items.push({ platform: 'web', title: 'Not a link', url: 'closures.example/article', est_duration_s: -1 });
+    return JSON.stringify(value);
+  }
+  return text;
+}
+
+// Recorded SSE payloads, one per event; `cut` drops the connection after the first two.
+function sendStream(res, events, scenario) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+  const payloads = events.map((e) => (typeof e === 'string' ? e : JSON.stringify(e)));
+  if (scenario === 'cut') {
+    payloads.slice(0, 2).forEach((p) => res.write(`data: ${p}\n\n`));
+    return setTimeout(() => res.destroy(), 10);
+  }
+  payloads.forEach((p) => res.write(`data: ${p}\n\n`));
+  return res.end();
+}
+
+module.exports = { startMockProviders, loadFixtures };
+
+if (require.main === module) {
+  startMockProviders({ port: Number(process.env.PORT) || 8787 }).then(({ url, env }) => {
+    console.log(`Mock providers listening on ${url}`);
+    Object.entries(env).forEach(([key, value]) => console.log(`export ${key}=${value}`));
+  });
+}
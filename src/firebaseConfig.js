@@ -1,6 +1,7 @@
 // Import the functions you need from the SDKs you need
 import { initializeApp } from "firebase/app";
-import { getAnalytics } from "firebase/analytics";
+import { getAnalytics, isSupported } from "firebase/analytics";
+import { getFirestore, connectFirestoreEmulator } from "firebase/firestore";
 // TODO: Add SDKs for Firebase products that you want to use
 // https://firebase.google.com/docs/web/setup#available-libraries
 
@@ -17,5 +18,15 @@ const firebaseConfig = {
 };
 
 // Initialize Firebase
-const app = initializeApp(firebaseConfig);
-const analytics = getAnalytics(app);
+export const app = initializeApp(firebaseConfig);
+
+// Analytics only works in a real browser (not in tests or private modes that block it).
+isSupported().then((ok) => { if (ok) getAnalytics(app); }).catch(() => {});
+
+// Firestore; set REACT_APP_FIRESTORE_EMULATOR_HOST=localhost:8080 to use the local emulator.
+export const db = getFirestore(app);
+const emulator = process.env.REACT_APP_FIRESTORE_EMULATOR_HOST;
+if (emulator) {
+  const [host, port] = emulator.split(':');
+  connectFirestoreEmulator(db, host, Number(port) || 8080);
+}
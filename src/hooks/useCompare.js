@@ -0,0 +1,42 @@
+import { useState } from 'react';
+import { useLLM } from './useLLM';
+import { authHeaders } from '../lib/apiAuth';
+
+// Side-by-side provider comparison (/api/llm `compare: true`) plus voting on the result.
+// `voted` is the winner sent for the current comparison ('tie' or a provider name).
+export function useCompare() {
+  const { loading, data, error, callLLM } = useLLM();
+  const [voted, setVoted] = useState(null);
+  const [voteError, setVoteError] = useState(null);
+
+  function compare(task, query) {
+    setVoted(null);
+    setVoteError(null);
+    return callLLM({ task, query, compare: true, maxResults: 5 });
+  }
+
+  async function vote(winner) {
+    if (!data?.id || voted) return;
+    setVoted(winner);
+    setVoteError(null);
+    try {
+      const r = await fetch('/api/votes', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(await authHeaders()) },
+        body: JSON.stringify({
+          id: data.id,
+          task: data.task,
+          providers: data.results.filter((r) => r.ok).map((r) => r.provider),
+          winner
+        })
+      });
+      // 409: this comparison already has our vote, which is what the learner sees anyway.
+      if (!r.ok && r.status !== 409) throw new Error((await r.json().catch(() => ({}))).error || `HTTP ${r.status}`);
+    } catch (e) {
+      setVoted(null);
+      setVoteError(e.message || 'Could not record vote');
+    }
+  }
+
+  return { loading, data, error, compare, vote, voted, voteError };
+}
@@ -0,0 +1,37 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { DEFAULT_LOCALE, LOCALES, detectLocale, directionOf, saveLocale, translate } from '../lib/i18n';
+
+const I18nContext = createContext(i18nValue(DEFAULT_LOCALE, () => {}));
+
+function i18nValue(locale, setLocale) {
+  return {
+    locale,
+    setLocale,
+    dir: directionOf(locale),
+    locales: LOCALES,
+    t: (key, vars) => translate(locale, key, vars)
+  };
+}
+
+// Holds the UI locale and mirrors it onto <html lang dir>, so right-to-left locales flip the layout.
+export function I18nProvider({ children, initialLocale }) {
+  const [locale, setLocaleState] = useState(() => initialLocale || detectLocale());
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = directionOf(locale);
+  }, [locale]);
+
+  const value = useMemo(() => i18nValue(locale, (next) => {
+    if (!LOCALES[next]) return;
+    saveLocale(next);
+    setLocaleState(next);
+  }), [locale]);
+
+  return React.createElement(I18nContext.Provider, { value }, children);
+}
+
+// { locale, setLocale, dir, locales, t(key, vars) }; without a provider the UI is English.
+export function useI18n() {
+  return useContext(I18nContext);
+}
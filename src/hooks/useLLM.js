@@ -1,29 +1,94 @@
-import { useState } from 'react';
+import { useRef, useState } from 'react';
+import { authHeaders } from '../lib/apiAuth';
+import { useI18n } from './useI18n';
+import { isClassroomMode } from '../lib/classroom';
 
-export function useLLM() {
+// `stream: true` (summary task) shows text as it arrives through `text`.
+// If the server answers with plain JSON instead (the provider can't stream), the hook
+// handles it like a normal call. `abort()` cancels the request in flight.
+// Content comes back in `language` (default: the UI locale); a call can still pass its own.
+// Classroom mode (lib/classroom.js) rides along; a stream the content policy stops clears `text`.
+export function useLLM({ language } = {}) {
+  const { locale } = useI18n();
   const [loading, setLoading] = useState(false);
   const [data, setData]     = useState(null);
   const [error, setError]   = useState(null);
+  const [text, setText]     = useState('');
+  const ctrlRef = useRef(null);
 
-  async function callLLM({ provider, task, query, maxResults }) {
-    setLoading(true); setError(null);
+  function abort() {
+    ctrlRef.current?.abort();
+  }
+
+  async function callLLM({ stream = false, ...params }) {
+    abort();
+    const ctrl = new AbortController();
+    ctrlRef.current = ctrl;
+    setLoading(true); setError(null); setText('');
     try {
       const r = await fetch('/api/llm', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ provider, task, query, maxResults })
+        headers: { 'Content-Type': 'application/json', ...(await authHeaders()) },
+        body: JSON.stringify({ language: language || locale, classroom: isClassroomMode(), ...params, stream }),
+        signal: ctrl.signal
       });
       const ct = r.headers.get('content-type') || '';
+
+      if (r.ok && ct.includes('text/event-stream')) {
+        let full = '';
+        for await (const { event, payload } of readEvents(r.body)) {
+          if (event === 'delta') { full += payload.text; setText(full); }
+          if (event === 'done') setData(payload);
+          if (event === 'error') {
+            if (payload.blocked) setText('');
+            throw new Error(payload.error || 'Stream interrupted');
+          }
+        }
+        return;
+      }
+
       const payload = ct.includes('application/json') ? await r.json() : { error: `Non-JSON (${r.status})` };
       if (!r.ok) throw new Error(payload?.error || `HTTP ${r.status}`);
       setData(payload);
+      if (typeof payload.text === 'string') setText(payload.text);
     } catch (e) {
-      setError(e.message || 'Unknown error');
+      if (e.name !== 'AbortError') setError(e.message || 'Unknown error');
     } finally {
-      setLoading(false);
+      if (ctrlRef.current === ctrl) {
+        ctrlRef.current = null;
+        setLoading(false);
+      }
     }
   }
 
-  return { loading, data, error, callLLM };
+  return { loading, data, error, text, callLLM, abort };
 }
 
+// Parses the normalized SSE stream from /api/llm into { event, payload } objects.
+async function* readEvents(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buf = '';
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) return;
+      buf += decoder.decode(value, { stream: true });
+
+      let end;
+      while ((end = buf.indexOf('\n\n')) !== -1) {
+        const block = buf.slice(0, end);
+        buf = buf.slice(end + 2);
+        let event = 'message';
+        const data = [];
+        for (const line of block.split('\n')) {
+          if (line.startsWith('event:')) event = line.slice(6).trim();
+          else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+        }
+        if (data.length) yield { event, payload: JSON.parse(data.join('\n')) };
+      }
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
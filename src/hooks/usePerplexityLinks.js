@@ -1,21 +1,29 @@
 import { useState } from 'react';
+import { authHeaders } from '../lib/apiAuth';
+import { useI18n } from './useI18n';
+import { isClassroomMode } from '../lib/classroom';
 
-export function usePerplexityLinks() {
+// Links prefer content in `language` (default: the UI locale), falling back to subtitled videos.
+// `prompt` is the answer's `meta.prompt`, for reporting clicks to prompt experiments (lib/experiments.js).
+export function usePerplexityLinks({ language } = {}) {
+  const { locale } = useI18n();
   const [loading, setLoading] = useState(false);
   const [items, setItems] = useState([]);
   const [error, setError] = useState(null);
+  const [prompt, setPrompt] = useState(null);
 
   async function fetchLinks(query, opts = {}) {
     setLoading(true); setError(null);
     try {
       const r = await fetch('/api/perplexity/links', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ query, ...opts }),
+        headers: { 'Content-Type': 'application/json', ...(await authHeaders()) },
+        body: JSON.stringify({ query, language: language || locale, classroom: isClassroomMode(), ...opts }),
       });
       const data = await r.json();
       if (!r.ok) throw new Error(data?.error || 'Failed');
       setItems(data.items || []);
+      setPrompt(data.meta?.prompt || null);
     } catch (e) {
       setError(e.message || 'Unknown error');
     } finally {
@@ -23,6 +31,6 @@ export function usePerplexityLinks() {
     }
   }
 
-  return { loading, items, error, fetchLinks };
+  return { loading, items, error, prompt, fetchLinks };
 }
 
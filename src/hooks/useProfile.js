@@ -0,0 +1,69 @@
+import { useEffect, useState } from 'react';
+import { createProfileStore } from '../lib/profileStore';
+
+export function useProfile(createStore = createProfileStore) {
+  const [store, setStore] = useState(null);
+  const [ready, setReady] = useState(false);
+  const [profile, setProfile] = useState(null);
+  const [paths, setPaths] = useState([]);
+  const [pendingSync, setPendingSync] = useState(0);
+
+  useEffect(() => {
+    let alive = true;
+    let unsubscribe = () => {};
+    (async () => {
+      try {
+        const s = await createStore();
+        const [p, list] = await Promise.all([s.loadProfile(), s.listPaths()]);
+        if (!alive) return;
+        setStore(s); setProfile(p); setPaths(list);
+        // Offline-capable stores (lib/offline.js) report how many writes are waiting to sync.
+        if (s.subscribe) {
+          setPendingSync(s.pending());
+          unsubscribe = s.subscribe(setPendingSync);
+        }
+      } catch (e) {
+        console.error('Profile store unavailable:', e);
+      } finally {
+        if (alive) setReady(true);
+      }
+    })();
+    return () => { alive = false; unsubscribe(); };
+  }, [createStore]);
+
+  // Queued writes go out as soon as the browser is back online.
+  useEffect(() => {
+    if (!store?.flush) return undefined;
+    const onOnline = () => store.flush();
+    window.addEventListener('online', onOnline);
+    return () => window.removeEventListener('online', onOnline);
+  }, [store]);
+
+  function saveProfile(next) {
+    setProfile(next);
+    store?.saveProfile(next).catch((e) => console.error('Saving profile failed:', e));
+  }
+
+  function addPath(path) {
+    setPaths((prev) => [path, ...prev.filter((p) => p.id !== path.id)]);
+    store?.savePath(path).catch((e) => console.error('Saving path failed:', e));
+  }
+
+  // Merges `patch` into a saved path (e.g. summaries or quiz questions kept for export).
+  function updatePath(pathId, patch) {
+    const current = paths.find((p) => p.id === pathId);
+    if (!current) return;
+    const next = { ...current, ...patch };
+    setPaths((prev) => prev.map((p) => (p.id === pathId ? next : p)));
+    store?.savePath(next).catch((e) => console.error('Saving path failed:', e));
+  }
+
+  function setStepStatus(pathId, step, status) {
+    setPaths((prev) => prev.map((p) => (
+      p.id === pathId ? { ...p, progress: { ...p.progress, [step]: status } } : p
+    )));
+    store?.setStepStatus(pathId, step, status).catch((e) => console.error('Saving progress failed:', e));
+  }
+
+  return { ready, profile, paths, pendingSync, saveProfile, addPath, updatePath, setStepStatus };
+}
@@ -0,0 +1,49 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { addCompleted, applyReview, dueToday, qualityFromScore } from '../lib/reviewScheduler';
+import { localStorageReviewStore } from '../lib/reviewStore';
+
+const defaultStore = localStorageReviewStore();
+
+export function useReviews(store = defaultStore) {
+  const [cards, setCards] = useState([]);
+  const cardsRef = useRef(cards);
+
+  useEffect(() => {
+    let alive = true;
+    store.load().then((loaded) => {
+      if (!alive) return;
+      cardsRef.current = loaded;
+      setCards(loaded);
+    });
+    return () => { alive = false; };
+  }, [store]);
+
+  function update(fn) {
+    const next = fn(cardsRef.current, Date.now());
+    cardsRef.current = next;
+    setCards(next);
+    store.save(next);
+  }
+
+  // lessons: [{ subject, topic }]
+  function recordCompleted(lessons) {
+    update((prev, now) => addCompleted(prev, lessons, now));
+  }
+
+  function recordReview(id, quality) {
+    update((prev, now) => applyReview(prev, id, quality, now));
+  }
+
+  // A quiz over a whole path reviews every lesson of that subject the learner has completed.
+  function recordQuiz(subject, ratio) {
+    const quality = qualityFromScore(ratio);
+    update((prev, now) => prev.reduce(
+      (acc, c) => (c.subject === subject ? applyReview(acc, c.id, quality, now) : acc),
+      prev
+    ));
+  }
+
+  const due = useMemo(() => dueToday(cards, Date.now()), [cards]);
+
+  return { cards, due, recordCompleted, recordReview, recordQuiz };
+}
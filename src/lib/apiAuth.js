@@ -0,0 +1,59 @@
+// Bearer token for the API routes (see api/_lib/middleware.js).
+// REACT_APP_AUTH=firebase signs in anonymously with Firebase and sends the ID token;
+// otherwise a signed anonymous session from /api/session is used when the server offers one.
+
+const SESSION_KEY = 'microlearning.session.v1';
+const RENEW_BEFORE_MS = 60 * 60 * 1000;
+
+export async function authHeaders() {
+  const token = await bearerToken().catch(() => null);
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+async function bearerToken() {
+  if (process.env.REACT_APP_AUTH === 'firebase') {
+    const [{ app }, { getAuth, signInAnonymously }] = await Promise.all([
+      import('../firebaseConfig'),
+      import('firebase/auth')
+    ]);
+    const auth = getAuth(app);
+    const user = auth.currentUser || (await signInAnonymously(auth)).user;
+    return user.getIdToken();
+  }
+  return sessionToken();
+}
+
+let pending = null;
+
+function sessionToken() {
+  const saved = readSession();
+  if (saved && saved.expiresAt - RENEW_BEFORE_MS > Date.now()) return Promise.resolve(saved.token);
+
+  if (!pending) {
+    pending = fetch('/api/session', { method: 'POST' })
+      .then(async (r) => {
+        // Sessions disabled (501) or unavailable: go without a token and retry in an hour.
+        const session = r.ok ? await r.json() : { token: null, expiresAt: Date.now() + 2 * RENEW_BEFORE_MS };
+        writeSession(session);
+        return session.token;
+      })
+      .finally(() => { pending = null; });
+  }
+  return pending;
+}
+
+function readSession() {
+  try {
+    return JSON.parse(window.localStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+}
+
+function writeSession(session) {
+  try {
+    window.localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  } catch {
+    // Storage disabled; a new session is requested next time.
+  }
+}
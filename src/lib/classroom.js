@@ -0,0 +1,27 @@
+// Classroom mode for under-18 learners: a per-device setting sent as `classroom: true` with every
+// generating request, so the API applies its stricter content policy (api/_lib/guardrails.js).
+// Being part of the request body, it also keeps classroom answers apart in the service worker's cache.
+
+const CLASSROOM_KEY = 'microlearning.classroom.v1';
+
+// The choice made this visit, which wins when storage is unavailable.
+let current = null;
+
+export function isClassroomMode() {
+  if (current !== null) return current;
+  try {
+    return window.localStorage.getItem(CLASSROOM_KEY) === 'on';
+  } catch {
+    return false;
+  }
+}
+
+export function saveClassroomMode(on) {
+  current = !!on;
+  try {
+    if (on) window.localStorage.setItem(CLASSROOM_KEY, 'on');
+    else window.localStorage.removeItem(CLASSROOM_KEY);
+  } catch {
+    // Storage disabled; the choice lasts for this visit.
+  }
+}
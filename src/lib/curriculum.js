@@ -0,0 +1,75 @@
+// Planner mode state, all derived from a course's outline (api/curriculum.js) and its progress.
+// Course (kept with the paths, see profileStore.js):
+//   { id, kind: 'course', createdAt, subject, goals, experienceLevel, learningFormat, model, language,
+//     outline: { modules: [{ id, title, lessons: [{ id, title, objective, requires }] }] },
+//     lessons: { [lessonId]: pathId }, progress: { [lessonId]: 'done' } }
+// A lesson's 11-minute path is generated the first time it is opened and saved as an ordinary
+// path with `courseId` and `lessonId`; finishing every step marks the lesson done.
+
+export const LEVELS = ['Beginner', 'Intermediate', 'Advanced'];
+// Completed prerequisites (direct or further back) that move a lesson up one level.
+export const LESSONS_PER_LEVEL = 3;
+
+export function isCourse(path) {
+  return path?.kind === 'course';
+}
+
+export function allLessons(outline) {
+  return outline.modules.flatMap((mod) => mod.lessons.map((lesson) => ({ ...lesson, moduleId: mod.id })));
+}
+
+// 'done' | 'available' (every prerequisite done) | 'locked'
+export function lessonStatuses(outline, progress = {}) {
+  const statuses = {};
+  for (const lesson of allLessons(outline)) {
+    if (progress[lesson.id] === 'done') statuses[lesson.id] = 'done';
+    else statuses[lesson.id] = lesson.requires.every((id) => progress[id] === 'done') ? 'available' : 'locked';
+  }
+  return statuses;
+}
+
+// First open lesson in study order, or null once the course is finished.
+export function nextLesson(outline, progress = {}) {
+  const statuses = lessonStatuses(outline, progress);
+  return allLessons(outline).find((lesson) => statuses[lesson.id] === 'available') || null;
+}
+
+// Every lesson `id` depends on, directly or through other lessons.
+export function prerequisitesOf(outline, id) {
+  const byId = new Map(allLessons(outline).map((lesson) => [lesson.id, lesson]));
+  const found = new Set();
+  const stack = [...(byId.get(id)?.requires || [])];
+  while (stack.length) {
+    const next = stack.pop();
+    if (found.has(next) || !byId.has(next)) continue;
+    found.add(next);
+    stack.push(...byId.get(next).requires);
+  }
+  return found;
+}
+
+// The course's starting level, raised one step for every LESSONS_PER_LEVEL completed prerequisites.
+export function levelForLesson(course, id) {
+  const start = Math.max(0, LEVELS.indexOf(course.experienceLevel));
+  const done = [...prerequisitesOf(course.outline, id)].filter((pre) => course.progress?.[pre] === 'done').length;
+  return LEVELS[Math.min(LEVELS.length - 1, start + Math.floor(done / LESSONS_PER_LEVEL))];
+}
+
+// Body for /api/getRecommendations when the learner reaches a lesson.
+export function lessonRequest(course, lesson) {
+  const before = prerequisitesOf(course.outline, lesson.id);
+  const earlier = allLessons(course.outline).filter((l) => before.has(l.id)).map((l) => l.title);
+  return {
+    subject: `${course.subject}: ${lesson.title}`,
+    goals: [lesson.objective, earlier.length ? `Already covered: ${earlier.join(', ')}.` : ''].filter(Boolean).join(' '),
+    experienceLevel: levelForLesson(course, lesson.id),
+    learningFormat: course.learningFormat,
+    model: course.model,
+    language: course.language || 'en'
+  };
+}
+
+export function courseProgress(course) {
+  const lessons = allLessons(course.outline);
+  return { done: lessons.filter((lesson) => course.progress?.[lesson.id] === 'done').length, total: lessons.length };
+}
@@ -0,0 +1,47 @@
+import { lessonStatuses, nextLesson, prerequisitesOf, levelForLesson, lessonRequest, courseProgress } from './curriculum';
+
+const lesson = (id, requires = []) => ({ id, title: id.toUpperCase(), objective: `Learn ${id}.`, requires });
+const course = (progress = {}, experienceLevel = 'Beginner') => ({
+  id: 'c1',
+  kind: 'course',
+  subject: 'Quantum Computing',
+  experienceLevel,
+  learningFormat: 'Video',
+  model: 'Gemini',
+  outline: {
+    modules: [
+      { id: 'm1', title: 'Foundations', lessons: [lesson('a'), lesson('b'), lesson('c', ['a'])] },
+      { id: 'm2', title: 'Algorithms', lessons: [lesson('d', ['b', 'c']), lesson('e', ['d'])] }
+    ]
+  },
+  lessons: {},
+  progress
+});
+
+test('unlocks a lesson once all of its prerequisites are done', () => {
+  expect(lessonStatuses(course().outline)).toEqual({ a: 'available', b: 'available', c: 'locked', d: 'locked', e: 'locked' });
+  const { outline, progress } = course({ a: 'done', b: 'done', c: 'done' });
+  expect(lessonStatuses(outline, progress)).toMatchObject({ c: 'done', d: 'available', e: 'locked' });
+  expect(nextLesson(outline, progress).id).toBe('d');
+  expect(nextLesson(outline, { a: 'done', b: 'done', c: 'done', d: 'done', e: 'done' })).toBeNull();
+});
+
+test('follows prerequisites transitively', () => {
+  expect([...prerequisitesOf(course().outline, 'e')].sort()).toEqual(['a', 'b', 'c', 'd']);
+  expect(prerequisitesOf(course().outline, 'a').size).toBe(0);
+});
+
+test('raises the level as prerequisites are completed, up to Advanced', () => {
+  expect(levelForLesson(course(), 'e')).toBe('Beginner');
+  expect(levelForLesson(course({ a: 'done', b: 'done', c: 'done' }), 'e')).toBe('Intermediate');
+  expect(levelForLesson(course({ a: 'done', b: 'done', c: 'done' }), 'b')).toBe('Beginner');
+  expect(levelForLesson(course({ a: 'done', b: 'done', c: 'done' }, 'Advanced'), 'e')).toBe('Advanced');
+});
+
+test('builds the lesson request from the course and earlier lessons', () => {
+  const c = course({ a: 'done', b: 'done', c: 'done' });
+  const req = lessonRequest(c, c.outline.modules[1].lessons[0]);
+  expect(req).toMatchObject({ subject: 'Quantum Computing: D', experienceLevel: 'Intermediate', learningFormat: 'Video', model: 'Gemini' });
+  expect(req.goals).toBe('Learn d. Already covered: A, B, C.');
+  expect(courseProgress(c)).toEqual({ done: 3, total: 5 });
+});
@@ -0,0 +1,19 @@
+// Outcomes for prompt experiments (api/experiments.js). Answers name the prompt that produced them as
+// `meta.prompt`; when it is part of an experiment, the app reports what the learner did with the answer:
+// 'click' with the `item` (url) opened, 'quiz' with the `value` (score 0..1) of a quiz. Reporting never gets in the way.
+
+import { authHeaders } from './apiAuth';
+
+export async function reportOutcome(prompt, kind, { value, item } = {}) {
+  if (!prompt?.experiment) return;
+  try {
+    await fetch('/api/experiments', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(await authHeaders()) },
+      body: JSON.stringify({ experiment: prompt.experiment, kind, value, item }),
+      keepalive: true
+    });
+  } catch {
+    // Offline or blocked; the outcome is simply not counted.
+  }
+}
@@ -0,0 +1,32 @@
+// Firestore adapter for the profile store interface in profileStore.js.
+// Layout: learners/{userId} holds the profile, learners/{userId}/paths/{pathId} the history.
+// `db` is injected so tests can pass a Firestore instance connected to the local emulator.
+import {
+  doc, collection, getDoc, getDocs, setDoc, updateDoc, query, orderBy, limit
+} from 'firebase/firestore';
+
+export function firestoreProfileStore({ db, userId }) {
+  const learner = doc(db, 'learners', userId);
+  const paths = collection(learner, 'paths');
+
+  return {
+    async loadProfile() {
+      const snap = await getDoc(learner);
+      return snap.exists() ? snap.data().profile || null : null;
+    },
+    async saveProfile(profile) {
+      await setDoc(learner, { profile: { ...profile, updatedAt: Date.now() } }, { merge: true });
+    },
+    async listPaths() {
+      const snap = await getDocs(query(paths, orderBy('createdAt', 'desc'), limit(50)));
+      return snap.docs.map(d => d.data());
+    },
+    async savePath(path) {
+      await setDoc(doc(paths, path.id), path);
+    },
+    async setStepStatus(pathId, step, status) {
+      // Field-path update so concurrent step changes don't overwrite each other.
+      await updateDoc(doc(paths, pathId), { [`progress.${step}`]: status });
+    }
+  };
+}
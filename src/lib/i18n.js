@@ -0,0 +1,54 @@
+// UI strings per locale (src/locales/<code>.json, flat "area.key" -> text) and the lookup rules.
+// Text can hold {name} placeholders. Passing `count` picks a plural form through Intl.PluralRules
+// ("key_one", "key_other", "key_few", ...), falling back to "key_other" and then "key".
+// Missing keys fall back to English, then to the key itself, so a partial locale still renders.
+// The locale code doubles as the `language` sent to the API for generated content.
+
+import en from '../locales/en.json';
+import es from '../locales/es.json';
+import ar from '../locales/ar.json';
+
+export const DEFAULT_LOCALE = 'en';
+const LOCALE_KEY = 'microlearning.locale';
+
+export const LOCALES = {
+  en: { name: 'English', dir: 'ltr', messages: en },
+  es: { name: 'Español', dir: 'ltr', messages: es },
+  ar: { name: 'العربية', dir: 'rtl', messages: ar }
+};
+
+export function translate(locale, key, vars = {}) {
+  const messages = LOCALES[locale]?.messages || {};
+  const fallback = LOCALES[DEFAULT_LOCALE].messages;
+  let text;
+  if (typeof vars.count === 'number') {
+    const form = new Intl.PluralRules(locale).select(vars.count);
+    text = messages[`${key}_${form}`] ?? messages[`${key}_other`] ?? fallback[`${key}_${new Intl.PluralRules(DEFAULT_LOCALE).select(vars.count)}`];
+  }
+  text = text ?? messages[key] ?? fallback[key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+}
+
+export function directionOf(locale) {
+  return LOCALES[locale]?.dir || 'ltr';
+}
+
+// Saved choice first, then the browser's languages ("es-MX" matches "es").
+export function detectLocale(languages = navigator.languages || [navigator.language]) {
+  try {
+    const saved = window.localStorage.getItem(LOCALE_KEY);
+    if (LOCALES[saved]) return saved;
+  } catch {
+    // Storage disabled; fall through to the browser's languages.
+  }
+  const match = (languages || []).map((tag) => String(tag).split('-')[0].toLowerCase()).find((code) => LOCALES[code]);
+  return match || DEFAULT_LOCALE;
+}
+
+export function saveLocale(locale) {
+  try {
+    window.localStorage.setItem(LOCALE_KEY, locale);
+  } catch {
+    // Storage disabled; the choice lasts for this visit.
+  }
+}
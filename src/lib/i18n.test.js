@@ -0,0 +1,34 @@
+import { LOCALES, translate, directionOf, detectLocale } from './i18n';
+
+test('every locale has the English keys', () => {
+  // Plural forms differ between languages; a plural key needs at least its "_other" form.
+  const keys = [...new Set(Object.keys(LOCALES.en.messages).map((key) => key.replace(/_(zero|one|two|few|many|other)$/, '')))];
+  for (const [code, { messages }] of Object.entries(LOCALES)) {
+    const missing = keys.filter((key) => !(key in messages) && !(`${key}_other` in messages));
+    expect({ code, missing }).toEqual({ code, missing: [] });
+  }
+});
+
+test('fills placeholders and picks plural forms', () => {
+  expect(translate('en', 'step.minutes', { count: 4 })).toBe('4 min');
+  expect(translate('en', 'offline.syncing', { count: 1 })).toBe('Back online, syncing 1 saved change...');
+  expect(translate('es', 'offline.syncing', { count: 3 })).toBe('De nuevo en línea, sincronizando 3 cambios guardados...');
+  // Arabic has six plural categories: 3..10 take "few", 11..99 "many".
+  expect(translate('ar', 'offline.syncing', { count: 2 })).toBe('عاد الاتصال، تجري مزامنة تغييرين محفوظين...');
+  expect(translate('ar', 'step.minutes', { count: 3 })).toBe('3 دقائق');
+  expect(translate('ar', 'step.minutes', { count: 11 })).toBe('11 دقيقة');
+  expect(translate('en', 'course.lessons', { done: 0, total: 1, count: 1 })).toBe('0/1 lesson');
+});
+
+test('falls back to English, then to the key', () => {
+  expect(translate('xx', 'form.goal')).toBe('Your goal');
+  expect(translate('es', 'no.such.key')).toBe('no.such.key');
+});
+
+test('knows text direction and matches browser languages', () => {
+  expect(directionOf('ar')).toBe('rtl');
+  expect(directionOf('es')).toBe('ltr');
+  window.localStorage.clear();
+  expect(detectLocale(['es-MX', 'en'])).toBe('es');
+  expect(detectLocale(['fr-FR'])).toBe('en');
+});
@@ -0,0 +1,176 @@
+// Narration playback for the Audio format. Two engines share one interface, so the player
+// doesn't care where the audio comes from:
+//   { speak(text, { rate, from, lang, onProgress, onEnd, onError }), pause(), resume(), stop(), setRate(rate), dispose() }
+// dispose() stops and frees what the engine holds (the server engine's audio URLs); the engine stays usable.
+// Positions are fractions (0..1) of the script: speechSynthesis reports characters and server
+// audio reports seconds, and a fraction survives switching between them.
+// REACT_APP_TTS=server uses /api/tts (api/_lib/tts.js); the default is the browser's speechSynthesis.
+
+import { authHeaders } from './apiAuth';
+
+const POSITIONS_KEY = 'microlearning.narration.v1';
+
+// Character offset for a fraction of the script, moved back to the start of a word.
+export function offsetForFraction(text, fraction) {
+  const at = Math.floor(Math.max(0, Math.min(1, fraction)) * text.length);
+  if (at >= text.length) return text.length;
+  const start = text.lastIndexOf(' ', at - 1);
+  return start === -1 ? 0 : start + 1;
+}
+
+export function fractionForOffset(text, offset) {
+  return text.length ? Math.max(0, Math.min(1, offset / text.length)) : 0;
+}
+
+/** -------- Resume positions -------- */
+
+function readPositions() {
+  try {
+    return JSON.parse(window.localStorage.getItem(POSITIONS_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function loadPosition(id) {
+  return readPositions()[id] || 0;
+}
+
+// Finished narrations are forgotten so they start over next time.
+export function savePosition(id, fraction) {
+  const positions = readPositions();
+  if (fraction > 0 && fraction < 0.98) positions[id] = Math.round(fraction * 1000) / 1000;
+  else delete positions[id];
+  try {
+    window.localStorage.setItem(POSITIONS_KEY, JSON.stringify(positions));
+  } catch {
+    // Storage full or disabled; playback just won't resume.
+  }
+}
+
+/** -------- Engines -------- */
+
+export function speechSynthesisEngine(synth = window.speechSynthesis) {
+  let current = null; // { text, rate, pos, handlers, utterance }
+
+  function start(from) {
+    synth.cancel();
+    const offset = offsetForFraction(current.text, from);
+    const utterance = new window.SpeechSynthesisUtterance(current.text.slice(offset));
+    utterance.rate = current.rate;
+    if (current.lang) utterance.lang = current.lang;
+    utterance.onboundary = (e) => {
+      current.pos = fractionForOffset(current.text, offset + e.charIndex);
+      current.handlers.onProgress?.(current.pos);
+    };
+    utterance.onend = () => {
+      // cancel() also fires `end`; only a natural end counts as finished.
+      if (current?.utterance === utterance) current.handlers.onEnd?.();
+    };
+    utterance.onerror = (e) => {
+      if (current?.utterance === utterance && e.error !== 'interrupted' && e.error !== 'canceled') current.handlers.onError?.(e.error);
+    };
+    current.utterance = utterance;
+    current.pos = fractionForOffset(current.text, offset);
+    synth.speak(utterance);
+  }
+
+  return {
+    supported: !!synth && typeof window.SpeechSynthesisUtterance === 'function',
+    speak(text, { rate = 1, from = 0, lang, ...handlers } = {}) {
+      current = { text, rate, lang, pos: from, handlers };
+      start(from);
+    },
+    pause() { synth.pause(); },
+    resume() { synth.resume(); },
+    stop() {
+      current = null;
+      synth.cancel();
+    },
+    // speechSynthesis can't change rate mid-utterance, so restart from the current word.
+    setRate(rate) {
+      if (!current) return;
+      current.rate = rate;
+      start(current.pos);
+    },
+    dispose() {
+      this.stop();
+    }
+  };
+}
+
+export function serverTtsEngine({ endpoint = '/api/tts' } = {}) {
+  const audio = new Audio();
+  const urls = new Map(); // text -> object URL, so replays don't synthesize again
+  let handlers = {};
+  let generation = 0; // bumped by speak() and stop(), so a superseded speak() stops after its next await
+  let disposals = 0;
+
+  audio.ontimeupdate = () => {
+    if (audio.duration) handlers.onProgress?.(audio.currentTime / audio.duration);
+  };
+  audio.onended = () => handlers.onEnd?.();
+
+  async function load(text) {
+    if (urls.has(text)) return urls.get(text);
+    const epoch = disposals;
+    const r = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(await authHeaders()) },
+      body: JSON.stringify({ text })
+    });
+    if (!r.ok) throw new Error((await r.json().catch(() => ({}))).error || `TTS failed (HTTP ${r.status})`);
+    const url = URL.createObjectURL(await r.blob());
+    // Disposed while synthesizing: nothing would revoke this URL later.
+    if (epoch !== disposals) {
+      URL.revokeObjectURL(url);
+      return null;
+    }
+    urls.set(text, url);
+    return url;
+  }
+
+  return {
+    supported: typeof window.Audio === 'function',
+    async speak(text, { rate = 1, from = 0, lang, ...rest } = {}) {
+      const turn = ++generation;
+      handlers = rest;
+      try {
+        const url = await load(text);
+        if (turn !== generation) return;
+        audio.src = url;
+        await new Promise((resolve, reject) => {
+          audio.onloadedmetadata = resolve;
+          audio.onerror = () => reject(new Error('Could not load narration audio'));
+        });
+        if (turn !== generation) return;
+        audio.currentTime = from * (audio.duration || 0);
+        audio.playbackRate = rate;
+        await audio.play();
+      } catch (e) {
+        if (turn === generation) handlers.onError?.(e.message);
+      }
+    },
+    pause() { audio.pause(); },
+    resume() { audio.play(); },
+    stop() {
+      generation++;
+      handlers = {};
+      audio.pause();
+    },
+    setRate(rate) { audio.playbackRate = rate; },
+    dispose() {
+      this.stop();
+      disposals++;
+      audio.removeAttribute('src');
+      for (const url of urls.values()) URL.revokeObjectURL(url);
+      urls.clear();
+    }
+  };
+}
+
+export function createSpeechEngine() {
+  if (process.env.REACT_APP_TTS === 'server') return serverTtsEngine();
+  const browser = speechSynthesisEngine();
+  return browser.supported ? browser : serverTtsEngine();
+}
@@ -0,0 +1,95 @@
+import { offsetForFraction, fractionForOffset, loadPosition, savePosition, serverTtsEngine } from './narration';
+
+const TEXT = 'Closures capture variables from the scope they were created in.';
+
+test('offsetForFraction snaps back to the start of a word', () => {
+  expect(offsetForFraction(TEXT, 0)).toBe(0);
+  const at = offsetForFraction(TEXT, 0.5);
+  expect(TEXT[at - 1]).toBe(' ');
+  expect(at).toBeLessThanOrEqual(Math.floor(TEXT.length / 2));
+  expect(offsetForFraction(TEXT, 1)).toBe(TEXT.length);
+});
+
+test('fractionForOffset is the inverse at word starts', () => {
+  const at = offsetForFraction(TEXT, 0.3);
+  expect(offsetForFraction(TEXT, fractionForOffset(TEXT, at))).toBe(at);
+  expect(fractionForOffset('', 5)).toBe(0);
+});
+
+test('positions persist until the narration finishes', () => {
+  savePosition('path:1', 0.42);
+  expect(loadPosition('path:1')).toBe(0.42);
+  savePosition('path:1', 1);
+  expect(loadPosition('path:1')).toBe(0);
+});
+
+describe('serverTtsEngine', () => {
+  let audio;
+  let realFetch;
+
+  class FakeAudio {
+    constructor() {
+      audio = this;
+      this.play = jest.fn(async () => {});
+      this.pause = jest.fn();
+      this.duration = 10;
+    }
+    removeAttribute(name) { delete this[name]; }
+  }
+
+  beforeEach(() => {
+    realFetch = global.fetch;
+    window.Audio = FakeAudio;
+    let n = 0;
+    URL.createObjectURL = jest.fn(() => `blob:${++n}`);
+    URL.revokeObjectURL = jest.fn();
+    global.fetch = jest.fn(async () => new Response('mp3', { status: 200, headers: { 'Content-Type': 'audio/mpeg' } }));
+  });
+
+  afterEach(() => {
+    global.fetch = realFetch;
+    delete window.Audio;
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+  });
+
+  const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+  test('stop() while the audio loads keeps it from playing', async () => {
+    const engine = serverTtsEngine();
+    const onError = jest.fn();
+    const speaking = engine.speak(TEXT, { onError });
+    await tick();
+    expect(audio.src).toBe('blob:1');
+    engine.stop();
+    audio.onloadedmetadata();
+    await speaking;
+    expect(audio.play).not.toHaveBeenCalled();
+    expect(onError).not.toHaveBeenCalled();
+  });
+
+  test('a newer speak() supersedes one still synthesizing', async () => {
+    const engine = serverTtsEngine();
+    const first = engine.speak(TEXT);
+    const second = engine.speak('Another step.');
+    await tick();
+    audio.onloadedmetadata();
+    await Promise.all([first, second]);
+    expect(audio.src).toBe(URL.createObjectURL.mock.results[1].value);
+    expect(audio.play).toHaveBeenCalledTimes(1);
+  });
+
+  test('replays reuse the audio until dispose() revokes it', async () => {
+    const engine = serverTtsEngine();
+    for (let i = 0; i < 2; i++) {
+      const speaking = engine.speak(TEXT);
+      await tick();
+      audio.onloadedmetadata();
+      await speaking;
+    }
+    expect(global.fetch.mock.calls.filter(([url]) => url === '/api/tts')).toHaveLength(1);
+    engine.dispose();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:1');
+    expect(audio.src).toBeUndefined();
+  });
+});
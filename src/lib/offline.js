@@ -0,0 +1,143 @@
+// Offline support for the profile store (interface in profileStore.js).
+// offlineProfileStore(store) wraps a network-backed store such as Firestore:
+//  - reads are mirrored to localStorage and answered from the mirror when the network read fails
+//  - writes update the mirror at once; made offline (or failing), they are queued in localStorage
+//    and replayed in order by flush(), which useProfile calls on startup and when the browser reconnects
+// Paths, summaries and quiz questions live on the path, so the mirror is what makes them readable offline;
+// the service worker (src/service-worker.js) covers the app shell and API answers.
+
+import { localStorageProfileStore } from './profileStore';
+
+const OFFLINE_KEY = 'microlearning.offline.v1';
+const MAX_QUEUE = 500;
+// A write that keeps failing while online is dropped after this many replays, so it can't block the queue.
+const MAX_ATTEMPTS = 5;
+
+export function offlineProfileStore(store, { prefix = `${OFFLINE_KEY}.store`, isOnline = () => navigator.onLine } = {}) {
+  const mirror = localStorageProfileStore(`${prefix}.mirror`);
+  const queueKey = `${prefix}.queue`;
+  const listeners = new Set();
+  let flushing = null;
+
+  const readQueue = () => {
+    try {
+      return JSON.parse(window.localStorage.getItem(queueKey)) || [];
+    } catch {
+      return [];
+    }
+  };
+  const writeQueue = (queue) => {
+    try {
+      window.localStorage.setItem(queueKey, JSON.stringify(queue.slice(-MAX_QUEUE)));
+    } catch {
+      // Storage full or disabled; the queued writes are lost with it.
+    }
+    listeners.forEach((fn) => fn(queue.length));
+  };
+
+  // Mirrors the network list as is (the mirror's own savePath would reorder it).
+  const replacePaths = (paths) => {
+    try {
+      window.localStorage.setItem(`${prefix}.mirror.paths`, JSON.stringify(paths));
+    } catch {
+      // Storage full or disabled; offline reads fall back to what was mirrored before.
+    }
+  };
+
+  async function write(op, args) {
+    await mirror[op](...args);
+    const queue = readQueue();
+    // Anything already queued goes first, so writes reach the store in the order they were made.
+    if (!isOnline() || queue.length) {
+      writeQueue([...queue, { op, args, attempts: 0 }]);
+      if (isOnline()) flush();
+      return;
+    }
+    try {
+      await store[op](...args);
+    } catch (e) {
+      console.warn(`Queued ${op} for later:`, e);
+      writeQueue([...readQueue(), { op, args, attempts: 1 }]);
+    }
+  }
+
+  function flush() {
+    if (flushing || !isOnline()) return flushing || Promise.resolve();
+    flushing = (async () => {
+      // Re-read each round: writes made while flushing are appended behind the head.
+      for (let queue = readQueue(); queue.length && isOnline(); queue = readQueue()) {
+        const next = queue[0];
+        try {
+          await store[next.op](...next.args);
+        } catch (e) {
+          if (next.attempts + 1 < MAX_ATTEMPTS) {
+            writeQueue([{ ...next, attempts: next.attempts + 1 }, ...readQueue().slice(1)]);
+            break;
+          }
+          console.error(`Dropped ${next.op} after ${MAX_ATTEMPTS} attempts:`, e);
+        }
+        writeQueue(readQueue().slice(1));
+      }
+    })().finally(() => { flushing = null; });
+    return flushing;
+  }
+
+  return {
+    async loadProfile() {
+      if (!isOnline()) return mirror.loadProfile();
+      try {
+        await flush();
+        const profile = await store.loadProfile();
+        if (profile) await mirror.saveProfile(profile);
+        return profile;
+      } catch {
+        return mirror.loadProfile();
+      }
+    },
+    async listPaths() {
+      if (!isOnline()) return mirror.listPaths();
+      try {
+        await flush();
+        const paths = await store.listPaths();
+        replacePaths(paths);
+        return paths;
+      } catch {
+        return mirror.listPaths();
+      }
+    },
+    saveProfile: (profile) => write('saveProfile', [profile]),
+    savePath: (path) => write('savePath', [path]),
+    setStepStatus: (pathId, step, status) => write('setStepStatus', [pathId, step, status]),
+    flush,
+    pending: () => readQueue().length,
+    // fn(pendingCount) after every queue change; returns an unsubscribe function.
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    }
+  };
+}
+
+/** -------- Available offline -------- */
+
+// Paths opened on this device; their steps, and the summaries and quizzes fetched while they
+// were open, are stored locally, so the history marks them "available offline".
+export function availableOfflineIds() {
+  try {
+    return new Set(JSON.parse(window.localStorage.getItem(`${OFFLINE_KEY}.paths`)) || []);
+  } catch {
+    return new Set();
+  }
+}
+
+export function markAvailableOffline(pathId) {
+  const ids = availableOfflineIds();
+  if (ids.has(pathId)) return ids;
+  ids.add(pathId);
+  try {
+    window.localStorage.setItem(`${OFFLINE_KEY}.paths`, JSON.stringify([...ids].slice(-200)));
+  } catch {
+    // Storage full or disabled; the badge just won't show.
+  }
+  return ids;
+}
@@ -0,0 +1,80 @@
+import { offlineProfileStore, availableOfflineIds, markAvailableOffline } from './offline';
+import { localStorageProfileStore } from './profileStore';
+
+const path = (id, createdAt) => ({
+  id,
+  createdAt,
+  subject: 'Kubernetes',
+  experienceLevel: 'Beginner',
+  learningFormat: 'Video',
+  model: 'Gemini',
+  recommendations: [{ step: 1, topic: 'Pods', description: '', url: null, minutes: 5 }, { step: 2, topic: 'Services', description: '', url: null, minutes: 6 }],
+  progress: {}
+});
+
+// A "network" store that records calls and can be made to fail.
+function remoteStore() {
+  const inner = localStorageProfileStore('test.remote');
+  const remote = { calls: [], failing: false };
+  for (const op of ['loadProfile', 'saveProfile', 'listPaths', 'savePath', 'setStepStatus']) {
+    remote[op] = async (...args) => {
+      if (remote.failing) throw new Error('network down');
+      remote.calls.push(op);
+      return inner[op](...args);
+    };
+  }
+  return remote;
+}
+
+beforeEach(() => window.localStorage.clear());
+
+test('queues writes while offline, reads from the mirror and syncs in order on reconnect', async () => {
+  const remote = remoteStore();
+  let online = true;
+  const store = offlineProfileStore(remote, { prefix: 'test.offline', isOnline: () => online });
+  await store.savePath(path('a', 1));
+  expect(await store.listPaths()).toHaveLength(1);
+
+  online = false;
+  remote.calls.length = 0;
+  const counts = [];
+  store.subscribe((n) => counts.push(n));
+  await store.setStepStatus('a', 1, 'done');
+  await store.setStepStatus('a', 2, 'done');
+  expect(remote.calls).toEqual([]);
+  expect(store.pending()).toBe(2);
+  expect((await store.listPaths())[0].progress).toEqual({ 1: 'done', 2: 'done' });
+
+  online = true;
+  await store.flush();
+  expect(remote.calls).toEqual(['setStepStatus', 'setStepStatus']);
+  expect(store.pending()).toBe(0);
+  expect(counts).toEqual([1, 2, 1, 0]);
+  expect((await remote.listPaths())[0].progress).toEqual({ 1: 'done', 2: 'done' });
+});
+
+test('keeps failed writes queued and drops one that keeps failing', async () => {
+  const remote = remoteStore();
+  const store = offlineProfileStore(remote, { prefix: 'test.offline', isOnline: () => true });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  remote.failing = true;
+  await store.savePath(path('a', 1));
+  expect(store.pending()).toBe(1);
+  expect(await store.listPaths()).toHaveLength(1); // retries once, then answers from the mirror
+
+  await store.flush();
+  await store.flush();
+  expect(store.pending()).toBe(1);
+  await store.flush();
+  expect(store.pending()).toBe(0);
+  expect(console.error).toHaveBeenCalled();
+});
+
+test('remembers which paths are available offline', () => {
+  expect(availableOfflineIds().size).toBe(0);
+  markAvailableOffline('a');
+  markAvailableOffline('a');
+  expect([...markAvailableOffline('b')]).toEqual(['a', 'b']);
+});
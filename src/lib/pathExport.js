@@ -0,0 +1,198 @@
+// Export and import of learning paths (Path shape in profileStore.js), all in the browser.
+// Optional extras on a path: `summaries` ({ [step]: { text, key_points } }) and `quiz`
+// (questions from the last end-of-path quiz), both saved by the app as the learner goes.
+//  - Markdown: readable, and importable again (the layout below is what parseMarkdownPath reads)
+//  - JSON:     lossless, for sharing a curated path with a teammate
+//  - ICS:      one event per step on the learner's chosen weekdays and time
+//  - Anki:     tab-separated notes with Anki's file headers (File > Import); .apkg would need SQLite in the browser
+
+import { newPathId } from './profileStore';
+
+export const EXPORT_FORMAT = 'microlearning-path';
+export const EXPORT_VERSION = 1;
+
+/** -------- Markdown -------- */
+
+export function toMarkdown(path) {
+  const lines = [
+    `# ${path.subject}`,
+    '',
+    `> ${path.experienceLevel} · ${path.learningFormat} · ${totalMinutes(path)} min`,
+    ''
+  ];
+  for (const rec of path.recommendations) {
+    lines.push(`## ${rec.step}. ${rec.topic} (${rec.minutes} min)`, '', rec.description, '');
+    if (rec.url) lines.push(`Link: <${rec.url}>`, '');
+    const summary = path.summaries?.[rec.step];
+    if (summary?.key_points?.length) {
+      lines.push('Key points:', ...summary.key_points.map(p => `- ${p}`), '');
+    } else if (summary?.text) {
+      lines.push(summary.text, '');
+    }
+  }
+  return `${lines.join('\n').trim()}\n`;
+}
+
+// Reads the layout written by toMarkdown; anything else in the file is ignored.
+export function parseMarkdownPath(md) {
+  const subject = /^# (.+)$/m.exec(md)?.[1]?.trim();
+  if (!subject) throw new Error('No "# Subject" heading found');
+  const [, level, format] = /^> ([^·\n]+?) · ([^·\n]+?) ·/m.exec(md) || [];
+
+  const sections = md.split(/^## /m).slice(1);
+  const recommendations = sections.map((section, i) => {
+    const [heading, ...body] = section.split('\n');
+    const m = /^(?:\d+\.\s*)?(.+?)(?:\s*\((\d+) min\))?$/.exec(heading.trim());
+    const url = /^Link: <([^>]+)>/m.exec(section)?.[1] || null;
+    const description = body.map(l => l.trim()).filter(Boolean).find(l => !l.startsWith('Link:') && !l.startsWith('- ') && l !== 'Key points:') || '';
+    return { step: i + 1, topic: m[1], description, url, minutes: Number(m[2]) || 1 };
+  });
+  if (!recommendations.length) throw new Error('No "## Step" sections found');
+  return { subject, experienceLevel: level?.trim() || 'Beginner', learningFormat: format?.trim() || 'Text', recommendations };
+}
+
+/** -------- JSON -------- */
+
+export function toJson(path) {
+  const { id, progress, courseId, lessonId, ...shared } = path;
+  return JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, path: shared }, null, 2);
+}
+
+// Accepts our JSON export or Markdown; returns a new Path (fresh id, no progress).
+export function importPath(text, now = Date.now()) {
+  const src = String(text || '').trim();
+  let data;
+  if (src.startsWith('{')) {
+    const parsed = JSON.parse(src);
+    if (parsed.format !== EXPORT_FORMAT || !parsed.path) throw new Error('Not a learning path export');
+    data = parsed.path;
+  } else {
+    data = parseMarkdownPath(src);
+  }
+  if (!data.subject || !Array.isArray(data.recommendations) || !data.recommendations.length) {
+    throw new Error('The file has no steps');
+  }
+  return {
+    model: 'Gemini',
+    ...data,
+    // Shared files are untrusted: only http(s) links survive, since they end up in hrefs.
+    recommendations: data.recommendations.map((rec, i) => ({
+      ...rec,
+      step: i + 1,
+      topic: String(rec.topic || `Step ${i + 1}`),
+      description: String(rec.description || ''),
+      url: /^https?:\/\//i.test(rec.url || '') ? rec.url : null,
+      minutes: Math.max(1, Math.round(Number(rec.minutes) || 1))
+    })),
+    id: newPathId(),
+    createdAt: now,
+    imported: true,
+    progress: {}
+  };
+}
+
+/** -------- Calendar -------- */
+
+// options: { days: weekdays 0 (Sun) .. 6, time: 'HH:MM', start: Date (first possible day) }
+// Times are floating (no TZID), so the calendar shows them at the same local time.
+export function toIcs(path, { days = [1, 2, 3, 4, 5], time = '08:00', start = new Date() } = {}) {
+  const [hh, mm] = time.split(':').map(Number);
+  const weekdays = new Set(days);
+  if (!weekdays.size) throw new Error('Pick at least one day');
+
+  const stamp = icsDate(new Date(), true);
+  const events = [];
+  const day = new Date(start.getFullYear(), start.getMonth(), start.getDate(), hh, mm);
+  if (day < start) day.setDate(day.getDate() + 1);
+
+  for (const rec of path.recommendations) {
+    while (!weekdays.has(day.getDay())) day.setDate(day.getDate() + 1);
+    const end = new Date(day.getTime() + rec.minutes * 60000);
+    events.push([
+      'BEGIN:VEVENT',
+      `UID:${path.id || 'path'}-${rec.step}@microlearning`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsDate(day)}`,
+      `DTEND:${icsDate(end)}`,
+      `SUMMARY:${icsText(`${path.subject}: ${rec.topic}`)}`,
+      `DESCRIPTION:${icsText([rec.description, rec.url].filter(Boolean).join('\n'))}`,
+      ...(rec.url ? [`URL:${rec.url}`] : []),
+      'END:VEVENT'
+    ]);
+    day.setDate(day.getDate() + 1);
+  }
+
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Micro-Learning Architect//EN', 'CALSCALE:GREGORIAN', ...events.flat(), 'END:VCALENDAR'];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+function icsDate(d, utc = false) {
+  const p = (n) => String(n).padStart(2, '0');
+  return utc
+    ? `${d.getUTCFullYear()}${p(d.getUTCMonth() + 1)}${p(d.getUTCDate())}T${p(d.getUTCHours())}${p(d.getUTCMinutes())}${p(d.getUTCSeconds())}Z`
+    : `${d.getFullYear()}${p(d.getMonth() + 1)}${p(d.getDate())}T${p(d.getHours())}${p(d.getMinutes())}00`;
+}
+
+function icsText(s) {
+  return String(s).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545 folding: long lines continue on the next line after a space (75 characters per line).
+function foldLine(line) {
+  const out = [];
+  let rest = line;
+  while (rest.length > 75) {
+    out.push(rest.slice(0, 75));
+    rest = ` ${rest.slice(75)}`;
+  }
+  out.push(rest);
+  return out.join('\r\n');
+}
+
+/** -------- Anki -------- */
+
+// Notes: one per summary (topic -> key points) and one per quiz question (question -> answer + why).
+export function toAnkiCsv(path) {
+  const tag = slug(path.subject);
+  const notes = [];
+  for (const rec of path.recommendations) {
+    const summary = path.summaries?.[rec.step];
+    const back = summary?.key_points?.length
+      ? `<ul>${summary.key_points.map(p => `<li>${html(p)}</li>`).join('')}</ul>`
+      : html(summary?.text || rec.description);
+    notes.push([html(`${path.subject}: ${rec.topic}`), back, `${tag} summary`]);
+  }
+  for (const q of path.quiz || []) {
+    const front = q.options ? `${html(q.question)}<br><br>${q.options.map(html).join('<br>')}` : html(q.question);
+    notes.push([front, `<b>${html(q.answer)}</b><br>${html(q.explanation || '')}`, `${tag} quiz`]);
+  }
+  const rows = notes.map(cols => cols.map(c => c.replace(/[\t\r\n]+/g, ' ')).join('\t'));
+  return ['#separator:tab', '#html:true', '#tags column:3', ...rows].join('\n') + '\n';
+}
+
+/** -------- Utilities -------- */
+
+function totalMinutes(path) {
+  return path.recommendations.reduce((sum, rec) => sum + (rec.minutes || 0), 0);
+}
+
+function html(s) {
+  return String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function slug(s) {
+  return String(s).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'path';
+}
+
+export function exportFileName(path, ext) {
+  return `${slug(path.subject)}.${ext}`;
+}
+
+export function download(name, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
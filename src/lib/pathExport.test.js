@@ -0,0 +1,60 @@
+import { toMarkdown, parseMarkdownPath, toJson, importPath, toIcs, toAnkiCsv } from './pathExport';
+
+const PATH = {
+  id: 'p1',
+  createdAt: 0,
+  subject: 'Rust',
+  experienceLevel: 'Beginner',
+  learningFormat: 'Video',
+  model: 'Gemini',
+  recommendations: [
+    { step: 1, topic: 'Ownership', description: 'Who frees memory, and when.', url: 'https://doc.rust-lang.org/book/ch04-01-what-is-ownership.html', minutes: 6 },
+    { step: 2, topic: 'Borrowing', description: 'References without moves.', url: null, minutes: 5 }
+  ],
+  summaries: { 1: { text: 'Each value has one owner.', key_points: ['One owner', 'Dropped at scope end'] } },
+  quiz: [{ type: 'short_answer', question: 'What frees memory?', options: null, answer: 'the owner', explanation: 'Drop runs at scope end.' }],
+  progress: { 1: 'done' }
+};
+
+test('Markdown round-trips through import', () => {
+  const md = toMarkdown(PATH);
+  expect(md).toContain('## 1. Ownership (6 min)');
+  expect(md).toContain('- Dropped at scope end');
+  const parsed = parseMarkdownPath(md);
+  expect(parsed.subject).toBe('Rust');
+  expect(parsed.learningFormat).toBe('Video');
+  expect(parsed.recommendations.map(r => [r.topic, r.minutes, r.url])).toEqual([
+    ['Ownership', 6, PATH.recommendations[0].url],
+    ['Borrowing', 5, null]
+  ]);
+  expect(parsed.recommendations[0].description).toBe('Who frees memory, and when.');
+});
+
+test('JSON import gives a fresh path and drops unsafe links', () => {
+  const shared = JSON.parse(toJson(PATH));
+  shared.path.recommendations[1].url = 'data:text/html,<b>hi</b>';
+  const imported = importPath(JSON.stringify(shared), 42);
+  expect(imported.id).not.toBe('p1');
+  expect(imported.createdAt).toBe(42);
+  expect(imported.progress).toEqual({});
+  expect(imported.recommendations[1].url).toBeNull();
+  expect(imported.summaries[1].key_points).toHaveLength(2);
+  expect(() => importPath('{"format":"other"}')).toThrow('Not a learning path export');
+});
+
+test('ICS schedules one step per chosen weekday at the chosen time', () => {
+  // Friday 2026-01-09 10:00 local: 08:00 has passed, so the first slot is Monday.
+  const ics = toIcs(PATH, { days: [1, 3], time: '08:00', start: new Date(2026, 0, 9, 10, 0) });
+  expect(ics.match(/DTSTART:\d+T\d+/g)).toEqual(['DTSTART:20260112T080000', 'DTSTART:20260114T080000']);
+  expect(ics).toContain('DTEND:20260112T080600');
+  expect(ics).toContain('SUMMARY:Rust: Ownership');
+  expect(ics.split('\r\n').every(line => line.length <= 75)).toBe(true);
+});
+
+test('Anki notes cover summaries and quiz questions', () => {
+  const rows = toAnkiCsv(PATH).trim().split('\n');
+  expect(rows.slice(0, 3)).toEqual(['#separator:tab', '#html:true', '#tags column:3']);
+  expect(rows).toHaveLength(3 + 2 + 1);
+  expect(rows[3]).toBe('Rust: Ownership\t<ul><li>One owner</li><li>Dropped at scope end</li></ul>\trust summary');
+  expect(rows[5].split('\t')[2]).toBe('rust quiz');
+});
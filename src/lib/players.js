@@ -0,0 +1,137 @@
+// Embedded players for link items. Both platforms share one interface, so the player component
+// doesn't care which one it is showing:
+//   createPlayer(container, video, { start, end, autoplay, onTime, onEnd, onError }) -> Promise<{ pause(), destroy() }>
+// onTime(currentTime, duration) fires about once a second while playing; onEnd() when the video or its
+// `end` is reached; onError('not_embeddable' | 'failed') when the platform won't play it inline.
+//  - YouTube: the IFrame Player API (https://www.youtube.com/iframe_api), on the privacy-enhanced host
+//  - TikTok: the embed player (https://www.tiktok.com/player/v1/<id>), driven by postMessage
+
+const YOUTUBE_API = 'https://www.youtube.com/iframe_api';
+const TIKTOK_PLAYER = 'https://www.tiktok.com/player/v1';
+// YouTube errors 101 and 150: the owner doesn't allow playback on other sites.
+const YOUTUBE_NOT_EMBEDDABLE = [101, 150];
+
+export function createPlayer(container, video, options) {
+  return video.platform === 'youtube' ? youtubePlayer(container, video, options) : tiktokPlayer(container, video, options);
+}
+
+/** -------- YouTube -------- */
+
+let youtubeApi = null;
+
+function loadYouTubeApi() {
+  if (window.YT?.Player) return Promise.resolve(window.YT);
+  if (!youtubeApi) {
+    youtubeApi = new Promise((resolve, reject) => {
+      const previous = window.onYouTubeIframeAPIReady;
+      window.onYouTubeIframeAPIReady = () => {
+        previous?.();
+        resolve(window.YT);
+      };
+      const script = document.createElement('script');
+      script.src = YOUTUBE_API;
+      script.async = true;
+      script.onerror = () => {
+        youtubeApi = null;
+        reject(new Error('YouTube player failed to load'));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return youtubeApi;
+}
+
+async function youtubePlayer(container, video, { start = 0, end = null, autoplay = false, onTime, onEnd, onError }) {
+  const YT = await loadYouTubeApi();
+  let timer = null;
+  const stopPolling = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  // The API replaces the element it is given with its iframe, so it gets one of its own.
+  const mount = document.createElement('div');
+  container.replaceChildren(mount);
+  const player = new YT.Player(mount, {
+    host: 'https://www.youtube-nocookie.com',
+    videoId: video.id,
+    width: '100%',
+    height: '100%',
+    playerVars: {
+      start: Math.floor(start),
+      ...(end ? { end: Math.ceil(end) } : {}),
+      autoplay: autoplay ? 1 : 0,
+      playsinline: 1,
+      rel: 0,
+      origin: window.location.origin
+    },
+    events: {
+      onStateChange: (e) => {
+        if (e.data === YT.PlayerState.PLAYING && !timer) {
+          timer = setInterval(() => onTime?.(player.getCurrentTime(), player.getDuration()), 1000);
+        } else if (e.data !== YT.PlayerState.PLAYING) {
+          stopPolling();
+        }
+        if (e.data === YT.PlayerState.ENDED) onEnd?.();
+      },
+      onError: (e) => {
+        stopPolling();
+        onError?.(YOUTUBE_NOT_EMBEDDABLE.includes(e.data) ? 'not_embeddable' : 'failed');
+      }
+    }
+  });
+
+  return {
+    pause: () => player.pauseVideo?.(),
+    destroy: () => {
+      stopPolling();
+      player.destroy();
+    }
+  };
+}
+
+/** -------- TikTok -------- */
+
+// TikTok's player posts { 'x-tiktok-player': true, type, value } messages to the page and takes
+// commands in the same shape. It has no start parameter, so the start is a seek once it is ready.
+async function tiktokPlayer(container, video, { start = 0, end = null, autoplay = false, onTime, onEnd, onError }) {
+  const iframe = document.createElement('iframe');
+  iframe.src = `${TIKTOK_PLAYER}/${video.id}?autoplay=${autoplay ? 1 : 0}&rel=0&description=0&music_info=0`;
+  iframe.title = 'TikTok video';
+  iframe.allow = 'autoplay; fullscreen; encrypted-media; picture-in-picture';
+  iframe.className = 'w-full h-full';
+  container.replaceChildren(iframe);
+
+  const send = (type, value) => iframe.contentWindow?.postMessage({ 'x-tiktok-player': true, type, value }, '*');
+  let ended = false;
+  const finish = () => {
+    if (ended) return;
+    ended = true;
+    onEnd?.();
+  };
+
+  const onMessage = (e) => {
+    if (e.source !== iframe.contentWindow || !e.data?.['x-tiktok-player']) return;
+    const { type, value } = e.data;
+    if (type === 'onPlayerReady' && start > 0) send('seekTo', start);
+    if (type === 'onCurrentTime') {
+      onTime?.(value.currentTime, value.duration);
+      if (end && value.currentTime >= end) {
+        send('pause');
+        finish();
+      }
+    }
+    if (type === 'onStateChange' && value === 0) finish();
+    if (type === 'onStateChange' && value === 1) ended = false;
+    if (type === 'onError') onError?.('failed');
+  };
+  window.addEventListener('message', onMessage);
+
+  return {
+    pause: () => send('pause'),
+    destroy: () => {
+      window.removeEventListener('message', onMessage);
+      iframe.remove();
+    }
+  };
+}
@@ -0,0 +1,79 @@
+// Learner profile and path history storage.
+// A store is any object with these async methods:
+//   loadProfile() -> profile | null
+//   saveProfile(profile)
+//   listPaths() -> paths[] (newest first)
+//   savePath(path)                         upsert by path.id
+//   setStepStatus(pathId, step, status)    status: 'done' | 'todo'
+// Profile: { background, goals, preferredLevel, preferredFormat, preferredModel, updatedAt }
+// Path:    { id, createdAt, subject, goals, experienceLevel, learningFormat, model, language, recommendations, progress: { [step]: status },
+//            courseId?, lessonId? }
+// Planned courses are stored alongside as { kind: 'course', ... } with progress keyed by lesson id (src/lib/curriculum.js).
+
+const MAX_PATHS = 50;
+
+export function newPathId() {
+  return window.crypto?.randomUUID?.() || `p_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Stable per-browser id, used as the document id until the learner signs in.
+export function learnerId() {
+  const key = 'microlearning.learnerId';
+  try {
+    let id = window.localStorage.getItem(key);
+    if (!id) {
+      id = newPathId();
+      window.localStorage.setItem(key, id);
+    }
+    return id;
+  } catch {
+    return 'anonymous';
+  }
+}
+
+export function localStorageProfileStore(prefix = 'microlearning.profile.v1') {
+  const read = (key, fallback) => {
+    try {
+      const raw = window.localStorage.getItem(`${prefix}.${key}`);
+      return raw ? JSON.parse(raw) : fallback;
+    } catch {
+      return fallback;
+    }
+  };
+  const write = (key, value) => {
+    try {
+      window.localStorage.setItem(`${prefix}.${key}`, JSON.stringify(value));
+    } catch {
+      // Storage full or disabled; the profile just won't persist.
+    }
+  };
+
+  return {
+    async loadProfile() { return read('profile', null); },
+    async saveProfile(profile) { write('profile', { ...profile, updatedAt: Date.now() }); },
+    async listPaths() { return read('paths', []); },
+    async savePath(path) {
+      const paths = read('paths', []).filter(p => p.id !== path.id);
+      write('paths', [path, ...paths].slice(0, MAX_PATHS));
+    },
+    async setStepStatus(pathId, step, status) {
+      write('paths', read('paths', []).map(p => (
+        p.id === pathId ? { ...p, progress: { ...p.progress, [step]: status } } : p
+      )));
+    }
+  };
+}
+
+// REACT_APP_PROFILE_STORE=firestore switches to Firestore; Firebase is only loaded in that case.
+// Firestore is wrapped for offline use (offline.js): a local mirror plus a queue of pending writes.
+export async function createProfileStore() {
+  if (process.env.REACT_APP_PROFILE_STORE === 'firestore') {
+    const [{ db }, { firestoreProfileStore }, { offlineProfileStore }] = await Promise.all([
+      import('../firebaseConfig'),
+      import('./firestoreProfileStore'),
+      import('./offline')
+    ]);
+    return offlineProfileStore(firestoreProfileStore({ db, userId: learnerId() }));
+  }
+  return localStorageProfileStore();
+}
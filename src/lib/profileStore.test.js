@@ -0,0 +1,55 @@
+import { initializeApp } from 'firebase/app';
+import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
+import { localStorageProfileStore } from './profileStore';
+import { firestoreProfileStore } from './firestoreProfileStore';
+
+const path = (id, createdAt) => ({
+  id,
+  createdAt,
+  subject: 'Kubernetes',
+  experienceLevel: 'Beginner',
+  learningFormat: 'Video',
+  model: 'Gemini',
+  recommendations: [{ step: 1, topic: 'Pods', description: '', url: null, minutes: 11 }],
+  progress: {}
+});
+
+// Every adapter must pass the same contract.
+function contract(makeStore) {
+  test('round-trips the profile', async () => {
+    const store = await makeStore();
+    expect(await store.loadProfile()).toBeNull();
+    await store.saveProfile({ background: 'SRE', goals: 'CKA', preferredLevel: 'Advanced' });
+    expect(await store.loadProfile()).toMatchObject({ background: 'SRE', goals: 'CKA', preferredLevel: 'Advanced' });
+  });
+
+  test('lists paths newest first and tracks step status', async () => {
+    const store = await makeStore();
+    await store.savePath(path('a', 1));
+    await store.savePath(path('b', 2));
+    await store.setStepStatus('a', 1, 'done');
+
+    const paths = await store.listPaths();
+    expect(paths.map((p) => p.id)).toEqual(['b', 'a']);
+    expect(paths[1].progress).toEqual({ 1: 'done' });
+  });
+}
+
+describe('localStorageProfileStore', () => {
+  let n = 0;
+  beforeEach(() => window.localStorage.clear());
+  contract(() => localStorageProfileStore(`test.${n++}`));
+});
+
+// Runs against the Firestore emulator: FIRESTORE_EMULATOR_HOST=localhost:8080 npm test
+const emulator = process.env.FIRESTORE_EMULATOR_HOST;
+(emulator ? describe : describe.skip)('firestoreProfileStore (emulator)', () => {
+  const app = initializeApp({ projectId: 'demo-microlearning', apiKey: 'demo' }, 'profile-store-test');
+  const db = getFirestore(app);
+  if (emulator) {
+    const [host, port] = emulator.split(':');
+    connectFirestoreEmulator(db, host, Number(port));
+  }
+  let n = 0;
+  contract(() => firestoreProfileStore({ db, userId: `user-${Date.now()}-${n++}` }));
+});
@@ -0,0 +1,37 @@
+// Client-side grading for quizzes returned by the /api/llm "quiz" task.
+
+function normalize(s) {
+  return String(s || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\b(a|an|the)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Multiple choice must match exactly. Short answers pass when the normalized response
+// contains the canonical answer as whole words, or shares most of its words ("14" never passes for "4").
+export function gradeAnswer(question, response) {
+  if (question.type === 'multiple_choice') return response === question.answer;
+
+  const got = normalize(response);
+  const want = normalize(question.answer);
+  if (!got || !want) return false;
+  if (` ${got} `.includes(` ${want} `)) return true;
+
+  const wantWords = want.split(' ');
+  const gotWords = new Set(got.split(' '));
+  const shared = wantWords.filter(w => gotWords.has(w)).length;
+  return shared / wantWords.length >= 0.75;
+}
+
+// Why the learner's wrong option is wrong, when the model provided it.
+export function distractorFeedback(question, response) {
+  return (question.distractor_explanations || []).find(d => d.option === response)?.why || null;
+}
+
+export function scoreQuiz(questions, responses) {
+  const results = questions.map((q, i) => gradeAnswer(q, responses[i]));
+  const correct = results.filter(Boolean).length;
+  return { results, correct, total: questions.length, ratio: questions.length ? correct / questions.length : 0 };
+}
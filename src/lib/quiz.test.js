@@ -0,0 +1,48 @@
+import { gradeAnswer, scoreQuiz, distractorFeedback } from './quiz';
+
+const choice = {
+  type: 'multiple_choice',
+  question: 'What does a closure keep?',
+  options: ['Its scope', 'A copy of the DOM', 'The call stack', 'Nothing'],
+  answer: 'Its scope',
+  distractor_explanations: [{ option: 'The call stack', why: 'The stack frame is gone; the scope survives.' }]
+};
+const short = (answer) => ({ type: 'short_answer', question: 'q', options: null, answer });
+
+test('multiple choice only accepts the exact option', () => {
+  expect(gradeAnswer(choice, 'Its scope')).toBe(true);
+  expect(gradeAnswer(choice, 'its scope')).toBe(false);
+  expect(gradeAnswer(choice, 'The call stack')).toBe(false);
+});
+
+test('short answers ignore case, punctuation and articles', () => {
+  expect(gradeAnswer(short('The lexical scope'), 'lexical scope!')).toBe(true);
+  expect(gradeAnswer(short('Lexical scope'), 'it keeps the LEXICAL SCOPE')).toBe(true);
+  expect(gradeAnswer(short('useEffect'), '')).toBe(false);
+});
+
+test('short answers match whole words, not substrings', () => {
+  expect(gradeAnswer(short('4'), '14')).toBe(false);
+  expect(gradeAnswer(short('4'), 'it is 4')).toBe(true);
+  expect(gradeAnswer(short('map'), 'flatMap')).toBe(false);
+  expect(gradeAnswer(short('scope'), 'scopes')).toBe(false);
+});
+
+test('short answers pass when they share most of the words', () => {
+  expect(gradeAnswer(short('block scoped variable binding'), 'a block scoped binding of a variable')).toBe(true);
+  expect(gradeAnswer(short('block scoped variable binding'), 'block binding')).toBe(false);
+});
+
+test('distractorFeedback explains a wrong option when the model gave a reason', () => {
+  expect(distractorFeedback(choice, 'The call stack')).toMatch(/scope survives/);
+  expect(distractorFeedback(choice, 'Nothing')).toBeNull();
+});
+
+test('scoreQuiz counts correct answers', () => {
+  const questions = [choice, short('4'), short('lexical scope')];
+  expect(scoreQuiz(questions, ['Its scope', '14', 'lexical scope'])).toEqual({
+    results: [true, false, true], correct: 2, total: 3, ratio: 2 / 3
+  });
+  expect(scoreQuiz([], [])).toEqual({ results: [], correct: 0, total: 0, ratio: 0 });
+  expect(scoreQuiz(questions, []).correct).toBe(0);
+});
@@ -0,0 +1,83 @@
+// SM-2 style spaced-repetition scheduling. Pure functions only: every call takes `now`
+// (epoch ms) and returns new objects, so storage and clocks stay outside (see reviewStore.js).
+//
+// Card: { id, subject, topic, ease, interval (days), repetitions, due (epoch ms), lastReviewed, history }
+// Quality: 0 (blackout) .. 5 (perfect); below 3 counts as a lapse.
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+export const MIN_EASE = 1.3;
+export const DEFAULT_EASE = 2.5;
+
+export function cardId(subject, topic) {
+  const slug = (s) => String(s || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  return `${slug(subject)}::${slug(topic)}`;
+}
+
+// A freshly completed lesson is first reviewed the next day.
+export function newCard({ subject, topic }, now) {
+  return {
+    id: cardId(subject, topic),
+    subject,
+    topic,
+    ease: DEFAULT_EASE,
+    interval: 1,
+    repetitions: 0,
+    due: now + DAY_MS,
+    lastReviewed: null,
+    history: []
+  };
+}
+
+export function review(card, quality, now) {
+  const q = Math.max(0, Math.min(5, Math.round(quality)));
+  let { ease, interval, repetitions } = card;
+
+  if (q < 3) {
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions += 1;
+    interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(interval * ease);
+  }
+  ease = Math.max(MIN_EASE, ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+
+  return {
+    ...card,
+    ease: Math.round(ease * 100) / 100,
+    interval,
+    repetitions,
+    due: now + interval * DAY_MS,
+    lastReviewed: now,
+    history: [...card.history, { at: now, quality: q }]
+  };
+}
+
+// Maps a quiz score (0..1) onto SM-2 quality.
+export function qualityFromScore(ratio) {
+  if (ratio >= 0.9) return 5;
+  if (ratio >= 0.75) return 4;
+  if (ratio >= 0.6) return 3;
+  if (ratio >= 0.4) return 2;
+  if (ratio >= 0.2) return 1;
+  return 0;
+}
+
+// Adds cards for newly completed lessons; already-known lessons keep their schedule.
+export function addCompleted(cards, lessons, now) {
+  const known = new Set(cards.map(c => c.id));
+  const added = lessons
+    .map(l => newCard(l, now))
+    .filter(c => !known.has(c.id) && known.add(c.id));
+  return [...cards, ...added];
+}
+
+export function applyReview(cards, id, quality, now) {
+  return cards.map(c => (c.id === id ? review(c, quality, now) : c));
+}
+
+// Everything due before the end of the learner's local day, most overdue first.
+export function dueToday(cards, now) {
+  const end = new Date(now);
+  end.setHours(23, 59, 59, 999);
+  return cards.filter(c => c.due <= end.getTime()).sort((a, b) => a.due - b.due);
+}
@@ -0,0 +1,74 @@
+import {
+  DAY_MS, MIN_EASE, newCard, review, qualityFromScore, addCompleted, applyReview, dueToday, cardId
+} from './reviewScheduler';
+
+const NOW = new Date(2026, 0, 10, 9, 0, 0).getTime();
+
+describe('review', () => {
+  test('first lesson is due the next day', () => {
+    const card = newCard({ subject: 'Rust', topic: 'Ownership' }, NOW);
+    expect(card.due).toBe(NOW + DAY_MS);
+    expect(card.ease).toBe(2.5);
+    expect(card.id).toBe(cardId('rust', ' ownership '));
+  });
+
+  test('successful reviews grow the interval 1 → 6 → interval × ease', () => {
+    let card = newCard({ subject: 'Rust', topic: 'Ownership' }, NOW);
+    card = review(card, 4, NOW);
+    expect(card.interval).toBe(1);
+    card = review(card, 4, NOW);
+    expect(card.interval).toBe(6);
+    card = review(card, 4, NOW);
+    expect(card.interval).toBe(15);
+    expect(card.due).toBe(NOW + 15 * DAY_MS);
+    expect(card.repetitions).toBe(3);
+  });
+
+  test('a lapse resets repetitions and lowers ease', () => {
+    let card = newCard({ subject: 'Rust', topic: 'Ownership' }, NOW);
+    card = review(review(review(card, 5, NOW), 5, NOW), 5, NOW);
+    const lapsed = review(card, 1, NOW);
+    expect(lapsed.repetitions).toBe(0);
+    expect(lapsed.interval).toBe(1);
+    expect(lapsed.ease).toBeLessThan(card.ease);
+    expect(lapsed.history).toHaveLength(4);
+  });
+
+  test('ease never drops below the minimum', () => {
+    let card = newCard({ subject: 'Rust', topic: 'Ownership' }, NOW);
+    for (let i = 0; i < 10; i++) card = review(card, 0, NOW);
+    expect(card.ease).toBe(MIN_EASE);
+  });
+
+  test('does not mutate its input', () => {
+    const card = newCard({ subject: 'Rust', topic: 'Ownership' }, NOW);
+    review(card, 5, NOW);
+    expect(card.repetitions).toBe(0);
+    expect(card.history).toEqual([]);
+  });
+});
+
+test('qualityFromScore maps quiz ratios onto 0..5', () => {
+  expect(qualityFromScore(1)).toBe(5);
+  expect(qualityFromScore(0.8)).toBe(4);
+  expect(qualityFromScore(0.6)).toBe(3);
+  expect(qualityFromScore(0.5)).toBe(2);
+  expect(qualityFromScore(0)).toBe(0);
+});
+
+test('addCompleted keeps the schedule of lessons already known', () => {
+  const first = addCompleted([], [{ subject: 'Rust', topic: 'Ownership' }], NOW);
+  const reviewed = applyReview(first, first[0].id, 5, NOW + DAY_MS);
+  const again = addCompleted(reviewed, [{ subject: 'Rust', topic: 'Ownership' }, { subject: 'Rust', topic: 'Borrowing' }], NOW + 2 * DAY_MS);
+  expect(again).toHaveLength(2);
+  expect(again[0]).toBe(reviewed[0]);
+});
+
+test('dueToday returns cards due by the end of the local day, most overdue first', () => {
+  const cards = [
+    { ...newCard({ subject: 'A', topic: 'later' }, NOW), due: NOW + 2 * DAY_MS },
+    { ...newCard({ subject: 'A', topic: 'tonight' }, NOW), due: NOW + 10 * 60 * 60 * 1000 },
+    { ...newCard({ subject: 'A', topic: 'overdue' }, NOW), due: NOW - DAY_MS }
+  ];
+  expect(dueToday(cards, NOW).map(c => c.topic)).toEqual(['overdue', 'tonight']);
+});
@@ -0,0 +1,31 @@
+// Storage for review cards. Any object with async `load() -> cards[]` and `save(cards)`
+// works, so a backend-backed store can replace localStorage without touching the scheduler.
+
+export function localStorageReviewStore(key = 'microlearning.reviews.v1') {
+  return {
+    async load() {
+      try {
+        const raw = window.localStorage.getItem(key);
+        const cards = raw ? JSON.parse(raw) : [];
+        return Array.isArray(cards) ? cards : [];
+      } catch {
+        return [];
+      }
+    },
+    async save(cards) {
+      try {
+        window.localStorage.setItem(key, JSON.stringify(cards));
+      } catch {
+        // Storage full or disabled (private mode); reviews just won't persist.
+      }
+    }
+  };
+}
+
+export function memoryReviewStore(initial = []) {
+  let cards = initial;
+  return {
+    async load() { return cards; },
+    async save(next) { cards = next; }
+  };
+}
@@ -0,0 +1,47 @@
+// Shareable path links: a snapshot of the path is saved by /api/snapshots and opened at /share/<id>.
+// Snapshots are read-only; forking one copies its inputs back into the form.
+
+import { authHeaders } from './apiAuth';
+
+const SHARE_PATH = /^\/share\/([\w-]{16})\/?$/;
+
+export function shareIdFromLocation(pathname = window.location.pathname) {
+  return SHARE_PATH.exec(pathname)?.[1] || null;
+}
+
+export function shareUrl(id) {
+  return `${window.location.origin}/share/${id}`;
+}
+
+// The learner's background (`userInfo`) stays private; only the path's own inputs are shared.
+export async function shareSnapshot(path, { expiresInDays } = {}) {
+  const r = await fetch('/api/snapshots', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(await authHeaders()) },
+    body: JSON.stringify({
+      inputs: {
+        subject: path.subject,
+        goals: path.goals || null,
+        experienceLevel: path.experienceLevel,
+        learningFormat: path.learningFormat,
+        model: path.model,
+        language: path.language || 'en'
+      },
+      provider: path.model,
+      recommendations: path.recommendations,
+      summaries: path.summaries || null,
+      quiz: path.quiz || null,
+      ...(expiresInDays ? { expiresInDays } : {})
+    })
+  });
+  const data = await r.json();
+  if (!r.ok) throw new Error(data.error || `HTTP ${r.status}`);
+  return { ...data, url: shareUrl(data.id) };
+}
+
+export async function loadSnapshot(id) {
+  const r = await fetch(`/api/snapshots?id=${encodeURIComponent(id)}`, { headers: await authHeaders() });
+  const data = await r.json();
+  if (!r.ok) throw new Error(data.error || `HTTP ${r.status}`);
+  return data;
+}
@@ -0,0 +1,71 @@
+// Video links the API can summarize from their transcript (task `videoSummary`, api/_lib/transcripts.js).
+// parseVideoUrl and formatTime mirror the server's (the app can't import api/); video.test.js holds them to it.
+
+export function parseVideoUrl(input) {
+  let u;
+  try {
+    u = new URL(String(input ?? '').trim().replace(/[).,\]]+$/, ''));
+  } catch {
+    return null;
+  }
+  if (!/^https?:$/.test(u.protocol)) return null;
+  const host = u.hostname.replace(/^(www|m|mobile)\./, '');
+  const parts = u.pathname.split('/').filter(Boolean);
+
+  let id = null;
+  if (host === 'youtu.be') id = parts[0];
+  else if (host === 'youtube.com' || host === 'music.youtube.com' || host === 'youtube-nocookie.com') {
+    id = parts[0] === 'watch' ? u.searchParams.get('v') : ['shorts', 'live', 'embed'].includes(parts[0]) ? parts[1] : null;
+  }
+  if (id && /^[\w-]{11}$/.test(id)) return { platform: 'youtube', id, url: `https://www.youtube.com/watch?v=${id}` };
+
+  if (host === 'tiktok.com' && parts[0]?.startsWith('@') && parts[1] === 'video' && /^\d+$/.test(parts[2] || '')) {
+    return { platform: 'tiktok', id: parts[2], url: `https://www.tiktok.com/${parts[0]}/video/${parts[2]}` };
+  }
+  return null;
+}
+
+export function isVideoUrl(input) {
+  return parseVideoUrl(input) !== null;
+}
+
+/** -------- Playback -------- */
+
+// "m:ss", or "h:mm:ss" from an hour on (same as the API's key point times).
+export function formatTime(seconds) {
+  const s = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(s / 3600);
+  const mm = String(Math.floor((s % 3600) / 60)).padStart(h ? 2 : 1, '0');
+  const ss = String(s % 60).padStart(2, '0');
+  return h ? `${h}:${mm}:${ss}` : `${mm}:${ss}`;
+}
+
+// Seconds from a `t`/`start` parameter: "90", "90s" or "1m30s" (and "1h2m3s").
+function parseSeconds(value) {
+  if (value == null || value === '') return null;
+  if (/^\d+(\.\d+)?$/.test(value)) return Number(value);
+  const m = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/.exec(value);
+  if (!m || !m[0]) return null;
+  return Number(m[1] || 0) * 3600 + Number(m[2] || 0) * 60 + Number(m[3] || 0);
+}
+
+// The part of a link item to play: `start_s`/`end_s` on the item win over the link's own
+// t/start and end parameters. `end` is null when the video plays to its end.
+export function playbackRange(item) {
+  let params = null;
+  try {
+    params = new URL(item.url).searchParams;
+  } catch {
+    // Not a URL; nothing to read from it.
+  }
+  const start = item.start_s ?? parseSeconds(params?.get('t') ?? params?.get('start')) ?? 0;
+  const end = item.end_s ?? parseSeconds(params?.get('end'));
+  return { start, end: end != null && end > start ? end : null };
+}
+
+// Seconds the learner is expected to watch: the range when it has an end, else up to the real
+// duration once the player knows it, else the item's `est_duration_s`. Null when nothing says.
+export function watchTarget(item, range, duration) {
+  const end = range.end ?? (duration > 0 ? duration : item.est_duration_s);
+  return end > range.start ? end - range.start : null;
+}
@@ -0,0 +1,64 @@
+import { parseVideoUrl, isVideoUrl, playbackRange, watchTarget, formatTime } from './video';
+import * as api from '../../api/_lib/transcripts';
+
+test('reads YouTube ids from every link form', () => {
+  for (const url of [
+    'https://www.youtube.com/watch?v=vKJpN5FAeF4&list=PL1',
+    'https://youtu.be/vKJpN5FAeF4?si=share',
+    'https://m.youtube.com/shorts/vKJpN5FAeF4',
+    'https://www.youtube-nocookie.com/embed/vKJpN5FAeF4'
+  ]) {
+    expect(parseVideoUrl(url)).toEqual({ platform: 'youtube', id: 'vKJpN5FAeF4', url: 'https://www.youtube.com/watch?v=vKJpN5FAeF4' });
+  }
+});
+
+test('reads TikTok video links and rejects everything else', () => {
+  expect(parseVideoUrl('https://www.tiktok.com/@jsdevtips/video/7291836412390214938?lang=en')).toEqual({
+    platform: 'tiktok',
+    id: '7291836412390214938',
+    url: 'https://www.tiktok.com/@jsdevtips/video/7291836412390214938'
+  });
+  expect(isVideoUrl('https://www.youtube.com/@fireship')).toBe(false);
+  expect(isVideoUrl('https://developer.mozilla.org/en-US/docs/Web/JavaScript/Closures')).toBe(false);
+  expect(isVideoUrl('ftp://youtu.be/vKJpN5FAeF4')).toBe(false);
+  expect(isVideoUrl(undefined)).toBe(false);
+});
+
+test('playbackRange reads item fields first, then the link parameters', () => {
+  expect(playbackRange({ url: 'https://youtu.be/vKJpN5FAeF4?t=1m30s' })).toEqual({ start: 90, end: null });
+  expect(playbackRange({ url: 'https://www.youtube.com/embed/vKJpN5FAeF4?start=20&end=80' })).toEqual({ start: 20, end: 80 });
+  expect(playbackRange({ url: 'https://youtu.be/vKJpN5FAeF4?t=30', start_s: 5, end_s: 65 })).toEqual({ start: 5, end: 65 });
+  expect(playbackRange({ url: 'https://youtu.be/vKJpN5FAeF4?t=90&end=60' })).toEqual({ start: 90, end: null });
+});
+
+test('watchTarget prefers the range end, then the real duration, then the estimate', () => {
+  const item = { url: 'https://youtu.be/vKJpN5FAeF4', est_duration_s: 240 };
+  expect(watchTarget(item, { start: 20, end: 80 }, 300)).toBe(60);
+  expect(watchTarget(item, { start: 20, end: null }, 300)).toBe(280);
+  expect(watchTarget(item, { start: 0, end: null }, 0)).toBe(240);
+  expect(watchTarget({ url: item.url }, { start: 0, end: null }, 0)).toBeNull();
+});
+
+test('parseVideoUrl and formatTime agree with the API', () => {
+  for (const url of [
+    'https://www.youtube.com/watch?v=vKJpN5FAeF4&t=42s',
+    'https://music.youtube.com/watch?v=vKJpN5FAeF4',
+    'http://mobile.youtube.com/live/vKJpN5FAeF4?feature=share',
+    'https://www.youtube-nocookie.com/embed/vKJpN5FAeF4',
+    'https://youtu.be/vKJpN5FAeF4).',
+    'https://www.youtube.com/watch?v=short',
+    'https://www.youtube.com/playlist?list=PL1',
+    'https://www.tiktok.com/@js.dev_tips/video/7291836412390214938?is_from_webapp=1',
+    'https://vm.tiktok.com/ZMabc123/',
+    'https://www.tiktok.com/@jsdevtips',
+    'https://example.com/watch?v=vKJpN5FAeF4',
+    'not a url',
+    '',
+    undefined
+  ]) {
+    expect(parseVideoUrl(url)).toEqual(api.parseVideoUrl(url));
+  }
+  for (const seconds of [0, 9.9, 59, 61, 3599, 3600, 3725, -5]) {
+    expect(formatTime(seconds)).toBe(api.formatTime(seconds));
+  }
+});
@@ -0,0 +1,60 @@
+// Watch progress for embedded videos (components/VideoPlayer.jsx), kept per video so a learner's
+// progress survives reloads and shows up wherever the same video is linked again.
+// A progress record is { position_s, watched_s, completed, updatedAt }: `watched_s` only grows with
+// playback the learner actually sat through, so seeking to the end doesn't count as watching.
+
+import { parseVideoUrl } from './video';
+
+const WATCH_KEY = 'microlearning.watch.v1';
+
+// Share of the expected watch time (lib/video.js watchTarget) that completes an item.
+export const COMPLETE_RATIO = 0.9;
+// Players report the time about once a second; a bigger jump is a seek, not playback.
+const MAX_STEP_S = 3;
+
+export function emptyProgress() {
+  return { position_s: 0, watched_s: 0, completed: false, updatedAt: null };
+}
+
+// Progress after the player reports `time`, counting the seconds played since the last report.
+export function advance(progress, time) {
+  const step = time - progress.position_s;
+  const played = step > 0 && step <= MAX_STEP_S ? step : 0;
+  return {
+    ...progress,
+    position_s: Math.round(time * 10) / 10,
+    watched_s: Math.round((progress.watched_s + played) * 10) / 10
+  };
+}
+
+export function isComplete(progress, target) {
+  return progress.completed || (target > 0 && progress.watched_s >= target * COMPLETE_RATIO);
+}
+
+/** -------- Storage -------- */
+
+function keyFor(url) {
+  return parseVideoUrl(url)?.url || url;
+}
+
+function readAll() {
+  try {
+    return JSON.parse(window.localStorage.getItem(WATCH_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function loadWatch(url) {
+  return { ...emptyProgress(), ...readAll()[keyFor(url)] };
+}
+
+export function saveWatch(url, progress) {
+  const all = readAll();
+  all[keyFor(url)] = { ...progress, updatedAt: Date.now() };
+  try {
+    window.localStorage.setItem(WATCH_KEY, JSON.stringify(all));
+  } catch {
+    // Storage full or disabled; progress lasts for this visit.
+  }
+}
@@ -0,0 +1,25 @@
+import { advance, isComplete, emptyProgress, loadWatch, saveWatch } from './watchProgress';
+
+test('only seconds played in order count as watched', () => {
+  let p = emptyProgress();
+  for (const time of [1, 2, 3, 4]) p = advance(p, time);
+  expect(p).toMatchObject({ position_s: 4, watched_s: 4 });
+
+  p = advance(p, 170); // seek to the end
+  expect(p).toMatchObject({ position_s: 170, watched_s: 4 });
+  p = advance(p, 30); // and back
+  expect(p.watched_s).toBe(4);
+});
+
+test('an item completes at 90% of its expected watch time', () => {
+  expect(isComplete({ ...emptyProgress(), watched_s: 161 }, 180)).toBe(false);
+  expect(isComplete({ ...emptyProgress(), watched_s: 162 }, 180)).toBe(true);
+  expect(isComplete({ ...emptyProgress(), watched_s: 500 }, null)).toBe(false);
+  expect(isComplete({ ...emptyProgress(), completed: true }, null)).toBe(true);
+});
+
+test('progress is stored per video, whatever link form points at it', () => {
+  saveWatch('https://youtu.be/vKJpN5FAeF4', { position_s: 42, watched_s: 40, completed: false });
+  expect(loadWatch('https://www.youtube.com/watch?v=vKJpN5FAeF4&t=10s')).toMatchObject({ position_s: 42, watched_s: 40 });
+  expect(loadWatch('https://www.youtube.com/watch?v=dQw4w9WgXcQ')).toEqual(emptyProgress());
+});
@@ -0,0 +1,114 @@
+/**
+ * @jest-environment ./src/e2e/environment.js
+ */
+import { generateKeyPairSync, sign } from 'node:crypto';
+import { AuthError, clientIp, identify, issueSession, verifyFirebaseToken, verifySession } from '../../api/_lib/auth';
+
+const SECRET = 'test-session-secret';
+const NOW = Date.UTC(2026, 0, 1, 12);
+const NOW_S = NOW / 1000;
+const PROJECT = 'microlearningv4';
+
+const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const JWK = { ...publicKey.export({ format: 'jwk' }), kid: 'key-1', alg: 'RS256' };
+const fetchKeys = async () => [JWK];
+
+const b64 = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function idToken(claims = {}, { header = {}, key = privateKey } = {}) {
+  const head = b64({ alg: 'RS256', kid: 'key-1', typ: 'JWT', ...header });
+  const body = b64({
+    aud: PROJECT, iss: `https://securetoken.google.com/${PROJECT}`, sub: 'uid-1',
+    iat: NOW_S - 60, exp: NOW_S + 3600, auth_time: NOW_S - 60, ...claims
+  });
+  return `${head}.${body}.${sign('RSA-SHA256', Buffer.from(`${head}.${body}`), key).toString('base64url')}`;
+}
+
+const check = (token, opts = {}) => verifyFirebaseToken(token, { projectId: PROJECT, fetchKeys, now: NOW, ...opts });
+const request = (token, ip = '203.0.113.7') => ({ headers: { 'x-vercel-forwarded-for': ip, ...(token ? { authorization: `Bearer ${token}` } : {}) } });
+
+describe('anonymous sessions', () => {
+  test('issued sessions verify until they expire', () => {
+    const { token, expiresAt } = issueSession(SECRET, NOW);
+    expect(token).toMatch(/^anon\./);
+    expect(expiresAt).toBe(NOW + 30 * 24 * 3600 * 1000);
+    expect(verifySession(token, SECRET, NOW).sub).toMatch(/^anon:[0-9a-f]{24}$/);
+    expect(() => verifySession(token, SECRET, expiresAt)).toThrow('Session expired');
+  });
+
+  test('every session gets its own subject', () => {
+    const a = verifySession(issueSession(SECRET, NOW).token, SECRET, NOW);
+    const b = verifySession(issueSession(SECRET, NOW).token, SECRET, NOW);
+    expect(a.sub).not.toBe(b.sub);
+  });
+
+  test('rejects tampered, foreign and unsigned tokens', () => {
+    const { token } = issueSession(SECRET, NOW);
+    const [payload, sig] = token.slice('anon.'.length).split('.');
+    const forged = `anon.${b64({ sub: 'anon:admin', iat: NOW_S, exp: NOW_S + 60 })}.${sig}`;
+
+    expect(() => verifySession(forged, SECRET, NOW)).toThrow('Invalid session token');
+    expect(() => verifySession(token, 'another-secret', NOW)).toThrow('Invalid session token');
+    expect(() => verifySession(`anon.${payload}`, SECRET, NOW)).toThrow(AuthError);
+    expect(() => verifySession(token, '', NOW)).toThrow('Sessions are not enabled');
+  });
+
+  test('issuing needs a secret', () => {
+    expect(() => issueSession('')).toThrow('SESSION_SECRET missing');
+  });
+});
+
+describe('verifyFirebaseToken', () => {
+  test('accepts a valid ID token', async () => {
+    expect((await check(idToken())).sub).toBe('uid-1');
+  });
+
+  test.each([
+    ['wrong audience', { aud: 'other-project' }, 'Token audience mismatch'],
+    ['wrong issuer', { iss: 'https://securetoken.google.com/other-project' }, 'Token issuer mismatch'],
+    ['no subject', { sub: '' }, 'Token has no subject'],
+    ['expired', { exp: NOW_S - 1 }, 'Token expired or not yet valid'],
+    ['not yet valid', { iat: NOW_S + 60 }, 'Token expired or not yet valid']
+  ])('rejects a token: %s', async (_, claims, message) => {
+    await expect(check(idToken(claims))).rejects.toThrow(message);
+  });
+
+  test('tolerates a few seconds of clock skew', async () => {
+    expect((await check(idToken({ iat: NOW_S + 5, auth_time: NOW_S + 5 }))).sub).toBe('uid-1');
+  });
+
+  test('rejects bad signatures, unknown keys and other algorithms', async () => {
+    const other = generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+    await expect(check(idToken({}, { key: other }))).rejects.toThrow('Invalid token signature');
+    await expect(check(idToken({}, { header: { kid: 'key-2' } }))).rejects.toThrow('Unknown signing key');
+    await expect(check(idToken({}, { header: { alg: 'none' } }))).rejects.toThrow('Unexpected token algorithm');
+    await expect(check('not.a-token')).rejects.toThrow('Malformed ID token');
+  });
+});
+
+describe('clientIp', () => {
+  test("trusts the platform's headers and the last forwarded hop, not what the client prepends", () => {
+    const spoofed = '198.51.100.66, 203.0.113.7';
+    expect(clientIp({ headers: { 'x-vercel-forwarded-for': '203.0.113.9', 'x-forwarded-for': spoofed } })).toBe('203.0.113.9');
+    expect(clientIp({ headers: { 'x-real-ip': '203.0.113.8', 'x-forwarded-for': spoofed } })).toBe('203.0.113.8');
+    expect(clientIp({ headers: { 'x-forwarded-for': spoofed } })).toBe('203.0.113.7');
+    expect(clientIp({ headers: {}, socket: { remoteAddress: '127.0.0.1' } })).toBe('127.0.0.1');
+  });
+});
+
+describe('identify', () => {
+  test('callers without a token are identified by their IP', async () => {
+    expect(await identify(request())).toEqual({ id: 'ip:203.0.113.7', kind: 'ip', ip: '203.0.113.7' });
+    await expect(identify(request(), { required: true })).rejects.toThrow('Missing bearer token');
+  });
+
+  test('sessions and Firebase users keep their IP alongside their id', async () => {
+    const { token } = issueSession(SECRET);
+    const anon = await identify(request(token), { secret: SECRET });
+    expect(anon).toMatchObject({ kind: 'session', ip: '203.0.113.7' });
+    expect(anon.id).toMatch(/^anon:/);
+
+    const user = await identify(request(idToken()), { projectId: PROJECT, fetchKeys, now: NOW });
+    expect(user).toEqual({ id: 'firebase:uid-1', kind: 'firebase', ip: '203.0.113.7' });
+  });
+});
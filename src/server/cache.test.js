@@ -0,0 +1,131 @@
+/**
+ * @jest-environment ./src/e2e/environment.js
+ */
+import { cacheKey, cached, memoryStore, ttlFor } from '../../api/_lib/cache';
+import { isolateEnv } from '../e2e/harness';
+
+const HOUR = 3600 * 1000;
+const T0 = Date.UTC(2026, 0, 1);
+
+let now;
+
+isolateEnv();
+
+beforeEach(() => {
+  now = T0;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Lets background revalidation settle.
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('cacheKey', () => {
+  const base = { provider: 'perplexity', task: 'links', query: 'JS closures', maxResults: 6, options: { verify: true, lang: 'en' } };
+
+  test('ignores case, surrounding and repeated whitespace, and option order', () => {
+    expect(cacheKey({ ...base, provider: 'Perplexity', query: '  js   CLOSURES ' })).toBe(cacheKey(base));
+    expect(cacheKey({ ...base, options: { lang: 'en', verify: true, extra: undefined } })).toBe(cacheKey(base));
+  });
+
+  test('differs when anything meaningful changes', () => {
+    const key = cacheKey(base);
+    expect(cacheKey({ ...base, query: 'JS promises' })).not.toBe(key);
+    expect(cacheKey({ ...base, maxResults: 3 })).not.toBe(key);
+    expect(cacheKey({ ...base, task: 'summary' })).not.toBe(key);
+    expect(cacheKey({ ...base, options: { verify: false, lang: 'en' } })).not.toBe(key);
+  });
+});
+
+describe('ttlFor', () => {
+  test('uses the task TTL, the default for unknown tasks, and the env override for freshness', () => {
+    expect(ttlFor('links')).toEqual({ fresh: 6 * 3600, stale: 24 * 3600 });
+    expect(ttlFor('nope')).toEqual({ fresh: 3600, stale: 3600 });
+    process.env.LLM_CACHE_TTL_LINKS = '60';
+    expect(ttlFor('links')).toEqual({ fresh: 60, stale: 24 * 3600 });
+    process.env.LLM_CACHE_TTL_LINKS = 'soon';
+    expect(ttlFor('links').fresh).toBe(6 * 3600);
+  });
+});
+
+describe('cached with the memory store', () => {
+  test('serves fresh hits without producing again', async () => {
+    const store = memoryStore();
+    const produce = jest.fn().mockResolvedValue(['a']);
+
+    expect(await cached({ store, key: 'k', task: 'links' }, produce)).toEqual({ value: ['a'], cache: { hit: false, stale: false, age_s: 0 } });
+    now += HOUR;
+    expect(await cached({ store, key: 'k', task: 'links' }, produce)).toEqual({ value: ['a'], cache: { hit: true, stale: false, age_s: 3600 } });
+    expect(produce).toHaveBeenCalledTimes(1);
+  });
+
+  test('serves stale hits while refreshing once in the background', async () => {
+    const store = memoryStore();
+    await cached({ store, key: 'k', task: 'links' }, async () => 'old');
+    now += 7 * HOUR; // past the 6h freshness, within the 24h stale window
+
+    const produce = jest.fn().mockResolvedValue('new');
+    const first = await cached({ store, key: 'k', task: 'links' }, produce);
+    const second = await cached({ store, key: 'k', task: 'links' }, produce);
+    expect(first).toEqual({ value: 'old', cache: { hit: true, stale: true, age_s: 7 * 3600 } });
+    expect(second.value).toBe('old');
+
+    await settle();
+    expect(produce).toHaveBeenCalledTimes(1);
+    expect(await cached({ store, key: 'k', task: 'links' }, produce)).toEqual({ value: 'new', cache: { hit: true, stale: false, age_s: 0 } });
+  });
+
+  test('keeps the stale entry when the refresh fails', async () => {
+    const store = memoryStore();
+    await cached({ store, key: 'k', task: 'links' }, async () => 'old');
+    now += 7 * HOUR;
+    await cached({ store, key: 'k', task: 'links' }, async () => { throw new Error('provider down'); });
+    await settle();
+    expect((await cached({ store, key: 'k', task: 'links' }, async () => 'unused')).value).toBe('old');
+  });
+
+  test('produces again once the stale window has passed', async () => {
+    const store = memoryStore();
+    await cached({ store, key: 'k', task: 'links' }, async () => 'old');
+    now += 31 * HOUR;
+    expect(await store.get('k')).toBeNull();
+    expect(await cached({ store, key: 'k', task: 'links' }, async () => 'new')).toEqual({ value: 'new', cache: { hit: false, stale: false, age_s: 0 } });
+  });
+
+  test('noCache skips the lookup but stores the fresh result', async () => {
+    const store = memoryStore();
+    await cached({ store, key: 'k', task: 'links' }, async () => 'old');
+    const forced = await cached({ store, key: 'k', task: 'links', noCache: true }, async () => 'new');
+    expect(forced.cache.hit).toBe(false);
+    expect((await cached({ store, key: 'k', task: 'links' }, async () => 'unused')).value).toBe('new');
+  });
+
+  test('values `keep` rejects are returned but not stored, even by a background refresh', async () => {
+    const store = memoryStore();
+    const keep = (value) => value !== 'fallback';
+    expect((await cached({ store, key: 'k', task: 'links', keep }, async () => 'fallback')).value).toBe('fallback');
+    expect(await store.get('k')).toBeNull();
+
+    await cached({ store, key: 'k', task: 'links', keep }, async () => 'primary');
+    now += 7 * HOUR;
+    await cached({ store, key: 'k', task: 'links', keep }, async () => 'fallback');
+    await settle();
+    expect((await store.get('k')).value).toBe('primary');
+  });
+
+  test('without a store every call produces', async () => {
+    const produce = jest.fn().mockResolvedValue('v');
+    await cached({ store: null, key: 'k', task: 'links' }, produce);
+    await cached({ store: null, key: 'k', task: 'links' }, produce);
+    expect(produce).toHaveBeenCalledTimes(2);
+  });
+
+  test('a failing store read counts as a miss', async () => {
+    const store = { get: jest.fn().mockRejectedValue(new Error('down')), set: jest.fn().mockResolvedValue(), delete: jest.fn() };
+    expect((await cached({ store, key: 'k', task: 'quiz' }, async () => 'v')).value).toBe('v');
+    expect(store.set).toHaveBeenCalledWith('k', { value: 'v', storedAt: T0, freshUntil: T0 + 24 * HOUR, staleUntil: T0 + 8 * 24 * HOUR }, 8 * 24 * 3600);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * @jest-environment ./src/e2e/environment.js
+ */
+import { complete, ProviderError } from '../../api/_lib/providers';
+import { resolveChain, withFallback, FallbackError } from '../../api/_lib/fallback';
+import { isolateEnv } from '../e2e/harness';
+
+const TIMEOUT_MS = 60000;
+const answer = (text) => new Response(JSON.stringify({ choices: [{ message: { content: text } }] }), { status: 200 });
+const failure = (status, headers = {}) => new Response('{"error":"busy"}', { status, headers });
+
+let realFetch;
+let delays;
+
+isolateEnv();
+
+beforeEach(() => {
+  realFetch = global.fetch;
+  process.env.OPENAI_API_KEY = 'test-openai-key';
+  process.env.USAGE_LOG = 'off';
+  delays = [];
+  // Backoff waits are recorded and skipped; the request timeout timer never fires.
+  jest.spyOn(global, 'setTimeout').mockImplementation((fn, ms) => {
+    if (ms !== TIMEOUT_MS) {
+      delays.push(ms);
+      fn();
+    }
+    return 0;
+  });
+});
+
+afterEach(() => {
+  global.fetch = realFetch;
+  jest.restoreAllMocks();
+});
+
+const ask = (opts = {}) => complete('openai', { user: 'hi', timeoutMs: TIMEOUT_MS, backoffMs: 100, retries: 2, ...opts });
+
+describe('complete', () => {
+  test('retries retryable statuses with exponential backoff', async () => {
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce(failure(503))
+      .mockResolvedValueOnce(failure(500))
+      .mockResolvedValueOnce(answer('ok'));
+
+    const r = await ask();
+    expect(r.text).toBe('ok');
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(delays).toEqual([100, 200]);
+  });
+
+  test('Retry-After wins over the backoff, in seconds or as an HTTP date', async () => {
+    const inTwoSeconds = new Date(Date.now() + 2000).toUTCString();
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce(failure(429, { 'Retry-After': '3' }))
+      .mockResolvedValueOnce(failure(429, { 'Retry-After': inTwoSeconds }))
+      .mockResolvedValueOnce(answer('ok'));
+
+    await ask();
+    expect(delays[0]).toBe(3000);
+    expect(delays[1]).toBeGreaterThan(0);
+    expect(delays[1]).toBeLessThanOrEqual(2000);
+  });
+
+  test('gives up after the retries, and never retries client errors', async () => {
+    global.fetch = jest.fn().mockResolvedValue(failure(502));
+    await expect(ask()).rejects.toMatchObject({ status: 502, retryable: true });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+
+    global.fetch = jest.fn().mockResolvedValue(failure(401));
+    await expect(ask()).rejects.toMatchObject({ status: 401, retryable: false });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('network failures are retryable, non-JSON bodies are not', async () => {
+    global.fetch = jest.fn()
+      .mockRejectedValueOnce(new TypeError('fetch failed'))
+      .mockResolvedValueOnce(answer('ok'));
+    expect((await ask()).text).toBe('ok');
+
+    global.fetch = jest.fn().mockResolvedValue(new Response('<html>', { status: 200 }));
+    await expect(ask()).rejects.toThrow(/non-JSON body/);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('a missing key fails before any request', async () => {
+    delete process.env.OPENAI_API_KEY;
+    global.fetch = jest.fn();
+    await expect(ask()).rejects.toBeInstanceOf(ProviderError);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('fallback', () => {
+  test('resolveChain puts the requested provider first and drops duplicates', () => {
+    expect(resolveChain('Gemini', ['openai', 'gemini'])).toEqual(['gemini', 'openai']);
+    process.env.LLM_FALLBACK_CHAIN = 'perplexity, openai';
+    expect(resolveChain('openai')).toEqual(['openai', 'perplexity']);
+    expect(resolveChain('openai', false)).toEqual(['openai']);
+  });
+
+  test('withFallback skips unknown and unconfigured providers and lists every failure', async () => {
+    delete process.env.GEMINI_API_KEY;
+    const run = jest.fn(async (name) => {
+      if (name === 'perplexity') throw new ProviderError(name, 'perplexity error (HTTP 500)', { status: 500 });
+      return `answer from ${name}`;
+    });
+    process.env.PERPLEXITY_API_KEY = 'test-perplexity-key';
+
+    const r = await withFallback(['nope', 'gemini', 'perplexity', 'openai'], run);
+    expect(r).toMatchObject({ value: 'answer from openai', provider: 'openai' });
+    expect(r.attempts.map((a) => [a.provider, a.status])).toEqual([['nope', null], ['gemini', null], ['perplexity', 500]]);
+    expect(run).toHaveBeenCalledTimes(2);
+  });
+
+  test('withFallback throws FallbackError when nothing answers', async () => {
+    const err = await withFallback(['openai'], async () => { throw new Error('boom'); }).catch((e) => e);
+    expect(err).toBeInstanceOf(FallbackError);
+    expect(err.attempts).toEqual([{ provider: 'openai', error: 'boom', status: null, code: null }]);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * @jest-environment ./src/e2e/environment.js
+ */
+import { durationFit, isPodcastEpisode, rankLinks, rankingOptions } from '../../api/_lib/ranking';
+import { isolateEnv } from '../e2e/harness';
+
+const RANK_ENV = ['RANK_WEIGHTS', 'RANK_ALLOW_DOMAINS', 'RANK_DENY_DOMAINS', 'RANK_DIVERSITY'];
+
+isolateEnv();
+
+beforeEach(() => {
+  RANK_ENV.forEach((key) => delete process.env[key]);
+});
+
+const video = (id, fields = {}) => ({ platform: 'youtube', url: `https://www.youtube.com/watch?v=${id}`, est_duration_s: 240, ...fields });
+const page = (url, fields = {}) => ({ platform: 'web', url, est_duration_s: 240, ...fields });
+const urls = (items) => items.map((it) => it.url);
+
+describe('durationFit', () => {
+  test.each([
+    [null, false, 0.5],
+    [0, false, 0.5],
+    [20, false, 0.7],
+    [300, false, 1],
+    [600, false, 0.25],
+    [600, true, 0.5],
+    [3000, true, 0.2]
+  ])('%s s against a 300 s budget (allowLonger %s) -> %s', (seconds, allowLonger, fit) => {
+    expect(durationFit(seconds, 300, allowLonger)).toBe(fit);
+  });
+});
+
+describe('rankLinks', () => {
+  test('explains every score', () => {
+    const [item] = rankLinks([video('vKJpN5FAeF4')]);
+    expect(item.score_breakdown).toEqual({ duration: 1, platform: 1, authority: 0.5, diversity: 1 });
+    // 0.45 * 1 + 0.3 * 1 + 0.25 * 0.5
+    expect(item.score).toBe(0.88);
+  });
+
+  test('keeps the first of the URL variants of one video or page', () => {
+    const ranked = rankLinks([
+      { platform: 'youtube', url: 'https://youtu.be/vKJpN5FAeF4?si=abc', title: 'first' },
+      { platform: 'youtube', url: 'https://www.youtube.com/shorts/vKJpN5FAeF4' },
+      { platform: 'youtube', url: 'https://m.youtube.com/watch?v=vKJpN5FAeF4&utm_source=x' },
+      page('https://example.com/a?utm_campaign=x'),
+      page('http://example.com/a#intro')
+    ]);
+    expect(ranked).toHaveLength(2);
+    expect(ranked.find((it) => it.platform === 'youtube').title).toBe('first');
+  });
+
+  test('drops deny-listed hosts and their subdomains', () => {
+    process.env.RANK_DENY_DOMAINS = 'content-farm.example';
+    const ranked = rankLinks([
+      page('https://content-farm.example/closures'),
+      page('https://blog.content-farm.example/closures'),
+      page('https://notcontent-farm.example/closures'),
+      page('https://spam.example/x')
+    ], { deny: ['spam.example'] });
+    expect(urls(ranked)).toEqual(['https://notcontent-farm.example/closures']);
+  });
+
+  test('allow-listed sources rank above equal unknown ones', () => {
+    const ranked = rankLinks([
+      page('https://someblog.example/closures'),
+      page('https://en.wikipedia.org/wiki/Closure_(computer_programming)'),
+      page('https://docs.mycompany.example/closures')
+    ], { format: 'Text', allow: ['mycompany.example'] });
+    expect(urls(ranked)).toEqual([
+      'https://en.wikipedia.org/wiki/Closure_(computer_programming)',
+      'https://docs.mycompany.example/closures',
+      'https://someblog.example/closures'
+    ]);
+    expect(ranked.map((it) => it.score_breakdown.authority)).toEqual([1, 1, 0.5]);
+  });
+
+  test('discounts repeat creators so others get a slot', () => {
+    const ranked = rankLinks([
+      video('aaaaaaaaaaa', { author: 'Fireship' }),
+      video('bbbbbbbbbbb', { author: 'fireship ' }),
+      video('ccccccccccc', { author: 'Fireship' }),
+      video('ddddddddddd', { author: 'Web Dev Simplified', est_duration_s: 500 })
+    ]);
+    expect(ranked.map((it) => it.url.slice(-11))).toEqual(['aaaaaaaaaaa', 'bbbbbbbbbbb', 'ddddddddddd', 'ccccccccccc']);
+    expect(ranked.map((it) => it.score_breakdown.diversity)).toEqual([1, 0.8, 1, 0.64]);
+
+    const strict = rankLinks([
+      video('aaaaaaaaaaa', { author: 'Fireship' }),
+      video('bbbbbbbbbbb', { author: 'Fireship' }),
+      video('ddddddddddd', { author: 'Other', est_duration_s: 500 })
+    ], { diversity: 0.5 });
+    expect(strict.map((it) => it.url.slice(-11))).toEqual(['aaaaaaaaaaa', 'ddddddddddd', 'bbbbbbbbbbb']);
+  });
+
+  test('prefers the platforms of the learning format', () => {
+    const items = [
+      page('https://developer.mozilla.org/en-US/docs/Web/JavaScript/Closures'),
+      video('vKJpN5FAeF4'),
+      page('https://open.spotify.com/episode/4rOoJ6Egrf8K2IrywzwOMk', { platform: 'web' })
+    ];
+    expect(rankLinks(items, { format: 'Video' })[0].platform).toBe('youtube');
+    expect(rankLinks(items, { format: 'Text' })[0].url).toMatch(/mozilla/);
+    expect(rankLinks(items, { format: 'Audio' })[0].url).toMatch(/spotify/);
+  });
+
+  test('weights can be changed per request or from env', () => {
+    const items = [video('aaaaaaaaaaa', { est_duration_s: 1200 }), page('https://developer.mozilla.org/x', { est_duration_s: 1200 })];
+    expect(rankLinks(items, { weights: { duration: 0, platform: 0, authority: 1 } })[0].url).toMatch(/mozilla/);
+    process.env.RANK_WEIGHTS = '{"duration":0,"platform":1,"authority":0}';
+    expect(rankLinks(items)[0].platform).toBe('youtube');
+  });
+});
+
+describe('rankingOptions', () => {
+  test('falls back to safe defaults for bad input', () => {
+    const opts = rankingOptions({ budgetS: -5, format: 'Smell', diversity: 7 });
+    expect(opts).toMatchObject({ budgetS: 300, format: 'Video', diversity: 1 });
+    expect(rankingOptions({ weights: { duration: 0, platform: 0, authority: 0 } }).weightTotal).toBe(1);
+  });
+});
+
+test('isPodcastEpisode tells episodes from show pages', () => {
+  expect(isPodcastEpisode('https://open.spotify.com/episode/4rOoJ6Egrf8K2IrywzwOMk')).toBe(true);
+  expect(isPodcastEpisode('https://podcasts.apple.com/us/podcast/syntax/id1253186678?i=1000634')).toBe(true);
+  expect(isPodcastEpisode('https://open.spotify.com/show/4rOoJ6Egrf8K2IrywzwOMk')).toBe(false);
+  expect(isPodcastEpisode('https://example.com/episodes/12')).toBe(false);
+});
@@ -0,0 +1,162 @@
+/**
+ * @jest-environment ./src/e2e/environment.js
+ */
+import { checkLimits, limitsFor, memoryCounterStore, setCounterStore } from '../../api/_lib/rateLimit';
+import { protect } from '../../api/_lib/middleware';
+import { serveApi } from '../e2e/apiServer';
+import { isolateEnv } from '../e2e/harness';
+
+const NOON = Date.UTC(2026, 0, 1, 12);
+const LIMIT_ENV = ['RATE_LIMIT_USER', 'RATE_LIMIT_IP', 'RATE_LIMIT_SHARED_IP', 'DAILY_QUOTA_USER', 'DAILY_QUOTA_IP'];
+
+isolateEnv();
+
+beforeEach(() => {
+  LIMIT_ENV.forEach((key) => delete process.env[key]);
+});
+
+const anonymous = (ip = '203.0.113.7') => ({ id: `ip:${ip}`, kind: 'ip', ip });
+const session = (n, ip = '203.0.113.7') => ({ id: `anon:${n}`, kind: 'session', ip });
+const firebase = (uid, ip = '203.0.113.7') => ({ id: `firebase:${uid}`, kind: 'firebase', ip });
+
+// Calls `identity` `times` times, a minute apart so the token buckets never run dry.
+async function callRepeatedly(identity, times, store, start = NOON) {
+  let verdict;
+  for (let i = 0; i < times; i++) verdict = await checkLimits(identity, { store, now: start + i * 60000 });
+  return verdict;
+}
+
+describe('limitsFor', () => {
+  test('reads "<requests>/<seconds>" and daily counts from env, with defaults', () => {
+    expect(limitsFor('ip')).toEqual({ capacity: 10, refillPerSec: 10 / 60, daily: 50 });
+    expect(limitsFor('shared_ip').daily).toBe(Infinity);
+    process.env.RATE_LIMIT_USER = '5/10';
+    process.env.DAILY_QUOTA_USER = '7';
+    expect(limitsFor('user')).toEqual({ capacity: 5, refillPerSec: 0.5, daily: 7 });
+  });
+});
+
+describe('memoryCounterStore', () => {
+  test('take spends tokens, refills over time and says how long to wait', async () => {
+    const store = memoryCounterStore();
+    const opts = { capacity: 2, refillPerSec: 0.5 };
+    expect(await store.take('b', { ...opts, now: 0 })).toEqual({ allowed: true, remaining: 1, retryAfterMs: 0 });
+    expect((await store.take('b', { ...opts, now: 0 })).allowed).toBe(true);
+    expect(await store.take('b', { ...opts, now: 1000 })).toEqual({ allowed: false, remaining: 0, retryAfterMs: 1000 });
+    expect((await store.take('b', { ...opts, now: 2000 })).allowed).toBe(true);
+    expect((await store.take('b', { ...opts, cost: 3, now: 60000 })).allowed).toBe(false);
+  });
+
+  test('incr counts until the key expires', async () => {
+    const store = memoryCounterStore();
+    expect(await store.incr('q', 1, 10, 0)).toBe(1);
+    expect(await store.incr('q', 2, 10, 9999)).toBe(3);
+    expect(await store.incr('q', 1, 10, 10000)).toBe(1);
+  });
+});
+
+describe('checkLimits', () => {
+  test('rate-limits an anonymous caller by IP', async () => {
+    const store = memoryCounterStore();
+    for (let i = 0; i < 10; i++) expect((await checkLimits(anonymous(), { store, now: NOON })).allowed).toBe(true);
+    const verdict = await checkLimits(anonymous(), { store, now: NOON });
+    expect(verdict).toEqual({ allowed: false, code: 'rate_limited', retryAfterMs: 6000, remaining: 0 });
+    expect((await checkLimits(anonymous('198.51.100.1'), { store, now: NOON })).allowed).toBe(true);
+  });
+
+  test('stops at the daily quota until UTC midnight', async () => {
+    process.env.DAILY_QUOTA_IP = '3';
+    const store = memoryCounterStore();
+    expect((await callRepeatedly(anonymous(), 3, store)).allowed).toBe(true);
+    expect(await checkLimits(anonymous(), { store, now: NOON + 3600000 })).toEqual({
+      allowed: false, code: 'quota_exceeded', retryAfterMs: 11 * 3600000, remaining: 0
+    });
+    expect((await checkLimits(anonymous(), { store, now: NOON + 12 * 3600000 })).allowed).toBe(true);
+  });
+
+  test('counts costlier calls accordingly', async () => {
+    process.env.DAILY_QUOTA_IP = '5';
+    const store = memoryCounterStore();
+    expect((await checkLimits(anonymous(), { store, cost: 3, now: NOON })).allowed).toBe(true);
+    expect((await checkLimits(anonymous(), { store, cost: 3, now: NOON + 60000 })).code).toBe('quota_exceeded');
+  });
+
+  test('new anonymous sessions do not reset the IP daily quota', async () => {
+    process.env.DAILY_QUOTA_IP = '4';
+    const store = memoryCounterStore();
+    expect((await callRepeatedly(anonymous(), 2, store)).allowed).toBe(true);
+    expect((await callRepeatedly(session(1), 2, store, NOON + 3600000)).allowed).toBe(true);
+    expect((await checkLimits(session(2), { store, now: NOON + 7200000 })).code).toBe('quota_exceeded');
+    expect((await checkLimits(anonymous(), { store, now: NOON + 7200000 })).code).toBe('quota_exceeded');
+    // Another network is unaffected.
+    expect((await checkLimits(session(3, '198.51.100.1'), { store, now: NOON + 7200000 })).allowed).toBe(true);
+  });
+
+  test('a session also has its own daily quota', async () => {
+    process.env.DAILY_QUOTA_USER = '2';
+    const store = memoryCounterStore();
+    expect((await callRepeatedly(session(1), 2, store)).allowed).toBe(true);
+    expect((await checkLimits(session(1), { store, now: NOON + 3600000 })).code).toBe('quota_exceeded');
+  });
+
+  test('signed-in users have their own quota and a looser shared IP limit', async () => {
+    process.env.DAILY_QUOTA_IP = '1';
+    process.env.RATE_LIMIT_SHARED_IP = '3/60';
+    const store = memoryCounterStore();
+    expect((await checkLimits(firebase('a'), { store, now: NOON })).allowed).toBe(true);
+    expect((await checkLimits(firebase('a'), { store, now: NOON })).allowed).toBe(true);
+    expect((await checkLimits(firebase('b'), { store, now: NOON })).allowed).toBe(true);
+    // The office NAT's bucket is empty now, whichever user calls.
+    expect((await checkLimits(firebase('c'), { store, now: NOON })).code).toBe('rate_limited');
+    // Firebase calls never touched the anonymous IP quota.
+    expect((await checkLimits(anonymous(), { store, now: NOON })).allowed).toBe(true);
+  });
+});
+
+describe('protect', () => {
+  let api;
+  let store;
+
+  beforeAll(async () => {
+    const handler = (req, res) => res.status(200).json({ method: req.method });
+    api = await serveApi({
+      '/api/post': protect(handler),
+      '/api/read': protect(handler, { methods: ['GET', 'POST'], cost: (req) => (req.method === 'GET' ? 0 : 1) })
+    });
+  });
+
+  afterAll(() => api.close());
+
+  beforeEach(() => {
+    process.env.API_AUTH = 'off';
+    delete process.env.RATE_LIMIT;
+    process.env.DAILY_QUOTA_IP = '2';
+    store = memoryCounterStore();
+    setCounterStore(store);
+  });
+
+  afterEach(() => setCounterStore(undefined));
+
+  const call = (path, method = 'POST') => fetch(`${api.url}${path}`, { method, headers: { 'Content-Type': 'application/json' }, body: method === 'GET' ? undefined : '{}' });
+
+  test('methods the route does not serve get a 405 without spending a token', async () => {
+    const r = await call('/api/post', 'GET');
+    expect(r.status).toBe(405);
+    expect(r.headers.get('allow')).toBe('POST');
+    expect((await call('/api/post')).status).toBe(200);
+    expect((await call('/api/post')).status).toBe(200);
+    expect((await call('/api/post')).status).toBe(429);
+  });
+
+  test('calls that cost nothing skip the limits', async () => {
+    for (let i = 0; i < 3; i++) expect((await call('/api/read', 'GET')).status).toBe(200);
+    expect((await call('/api/read')).status).toBe(200);
+  });
+
+  test('an unreachable counter store is a 503', async () => {
+    setCounterStore({ take: async () => { throw new Error('KV error (HTTP 500)'); }, incr: async () => 0 });
+    const r = await call('/api/post');
+    expect(r.status).toBe(503);
+    expect(await r.json()).toMatchObject({ code: 'limiter_unavailable', detail: 'KV error (HTTP 500)' });
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * @jest-environment ./src/e2e/environment.js
+ */
+import { mkdtemp, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import snapshots from '../../api/snapshots';
+import { fileSnapshotStore, isSharedSnapshotStore, memorySnapshotStore, setSnapshotStore } from '../../api/_lib/snapshots';
+import { serveApi } from '../e2e/apiServer';
+import { isolateEnv } from '../e2e/harness';
+
+const DAY = 24 * 3600 * 1000;
+
+isolateEnv();
+
+beforeEach(() => {
+  Object.assign(process.env, { API_AUTH: 'off', RATE_LIMIT: 'off' });
+  ['SNAPSHOT_TTL_DAYS', 'SNAPSHOT_STORE', 'KV_REST_API_URL', 'VERCEL'].forEach((key) => delete process.env[key]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const path1 = {
+  inputs: { subject: 'JavaScript closures', experienceLevel: 'Beginner', learningFormat: 'Text', model: 'Gemini' },
+  provider: 'Gemini',
+  recommendations: [
+    { step: 1, topic: 'Scope', description: 'Where variables live', minutes: 5 },
+    { step: 2, topic: 'Closures', description: 'Functions that remember', minutes: 5, url: 'https://developer.mozilla.org/x' }
+  ],
+  summaries: { 1: { text: 'Scope decides visibility.', key_points: ['Block scope', 'Function scope'] } },
+  quiz: [{ type: 'short_answer', question: 'What does a closure keep?', options: null, answer: 'its scope', explanation: 'It keeps its lexical scope.', difficulty: 'easy' }]
+};
+
+describe('snapshot stores', () => {
+  test('the memory store forgets snapshots once they expire', async () => {
+    const store = memorySnapshotStore();
+    await store.put('a'.repeat(16), { id: 'a', expiresAt: Date.now() + 1000 });
+    await store.put('b'.repeat(16), { id: 'b', expiresAt: null });
+    expect(await store.get('a'.repeat(16))).toMatchObject({ id: 'a' });
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 2000);
+    expect(await store.get('a'.repeat(16))).toBeNull();
+    expect(await store.get('b'.repeat(16))).toMatchObject({ id: 'b' });
+  });
+
+  test('the file store keeps snapshots on disk until they expire', async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'snapshots-test-'));
+    try {
+      const store = fileSnapshotStore(dir);
+      await store.put('c'.repeat(16), { id: 'c', expiresAt: Date.now() + 1000 });
+      expect(await fileSnapshotStore(dir).get('c'.repeat(16))).toMatchObject({ id: 'c' });
+      expect(await store.get('d'.repeat(16))).toBeNull();
+      jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 2000);
+      expect(await store.get('c'.repeat(16))).toBeNull();
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('only kv is shared between serverless instances', () => {
+    setSnapshotStore(undefined);
+    expect(isSharedSnapshotStore()).toBe(true);
+    process.env.VERCEL = '1';
+    expect(isSharedSnapshotStore()).toBe(false);
+    process.env.SNAPSHOT_STORE = 'file';
+    expect(isSharedSnapshotStore()).toBe(false);
+    process.env.SNAPSHOT_STORE = 'kv';
+    expect(isSharedSnapshotStore()).toBe(true);
+    delete process.env.SNAPSHOT_STORE;
+    process.env.KV_REST_API_URL = 'https://kv.example';
+    expect(isSharedSnapshotStore()).toBe(true);
+  });
+});
+
+describe('/api/snapshots', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await serveApi({ '/api/snapshots': snapshots });
+  });
+
+  afterAll(() => api.close());
+
+  beforeEach(() => setSnapshotStore(memorySnapshotStore()));
+
+  const save = (body) => fetch(`${api.url}/api/snapshots`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  const load = (id) => fetch(`${api.url}/api/snapshots?id=${id}`);
+
+  test('saves a path and serves it back', async () => {
+    const r = await save(path1);
+    expect(r.status).toBe(201);
+    const { id, expiresAt } = await r.json();
+    expect(expiresAt).toBeNull();
+
+    const snapshot = await (await load(id)).json();
+    expect(snapshot).toMatchObject({
+      id,
+      inputs: { subject: 'JavaScript closures', goals: null, language: 'en' },
+      recommendations: [{ step: 1, url: null }, { step: 2, url: 'https://developer.mozilla.org/x' }],
+      summaries: path1.summaries,
+      quiz: path1.quiz
+    });
+  });
+
+  test('expiring snapshots are gone afterwards', async () => {
+    const started = Date.now();
+    const { id, expiresAt } = await (await save({ ...path1, expiresInDays: 7 })).json();
+    expect(expiresAt).toBeGreaterThanOrEqual(started + 7 * DAY);
+
+    jest.spyOn(Date, 'now').mockReturnValue(expiresAt);
+    expect((await load(id)).status).toBe(404);
+  });
+
+  test.each([['NaN'], ['soon'], [0], [-3], [366], [{ days: 3 }]])('rejects expiresInDays %p', async (expiresInDays) => {
+    const r = await save({ ...path1, expiresInDays });
+    expect(r.status).toBe(400);
+    expect((await r.json()).error).toBe('expiresInDays must be between 1 and 365');
+  });
+
+  test('an invalid SNAPSHOT_TTL_DAYS is not taken as "keep forever"', async () => {
+    process.env.SNAPSHOT_TTL_DAYS = 'thirty';
+    expect((await save(path1)).status).toBe(400);
+    process.env.SNAPSHOT_TTL_DAYS = '30';
+    expect((await (await save(path1)).json()).expiresAt).not.toBeNull();
+  });
+
+  test.each([
+    ['a summary without text', { summaries: { 1: { key_points: ['x'] } } }, '$.summaries.1.text: is required'],
+    ['a summary of a step the path lacks', { summaries: { 9: { text: 'x' } } }, '$.summaries.9: not a step of the path'],
+    ['key points that are not strings', { summaries: { 1: { text: 'x', key_points: [{ t: 1 }] } } }, '$.summaries.1.key_points[0]: expected string, got object'],
+    ['a quiz question without an answer', { quiz: [{ ...path1.quiz[0], answer: undefined }] }, '$.quiz[0].answer: is required'],
+    ['an unknown question type', { quiz: [{ ...path1.quiz[0], type: 'essay' }] }, '$.quiz[0].type: must be one of multiple_choice, short_answer']
+  ])('rejects %s', async (_, patch, error) => {
+    const r = await save({ ...path1, ...patch });
+    expect(r.status).toBe(400);
+    expect((await r.json()).errors).toContain(error);
+  });
+
+  test('refuses to share when the store is not shared between instances', async () => {
+    setSnapshotStore(undefined);
+    process.env.VERCEL = '1';
+    const r = await save(path1);
+    expect(r.status).toBe(501);
+    expect((await r.json()).code).toBe('store_not_shared');
+  });
+
+  test('rejects malformed ids and answers 404 for unknown ones', async () => {
+    expect((await load('short')).status).toBe(400);
+    expect((await load('x'.repeat(16))).status).toBe(404);
+  });
+});
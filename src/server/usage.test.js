@@ -0,0 +1,148 @@
+/**
+ * @jest-environment ./src/e2e/environment.js
+ */
+import adminUsage from '../../api/admin/usage';
+import { costOf } from '../../api/_lib/pricing';
+import { aggregateUsage, memoryUsageLog, recordUsage, setUsageLog, usageSummary, withUsageMeter } from '../../api/_lib/usage';
+import { serveApi } from '../e2e/apiServer';
+import { isolateEnv } from '../e2e/harness';
+
+isolateEnv();
+
+beforeEach(() => {
+  delete process.env.LLM_PRICES;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const entry = (fields) => ({ day: '2026-01-01', provider: 'openai', model: 'gpt-4o-mini', task: 'links', user: 'ip:1', prompt_tokens: 0, completion_tokens: 0, cost_usd: 0, ...fields });
+
+describe('costOf', () => {
+  test('prices input and output tokens per million', () => {
+    expect(costOf('gpt-4o', { prompt_tokens: 1000, completion_tokens: 500 })).toBe(0.0075);
+    expect(costOf('gpt-4o-mini', {})).toBe(0);
+  });
+
+  test('is null for unknown models rather than free', () => {
+    expect(costOf('mystery-model', { prompt_tokens: 1000 })).toBeNull();
+  });
+
+  test('LLM_PRICES overrides and extends the table, with per-request fees', () => {
+    process.env.LLM_PRICES = '{"sonar-pro":{"input":3,"output":15,"request":0.006},"local":{"input":0}}';
+    expect(costOf('sonar-pro', { prompt_tokens: 1e6, completion_tokens: 0 })).toBe(3.006);
+    expect(costOf('local', { prompt_tokens: 5000 })).toBe(0);
+    process.env.LLM_PRICES = 'not json';
+    expect(costOf('sonar-pro', { completion_tokens: 1e6 })).toBe(15);
+  });
+});
+
+describe('aggregateUsage', () => {
+  const entries = [
+    entry({ day: '2026-01-02', provider: 'openai', cost_usd: 0.5, prompt_tokens: 10 }),
+    entry({ day: '2026-01-01', provider: 'perplexity', model: 'sonar', cost_usd: 0.2, completion_tokens: 5 }),
+    entry({ day: '2026-01-01', provider: 'openai', cost_usd: 0.1 }),
+    entry({ day: '2026-01-01', provider: 'openai', model: 'custom', cost_usd: null })
+  ];
+
+  test('groups by the requested keys, sorted by day then cost', () => {
+    const { groupBy, rows, totals } = aggregateUsage(entries, ['day', 'provider']);
+    expect(groupBy).toEqual(['day', 'provider']);
+    expect(rows).toEqual([
+      { day: '2026-01-01', provider: 'perplexity', calls: 1, prompt_tokens: 0, completion_tokens: 5, cost_usd: 0.2, unpriced_calls: 0 },
+      { day: '2026-01-01', provider: 'openai', calls: 2, prompt_tokens: 0, completion_tokens: 0, cost_usd: 0.1, unpriced_calls: 1 },
+      { day: '2026-01-02', provider: 'openai', calls: 1, prompt_tokens: 10, completion_tokens: 0, cost_usd: 0.5, unpriced_calls: 0 }
+    ]);
+    expect(totals).toEqual({ calls: 4, prompt_tokens: 10, completion_tokens: 5, cost_usd: 0.8 });
+  });
+
+  test('ignores unknown group keys and reports one row when grouping by nothing', () => {
+    expect(aggregateUsage(entries, ['model', 'secret']).groupBy).toEqual(['model']);
+    expect(aggregateUsage(entries, []).rows).toEqual([
+      { calls: 4, prompt_tokens: 10, completion_tokens: 5, cost_usd: 0.8, unpriced_calls: 1 }
+    ]);
+  });
+});
+
+describe('recordUsage', () => {
+  test('adds the call to the meter and logs it with the request context', async () => {
+    const log = memoryUsageLog();
+    const now = Date.UTC(2026, 0, 3, 9);
+    const summary = await withUsageMeter({ user: 'ip:1', route: '/api/llm', task: 'summary' }, async () => {
+      recordUsage({ provider: 'openai', model: 'gpt-4o', prompt_tokens: 1000, completion_tokens: 500 }, { log, now });
+      return usageSummary();
+    });
+    expect(summary).toMatchObject({ prompt_tokens: 1000, completion_tokens: 500, cost_usd: 0.0075 });
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(await log.query({ from: '2026-01-03', to: '2026-01-03' })).toEqual([{
+      ts: '2026-01-03T09:00:00.000Z', day: '2026-01-03', user: 'ip:1', route: '/api/llm', task: 'summary',
+      provider: 'openai', model: 'gpt-4o', prompt_tokens: 1000, completion_tokens: 500, cost_usd: 0.0075
+    }]);
+  });
+
+  test('a failing log is reported as a warning and never fails the call', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const log = { append: jest.fn().mockRejectedValue(new Error('disk full')) };
+    expect(() => recordUsage({ provider: 'openai', model: 'gpt-4o', prompt_tokens: 1 }, { log })).not.toThrow();
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(log.append).toHaveBeenCalledTimes(1);
+    expect(warn).toHaveBeenCalledWith('usage log append failed:', 'disk full');
+  });
+});
+
+describe('/api/admin/usage', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await serveApi({ '/api/admin/usage': adminUsage });
+  });
+
+  afterAll(() => api.close());
+
+  beforeEach(async () => {
+    Object.assign(process.env, { API_AUTH: 'off', RATE_LIMIT: 'off', ADMIN_API_KEY: 'admin-key' });
+    const log = memoryUsageLog();
+    await log.append(entry({ day: '2026-01-01', cost_usd: 0.25 }));
+    await log.append(entry({ day: '2026-03-01', cost_usd: 1 }));
+    setUsageLog(log);
+  });
+
+  afterEach(() => setUsageLog(undefined));
+
+  const get = (query, key = 'admin-key') => fetch(`${api.url}/api/admin/usage?${query}`, { headers: { 'X-Admin-Key': key } });
+
+  test('aggregates the requested range', async () => {
+    const r = await get('from=2026-01-01&to=2026-01-31&groupBy=day');
+    expect(r.status).toBe(200);
+    const data = await r.json();
+    expect(data).toMatchObject({ from: '2026-01-01', to: '2026-01-31', groupBy: ['day'] });
+    expect(data.rows).toEqual([{ day: '2026-01-01', calls: 1, prompt_tokens: 0, completion_tokens: 0, cost_usd: 0.25, unpriced_calls: 0 }]);
+  });
+
+  test.each([
+    ['a malformed day', 'from=2026-1-1&to=2026-01-31'],
+    ['a day that does not exist', 'from=2026-02-31&to=2026-03-02'],
+    ['a reversed range', 'from=2026-02-01&to=2026-01-01']
+  ])('rejects %s', async (_, query) => {
+    const r = await get(query);
+    expect(r.status).toBe(400);
+    expect((await r.json()).error).toBe('from/to must be YYYY-MM-DD with from <= to');
+  });
+
+  test('limits the range to 92 days and the known group keys', async () => {
+    expect((await get('from=2026-01-01&to=2026-04-02')).status).toBe(200);
+    const long = await get('from=2026-01-01&to=2026-04-03');
+    expect(long.status).toBe(400);
+    expect((await long.json()).error).toBe('Range is limited to 92 days');
+    expect((await (await get('groupBy=day,password')).json()).error).toBe('Unknown groupBy key(s): password');
+  });
+
+  test('requires the admin key', async () => {
+    expect((await get('from=2026-01-01&to=2026-01-02', 'wrong')).status).toBe(401);
+    delete process.env.ADMIN_API_KEY;
+    expect((await get('from=2026-01-01&to=2026-01-02')).status).toBe(501);
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * @jest-environment ./src/e2e/environment.js
+ */
+import { normalizeUrl, parseIsoDuration, isPublicAddress, verifyLinks } from '../../api/_lib/verifyLinks';
+
+// Every hostname resolves to a public address unless listed here.
+const DNS = { 'intranet.example': '10.0.0.5', 'metadata.example': '169.254.169.254' };
+const lookup = async (host) => [{ address: DNS[host] || '93.184.216.34', family: 4 }];
+
+// A stub of the web: url -> Response (or a function returning one). Unknown URLs are 404s.
+function stubWeb(pages) {
+  const http = jest.fn(async (url) => {
+    const page = pages[url];
+    if (!page) return new Response('not found', { status: 404 });
+    return typeof page === 'function' ? page() : page.clone();
+  });
+  return http;
+}
+
+const html = (body) => new Response(body, { status: 200, headers: { 'Content-Type': 'text/html' } });
+const json = (data) => new Response(JSON.stringify(data), { status: 200, headers: { 'Content-Type': 'application/json' } });
+const redirect = (location) => () => new Response(null, { status: 302, headers: { Location: location } });
+const oembed = (platform, url) => `https://www.${platform}.com/oembed?format=json&url=${encodeURIComponent(url)}`;
+
+const verify = (items, http) => verifyLinks(items, { http, lookup, measureDuration: false });
+
+describe('normalizeUrl', () => {
+  test('makes YouTube links canonical and keeps the start time', () => {
+    const id = 'vKJpN5FAeF4';
+    const canonical = `https://www.youtube.com/watch?v=${id}`;
+    expect(normalizeUrl(`https://youtu.be/${id}?si=abc`)).toEqual({ url: canonical, platform: 'youtube', kind: 'video', id });
+    expect(normalizeUrl(`https://m.youtube.com/shorts/${id}`).url).toBe(canonical);
+    expect(normalizeUrl(`http://youtube.com/watch?v=${id}&t=42&feature=share`).url).toBe(`${canonical}&t=42`);
+    expect(normalizeUrl(`${canonical}).`).url).toBe(canonical);
+  });
+
+  test('classifies channels, playlists, share links and pages', () => {
+    expect(normalizeUrl('https://www.youtube.com/@mdn').kind).toBe('channel');
+    expect(normalizeUrl('https://www.youtube.com/playlist?list=PL1').kind).toBe('playlist');
+    expect(normalizeUrl('https://vm.tiktok.com/ZM123/').kind).toBe('share');
+    expect(normalizeUrl('https://www.tiktok.com/@jsdevtips').kind).toBe('channel');
+    expect(normalizeUrl('https://www.tiktok.com/@jsdevtips/video/7291836412390214938?is_from_webapp=1'))
+      .toEqual({ url: 'https://www.tiktok.com/@jsdevtips/video/7291836412390214938', platform: 'tiktok', kind: 'video', id: '7291836412390214938' });
+  });
+
+  test('strips tracking parameters and fragments from web pages', () => {
+    expect(normalizeUrl('http://example.com/a?utm_source=x&q=1#top')).toEqual({ url: 'https://example.com/a?q=1', platform: 'web', kind: 'page', id: null });
+  });
+
+  test('rejects non-http URLs and garbage', () => {
+    expect(normalizeUrl('ftp://example.com/file')).toBeNull();
+    expect(normalizeUrl('not a url')).toBeNull();
+    expect(normalizeUrl(undefined)).toBeNull();
+  });
+});
+
+describe('parseIsoDuration', () => {
+  test.each([
+    ['PT4M13S', 253],
+    ['PT1H', 3600],
+    ['P1DT1S', 86401],
+    ['PT90.6S', 91]
+  ])('%s -> %i seconds', (iso, secs) => {
+    expect(parseIsoDuration(iso)).toBe(secs);
+  });
+
+  test('returns null for anything else', () => {
+    expect(parseIsoDuration('P')).toBeNull();
+    expect(parseIsoDuration('4 minutes')).toBeNull();
+    expect(parseIsoDuration(null)).toBeNull();
+  });
+});
+
+describe('isPublicAddress', () => {
+  test.each(['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', '::ffff:7f00:1', 'not-an-ip'])('%s is not public', (ip) => {
+    expect(isPublicAddress(ip)).toBe(false);
+  });
+
+  test.each(['93.184.216.34', '172.32.0.1', '2606:4700::1111', '::ffff:5db8:d822'])('%s is public', (ip) => {
+    expect(isPublicAddress(ip)).toBe(true);
+  });
+});
+
+describe('verifyLinks', () => {
+  const video = 'https://www.youtube.com/watch?v=vKJpN5FAeF4';
+
+  test('enriches reachable links from oEmbed and page metadata, and drops the rest', async () => {
+    const http = stubWeb({
+      [oembed('youtube', video)]: json({ title: 'Closures in 100s', author_name: 'Fireship', thumbnail_url: 'https://i.ytimg.com/x.jpg' }),
+      'https://example.com/closures': html('<title>Closures</title><meta property="og:site_name" content="Example"><meta itemprop="duration" content="PT3M">')
+    });
+    const items = await verify([
+      { url: `https://youtu.be/vKJpN5FAeF4?si=x`, title: 'model title', est_duration_s: 60 },
+      { url: 'https://example.com/closures' },
+      { url: 'https://example.com/made-up' },
+      { url: 'https://www.youtube.com/@fireship' },
+      { url: video }
+    ], http);
+
+    expect(items).toEqual([
+      {
+        url: video, platform: 'youtube', title: 'Closures in 100s', author: 'Fireship',
+        thumbnail_url: 'https://i.ytimg.com/x.jpg', est_duration_s: null, verified: true
+      },
+      {
+        url: 'https://example.com/closures', platform: 'web', title: 'Closures', author: 'Example',
+        thumbnail_url: null, est_duration_s: 180, verified: true
+      }
+    ]);
+  });
+
+  test('resolves share links through their redirect', async () => {
+    const target = 'https://www.tiktok.com/@jsdevtips/video/7291836412390214938';
+    const http = stubWeb({
+      'https://vm.tiktok.com/ZM123/': redirect(`${target}?_r=1`),
+      [`${target}?_r=1`]: html(''),
+      [oembed('tiktok', target)]: json({ title: 'Closures tip', author_name: 'jsdevtips', duration: 41.6 })
+    });
+    const [item] = await verify([{ url: 'https://vm.tiktok.com/ZM123/' }], http);
+    expect(item).toMatchObject({ url: target, platform: 'tiktok', title: 'Closures tip', est_duration_s: 42 });
+  });
+
+  test('never requests loopback, private or link-local hosts', async () => {
+    const http = stubWeb({});
+    const items = await verify([
+      { url: 'http://127.0.0.1:3000/admin' },
+      { url: 'http://localhost/' },
+      { url: 'http://[::1]/' },
+      { url: 'http://2130706433/' },
+      { url: 'http://intranet.example/wiki' },
+      { url: 'http://metadata.example/latest/meta-data' }
+    ], http);
+    expect(items).toEqual([]);
+    expect(http).not.toHaveBeenCalled();
+  });
+
+  test('checks every redirect hop', async () => {
+    const http = stubWeb({
+      'https://example.com/go': redirect('http://169.254.169.254/latest/meta-data'),
+      'https://vm.tiktok.com/ZM123/': redirect('http://intranet.example/@x/video/1')
+    });
+    const items = await verify([{ url: 'https://example.com/go' }, { url: 'https://vm.tiktok.com/ZM123/' }], http);
+    expect(items).toEqual([]);
+    expect(http.mock.calls.map(([url]) => url).sort()).toEqual(['https://example.com/go', 'https://vm.tiktok.com/ZM123/']);
+  });
+
+  test('gives up on redirect loops', async () => {
+    const http = stubWeb({ 'https://example.com/loop': redirect('/loop') });
+    expect(await verify([{ url: 'https://example.com/loop' }], http)).toEqual([]);
+    expect(http).toHaveBeenCalledTimes(6);
+  });
+
+  test('the timeout covers reading the body', async () => {
+    const http = jest.fn(async (url, { signal }) => new Response(new ReadableStream({
+      start(controller) {
+        controller.enqueue(new TextEncoder().encode('<title>Slow</title>'));
+        // Never ends on its own: only the timeout stops it.
+        signal.addEventListener('abort', () => controller.error(new Error('aborted')));
+      }
+    }), { status: 200 }));
+    const items = await verifyLinks([{ url: 'https://example.com/drip', title: 'model title' }], { http, lookup, timeoutMs: 50 });
+    expect(items).toEqual([expect.objectContaining({ url: 'https://example.com/drip', title: 'model title', verified: true })]);
+  });
+
+  test('reads at most 256 KB of a page', async () => {
+    const chunk = new TextEncoder().encode(' '.repeat(64 * 1024));
+    let pulled = 0;
+    const http = jest.fn(async () => new Response(new ReadableStream({
+      start(controller) {
+        controller.enqueue(new TextEncoder().encode('<meta property="og:title" content="Huge page">'));
+      },
+      pull(controller) {
+        pulled += 1;
+        if (pulled > 160) controller.close();
+        else controller.enqueue(chunk);
+      }
+    }), { status: 200 }));
+    const [item] = await verify([{ url: 'https://example.com/huge' }], http);
+    expect(item.title).toBe('Huge page');
+    expect(pulled).toBeLessThanOrEqual(6);
+  });
+
+  test('treats network errors and hosts that do not resolve as unreachable', async () => {
+    const http = jest.fn(async () => { throw new TypeError('fetch failed'); });
+    expect(await verify([{ url: 'https://example.com/a' }], http)).toEqual([]);
+
+    const failing = async () => { throw new Error('ENOTFOUND'); };
+    const stub = stubWeb({ 'https://nowhere.example/': html('<title>x</title>') });
+    expect(await verifyLinks([{ url: 'https://nowhere.example/' }], { http: stub, lookup: failing })).toEqual([]);
+    expect(stub).not.toHaveBeenCalled();
+  });
+});
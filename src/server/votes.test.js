@@ -0,0 +1,133 @@
+/**
+ * @jest-environment ./src/e2e/environment.js
+ */
+import llm from '../../api/llm';
+import votes from '../../api/votes';
+import { linkOverlap } from '../../api/_lib/compare';
+import { memoryVoteStore, setVoteStore, tallyVotes } from '../../api/_lib/votes';
+import { isolateEnv, startE2E } from '../e2e/harness';
+
+describe('linkOverlap', () => {
+  const ok = (provider, urls) => ({ provider, ok: true, value: urls.map((url) => ({ url, title: url, platform: 'web' })) });
+
+  test('merges URL variants and ranks links found by more providers first', () => {
+    const { union, shared, pairwise } = linkOverlap([
+      ok('perplexity', ['https://youtu.be/vKJpN5FAeF4?si=x', 'https://example.com/a']),
+      ok('openai', ['https://www.youtube.com/watch?v=vKJpN5FAeF4', 'https://example.com/b']),
+      { provider: 'gemini', ok: false, error: 'down' }
+    ]);
+
+    expect(union.map((u) => [u.url, u.providers])).toEqual([
+      ['https://www.youtube.com/watch?v=vKJpN5FAeF4', ['perplexity', 'openai']],
+      ['https://example.com/a', ['perplexity']],
+      ['https://example.com/b', ['openai']]
+    ]);
+    expect(shared).toBe(1);
+    expect(pairwise).toEqual([{ providers: ['perplexity', 'openai'], overlap: 1, jaccard: 0.33 }]);
+  });
+
+  test('counts a provider once per URL and handles empty answers', () => {
+    const { union, pairwise } = linkOverlap([ok('perplexity', ['https://example.com/a', 'http://example.com/a#top']), ok('openai', [])]);
+    expect(union).toEqual([{ url: 'https://example.com/a', title: 'https://example.com/a', platform: 'web', providers: ['perplexity'] }]);
+    expect(pairwise[0]).toEqual({ providers: ['perplexity', 'openai'], overlap: 0, jaccard: 0 });
+  });
+});
+
+describe('tallyVotes', () => {
+  const vote = (winner, providers = ['openai', 'gemini'], task = 'summary') => ({ task, providers, winner });
+
+  test('counts wins, ties and losses per task, ties worth half', () => {
+    const tasks = tallyVotes([vote('openai'), vote('openai'), vote('tie'), vote('gemini', ['gemini', 'perplexity'], 'links')], { minVotes: 1 });
+    expect(tasks.summary.providers).toEqual({
+      openai: { wins: 2, ties: 1, losses: 0, comparisons: 3, win_rate: 0.83 },
+      gemini: { wins: 0, ties: 1, losses: 2, comparisons: 3, win_rate: 0.17 }
+    });
+    expect(tasks.summary.preferred).toBe('openai');
+    expect(tasks.links.preferred).toBe('gemini');
+  });
+
+  test('only prefers providers with enough comparisons', () => {
+    const votes = [vote('gemini', ['gemini', 'perplexity']), ...Array(3).fill(vote('openai'))];
+    expect(tallyVotes(votes, { minVotes: 3 }).summary.preferred).toBe('openai');
+    expect(tallyVotes(votes, { minVotes: 5 }).summary.preferred).toBeNull();
+  });
+});
+
+describe('/api/votes', () => {
+  let e2e;
+
+  beforeAll(async () => {
+    e2e = await startE2E({ '/api/llm': llm, '/api/votes': votes });
+  });
+
+  afterAll(() => e2e.close());
+
+  isolateEnv();
+
+  beforeEach(() => {
+    e2e.mock.reset();
+    setVoteStore(memoryVoteStore());
+  });
+
+  const LEARNER = { 'X-Forwarded-For': '203.0.113.7' };
+
+  // An OpenAI vs Gemini summary comparison shown to `headers`' caller.
+  async function compare(headers = LEARNER) {
+    const r = await e2e.post('/api/llm', { task: 'summary', query: 'closures', compare: true, providers: ['openai', 'gemini'] }, headers);
+    return (await r.json()).id;
+  }
+
+  const castVote = (body, headers = LEARNER) => e2e.post('/api/votes', { task: 'summary', providers: ['openai', 'gemini'], winner: 'tie', ...body }, headers);
+
+  test('takes one vote per issued comparison', async () => {
+    const id = await compare();
+    expect(id).toMatch(/^cmp_/);
+
+    expect((await castVote({ id, winner: 'openai' })).status).toBe(200);
+    const again = await castVote({ id, winner: 'gemini' });
+    expect(again.status).toBe(409);
+    expect((await again.json()).code).toBe('duplicate_vote');
+
+    const { tasks } = await (await fetch(`${e2e.api.url}/api/votes`)).json();
+    expect(tasks.summary.providers.openai).toMatchObject({ wins: 1, comparisons: 1 });
+    expect(tasks.summary.providers.gemini).toMatchObject({ losses: 1, comparisons: 1 });
+  });
+
+  test('rejects ids that were never issued, or were issued to someone else', async () => {
+    const madeUp = await castVote({ id: 'cmp_madeUpId123' });
+    expect(madeUp.status).toBe(404);
+    expect((await madeUp.json()).code).toBe('unknown_comparison');
+
+    const id = await compare();
+    expect((await castVote({ id }, { 'X-Forwarded-For': '198.51.100.9' })).status).toBe(404);
+  });
+
+  test('rejects votes whose task or providers differ from the comparison', async () => {
+    const id = await compare();
+    for (const mismatch of [{ task: 'links' }, { providers: ['openai', 'perplexity'] }, { providers: ['openai', 'gemini', 'perplexity'] }]) {
+      const r = await castVote({ id, ...mismatch });
+      expect(r.status).toBe(400);
+      expect((await r.json()).code).toBe('comparison_mismatch');
+    }
+    // The rejected attempts didn't use up the vote.
+    expect((await castVote({ id })).status).toBe(200);
+  });
+
+  test('without a store shared between serverless instances, comparisons carry no id and votes are refused', async () => {
+    setVoteStore(undefined);
+    process.env.VERCEL = '1';
+    expect(await compare()).toBeNull();
+    const r = await castVote({ id: 'cmp_madeUpId123' });
+    expect(r.status).toBe(501);
+    expect((await r.json()).code).toBe('store_not_shared');
+  });
+
+  test('only providers that answered can be voted on', async () => {
+    const r = await e2e.post('/api/llm', {
+      task: 'summary', query: 'closures [mock:gemini:status-500]', compare: true, providers: ['openai', 'gemini', 'perplexity']
+    }, LEARNER);
+    const { id } = await r.json();
+    expect((await castVote({ id, providers: ['openai', 'gemini', 'perplexity'] })).status).toBe(400);
+    expect((await castVote({ id, providers: ['openai', 'perplexity'], winner: 'perplexity' })).status).toBe(200);
+  });
+});
@@ -0,0 +1,77 @@
+/* eslint-disable no-restricted-globals */
+// Service worker, compiled by react-scripts (Workbox InjectManifest) and registered from src/serviceWorkerRegistration.js.
+//  - Precaches the app shell and answers every navigation with index.html, so the app (and /share/<id>) opens offline.
+//  - Tailwind comes from its CDN and is kept for offline use as well.
+//  - GET /api/snapshots: network first, last copy when offline.
+//  - POST /api/llm, /api/getRecommendations and /api/curriculum: network first, cached by request body, so
+//    summaries, quizzes and paths already seen still answer offline. SSE streams are never cached.
+// Progress written while offline is queued by the page, not here (src/lib/offline.js).
+
+import { clientsClaim } from 'workbox-core';
+import { CacheExpiration, ExpirationPlugin } from 'workbox-expiration';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { NetworkFirst, StaleWhileRevalidate } from 'workbox-strategies';
+
+const ANSWERS_CACHE = 'api-answers';
+const CACHED_POSTS = ['/api/llm', '/api/getRecommendations', '/api/curriculum'];
+const DAY_S = 24 * 3600;
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// App-shell routing: navigations that aren't API calls or files get index.html.
+const fileExtension = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate' && !url.pathname.startsWith('/api/') && !fileExtension.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+registerRoute(
+  ({ url }) => url.origin === 'https://cdn.tailwindcss.com',
+  new StaleWhileRevalidate({ cacheName: 'cdn', plugins: [new ExpirationPlugin({ maxEntries: 10 })] })
+);
+
+registerRoute(
+  ({ url }) => url.pathname === '/api/snapshots',
+  new NetworkFirst({ cacheName: 'snapshots', plugins: [new ExpirationPlugin({ maxEntries: 50, maxAgeSeconds: 30 * DAY_S })] })
+);
+
+/** -------- Cached POST answers -------- */
+
+const answersExpiration = new CacheExpiration(ANSWERS_CACHE, { maxEntries: 300, maxAgeSeconds: 30 * DAY_S });
+
+// The Cache API only stores GETs, so answers are filed under the URL plus a hash of the request body.
+async function answerKey(request) {
+  const digest = await crypto.subtle.digest('SHA-256', await request.clone().arrayBuffer());
+  const hex = [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+  return new Request(`${request.url}?body=${hex}`);
+}
+
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && CACHED_POSTS.includes(url.pathname),
+  async ({ request }) => {
+    const key = await answerKey(request);
+    const cache = await caches.open(ANSWERS_CACHE);
+    try {
+      const response = await fetch(request);
+      if (response.ok && !String(response.headers.get('Content-Type')).includes('text/event-stream')) {
+        await cache.put(key, response.clone());
+        await answersExpiration.updateTimestamp(key.url);
+        answersExpiration.expireEntries();
+      }
+      return response;
+    } catch (e) {
+      const hit = await cache.match(key);
+      if (hit) return hit;
+      throw e;
+    }
+  },
+  'POST'
+);
+
+// Lets the page activate an updated worker without waiting for every tab to close.
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
@@ -0,0 +1,23 @@
+// Registers the offline service worker (src/service-worker.js). Production builds only: the dev
+// server has no precache manifest, and a worker there would serve stale bundles.
+// REACT_APP_SERVICE_WORKER=off skips registration and removes a worker installed earlier.
+
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  if (process.env.REACT_APP_SERVICE_WORKER === 'off') {
+    unregister();
+    return;
+  }
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch((e) => console.error('Service worker registration failed:', e));
+  });
+}
+
+export function unregister() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+    .then((registration) => registration.unregister())
+    .catch((e) => console.error('Service worker unregistration failed:', e));
+}